@@ -82,7 +82,7 @@ function createMeetingRequestsSheet(spreadsheet) {
     'Preferred_Time',       // J - Requested time
     'Duration_Minutes',     // K - Expected duration
     'Meeting_Details',      // L - Additional details
-    'Status',               // M - Pending/Approved/Rejected/Rescheduled
+    'Status',               // M - Pending/Approved/Rejected/Rescheduled/Cancelled/Declined/Countered/Expired
     'Admin_Response',       // N - Admin's response/notes
     'Confirmed_Date',       // O - Final confirmed date
     'Confirmed_Time',       // P - Final confirmed time
@@ -93,7 +93,22 @@ function createMeetingRequestsSheet(spreadsheet) {
     'Location',             // U - Meeting location (if offline)
     'Meeting_Link',         // V - Video call link (if online)
     'Reminder_Sent',        // W - Reminder email status
-    'Follow_Up_Required'    // X - Follow-up needed flag
+    'Follow_Up_Required',   // X - Follow-up needed flag
+    'Notes_Shared',         // Y - Show Admin_Response on the requester's status page
+    'proposedStartTime',    // Z - Meeting start in UTC (ISO 8601)
+    'proposedEndTime',      // AA - Meeting end in UTC (ISO 8601)
+    'requesterTimeZone',    // AB - Requester's IANA time zone, e.g. Europe/Berlin
+    'calendarSequence',     // AC - iCalendar SEQUENCE, bumped when the meeting is moved or cancelled
+    'proposalExpiresAt',    // AD - Deadline for answering a reschedule proposal (ISO 8601)
+    'attachments',          // AE - Attached files as JSON: [{ id, name, size, mimeType, uploadedAt }]
+    'attendees',            // AF - Additional attendees as JSON: [{ name, email, role }]
+    'recurring',            // AG - Yes/No, as in the Recurring column of Calendar_Events
+    'recurrenceRule',       // AH - RRULE value, e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=6
+    'excludedDates',        // AI - Skipped dates of the series, comma-separated YYYY-MM-DD
+    'recurrenceTimeZone',   // AJ - IANA zone the series repeats in (the organizer's)
+    'occurrenceStatus',     // AK - Decisions on single occurrences as JSON: { "YYYY-MM-DD": "approved" | "rejected" }
+    'meetingTypeId',        // AL - Type_ID from the Meeting_Types sheet, e.g. MT002
+    'language'              // AM - Language of the requester's emails: en, es, fr or de
   ];
   
   // Set headers
@@ -128,13 +143,31 @@ function createMeetingRequestsSheet(spreadsheet) {
   sheet.setColumnWidth(22, 200); // Meeting_Link
   sheet.setColumnWidth(23, 100); // Reminder_Sent
   sheet.setColumnWidth(24, 100); // Follow_Up_Required
+  sheet.setColumnWidth(25, 100); // Notes_Shared
+  sheet.setColumnWidth(26, 180); // proposedStartTime
+  sheet.setColumnWidth(27, 180); // proposedEndTime
+  sheet.setColumnWidth(28, 150); // requesterTimeZone
+  sheet.setColumnWidth(29, 120); // calendarSequence
+  sheet.setColumnWidth(30, 180); // proposalExpiresAt
+  sheet.setColumnWidth(31, 250); // attachments
+  sheet.setColumnWidth(32, 300); // attendees
+  sheet.setColumnWidth(33, 80);  // recurring
+  sheet.setColumnWidth(34, 250); // recurrenceRule
+  sheet.setColumnWidth(35, 200); // excludedDates
+  sheet.setColumnWidth(36, 150); // recurrenceTimeZone
+  sheet.setColumnWidth(37, 250); // occurrenceStatus
+  sheet.setColumnWidth(38, 100); // meetingTypeId
+  sheet.setColumnWidth(39, 80);  // language
   
   // Add data validation for specific columns
   addDataValidation(sheet, 'G', ['Online', 'Offline', 'Hybrid']); // Meeting_Type
-  addDataValidation(sheet, 'M', ['Pending', 'Approved', 'Rejected', 'Rescheduled']); // Status
+  addDataValidation(sheet, 'M', ['Pending', 'Approved', 'Rejected', 'Rescheduled', 'Cancelled', 'Declined', 'Countered', 'Expired']); // Status
   addDataValidation(sheet, 'T', ['High', 'Medium', 'Low']); // Priority
   addDataValidation(sheet, 'W', ['Yes', 'No', 'Pending']); // Reminder_Sent
   addDataValidation(sheet, 'X', ['Yes', 'No']); // Follow_Up_Required
+  addDataValidation(sheet, 'Y', ['Yes', 'No']); // Notes_Shared
+  addDataValidation(sheet, 'AG', ['Yes', 'No']); // recurring
+  addDataValidation(sheet, 'AM', ['en', 'es', 'fr', 'de']); // language
   
   console.log('✓ Created Meeting_Requests sheet with ' + headers.length + ' columns');
 }
@@ -424,6 +457,10 @@ function createSystemConfigSheet(spreadsheet) {
     ['business_hours_end', '17:00', '17:00', 'Business hours end time', 'Schedule', 'Time', 'Yes', new Date(), 'System', ''],
     ['default_meeting_duration', '30', '30', 'Default meeting duration in minutes', 'Schedule', 'Number', 'Yes', new Date(), 'System', '15,30,45,60,90,120'],
     ['max_advance_booking_days', '30', '30', 'Maximum days in advance for booking', 'Schedule', 'Number', 'Yes', new Date(), 'System', ''],
+    ['working_days', '1,2,3,4,5', '1,2,3,4,5', 'Days open for meetings (0 = Sunday ... 6 = Saturday)', 'Schedule', 'String', 'Yes', new Date(), 'System', ''],
+    ['blackout_dates', '', '', 'Dates closed for meetings, comma-separated YYYY-MM-DD', 'Schedule', 'String', 'No', new Date(), 'System', ''],
+    ['time_zone', Session.getScriptTimeZone(), Session.getScriptTimeZone(), 'IANA time zone of the business hours and meeting dates', 'Schedule', 'String', 'Yes', new Date(), 'System', ''],
+    ['slot_interval_minutes', '30', '30', 'Minutes between bookable start times', 'Schedule', 'Number', 'Yes', new Date(), 'System', '15,30,60'],
     ['auto_approve_meetings', 'false', 'false', 'Automatically approve meeting requests', 'Workflow', 'Boolean', 'No', new Date(), 'System', 'true,false'],
     ['send_confirmation_emails', 'true', 'true', 'Send email confirmations', 'Email', 'Boolean', 'Yes', new Date(), 'System', 'true,false'],
     ['send_reminder_emails', 'true', 'true', 'Send reminder emails', 'Email', 'Boolean', 'Yes', new Date(), 'System', 'true,false'],
@@ -528,7 +565,7 @@ function createMeetingTypesSheet(spreadsheet) {
     'Preparation_Time',    // G - Buffer time before meeting
     'Follow_Up_Required',  // H - Does this type need follow-up
     'Priority_Level',      // I - Default priority
-    'Available_Modes',     // J - Online/Offline/Both
+    'Available_Modes',     // J - Online, Offline, Hybrid, a list like "Online, Hybrid", or Both for all three
     'Auto_Record',         // K - Should meetings be recorded
     'Send_Materials',      // L - Send prep materials
     'Calendar_Color',      // M - Color coding for calendar
@@ -579,7 +616,7 @@ function createMeetingTypesSheet(spreadsheet) {
   addDataValidation(sheet, 'E', ['Yes', 'No']); // Requires_Approval
   addDataValidation(sheet, 'H', ['Yes', 'No']); // Follow_Up_Required
   addDataValidation(sheet, 'I', ['High', 'Medium', 'Low']); // Priority_Level
-  addDataValidation(sheet, 'J', ['Online', 'Offline', 'Both']); // Available_Modes
+  addDataValidation(sheet, 'J', ['Online', 'Offline', 'Hybrid', 'Online, Offline', 'Online, Hybrid', 'Offline, Hybrid', 'Both']); // Available_Modes
   addDataValidation(sheet, 'K', ['Yes', 'No']); // Auto_Record
   addDataValidation(sheet, 'L', ['Yes', 'No']); // Send_Materials
   addDataValidation(sheet, 'N', ['Yes', 'No']); // Active
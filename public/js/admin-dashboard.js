@@ -4,12 +4,22 @@ let currentMeetings = [];
 let filteredMeetings = [];
 let currentMeetingDetails = null;
 let dashboardStatistics = null; // Store statistics from Google Sheets
+let meetingsEtag = null; // ETag of the last meetings response, for conditional requests
+let currentPage = 1;
+let paginationInfo = null; // Page counts returned by /api/admin/meetings
+let searchDebounceTimer = null;
+let organizerTimeZone = null; // Zone of the meeting dates and times, from /api/admin/meetings
+let meetingTypes = []; // Meeting types catalog, from /api/admin/meeting-types
+
+// Statuses the admin still has to decide on: new requests and answered or expired reschedule proposals
+const ACTIONABLE_STATUSES = ['pending', 'countered', 'declined', 'expired'];
 
 document.addEventListener('DOMContentLoaded', function () {
     console.log('🚀 DOM Content Loaded, waiting for session...');
     // Add a small delay to ensure session is properly established
     setTimeout(() => {
-        initializeAdminDashboard();
+        // Statuses, priorities and dates are shown in the chosen language, see i18n.js
+        localeReady.then(initializeAdminDashboard);
     }, 100);
 });
 
@@ -21,6 +31,12 @@ function initializeAdminDashboard() {
     updateDashboardStats();
     renderMeetingsTable();
 
+    showGoogleConnectionResult();
+    loadGoogleAuthStatus();
+    loadOutbox();
+    loadQuarantine();
+    loadMeetingTypes();
+
     // Try to load data automatically, but don't block initialization
     console.log('📊 Attempting automatic data load...');
     loadDashboardData().catch(error => {
@@ -47,6 +63,102 @@ function setupEventListeners() {
             closeAllModals();
         }
     });
+
+    // Lists written with the format helpers are redrawn in the language just picked
+    document.addEventListener('localechange', () => {
+        renderMeetingsTable();
+        loadOutbox();
+        loadQuarantine();
+        if (currentMeetingDetails) viewMeeting(currentMeetingDetails.requestId);
+    });
+
+    // A new time needs a fresh conflict check, not the override for the old one
+    ['newDate', 'newTime', 'newDuration'].forEach(id => {
+        document.getElementById(id).addEventListener('change', clearConflictWarning);
+    });
+}
+
+// Report the outcome of the Google consent flow (?google=connected|denied|error)
+function showGoogleConnectionResult() {
+    const params = new URLSearchParams(window.location.search);
+    const result = params.get('google');
+    if (!result) return;
+
+    const messages = {
+        connected: ['Google account connected. Private sheets can now be read and updated.', 'success'],
+        denied: ['Google access was not granted.', 'warning'],
+        error: ['Connecting the Google account failed. Please try again.', 'error']
+    };
+    const [message, type] = messages[result] || messages.error;
+    showAlert(message, type);
+
+    // Drop the parameter so a reload doesn't show the message again
+    window.history.replaceState({}, '', window.location.pathname);
+}
+
+// Show the connect/disconnect buttons when the server uses Google OAuth
+async function loadGoogleAuthStatus() {
+    try {
+        const response = await fetch('/api/admin/google/status', { credentials: 'same-origin' });
+        if (!response.ok) return;
+
+        const status = await response.json();
+        const isOAuth = status.mode === 'oauth';
+        document.getElementById('googleConnectBtn').style.display = isOAuth && !status.authorized ? 'flex' : 'none';
+        document.getElementById('googleDisconnectBtn').style.display = isOAuth && status.authorized ? 'flex' : 'none';
+    } catch (error) {
+        console.log('⚠️ Could not load Google auth status:', error.message);
+    }
+}
+
+function connectGoogleAccount() {
+    window.location.href = '/auth/google';
+}
+
+async function disconnectGoogleAccount() {
+    if (!confirm('Disconnect the Google account? Private sheets will no longer be readable.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/admin/google/disconnect', {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Failed to disconnect');
+        }
+
+        showAlert('Google account disconnected.', 'success');
+        loadGoogleAuthStatus();
+        refreshMeetings();
+    } catch (error) {
+        showAlert(`Failed to disconnect Google account: ${error.message}`, 'error');
+    }
+}
+
+// Copy the iCal feed URL so it can be added to Google Calendar, Outlook or Apple Calendar
+async function copyCalendarFeedUrl() {
+    try {
+        const response = await fetch('/api/admin/calendar/feed', { credentials: 'same-origin' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Failed to load the feed URL');
+        }
+
+        try {
+            await navigator.clipboard.writeText(result.url);
+            showAlert('Calendar feed URL copied. Subscribe to it from your calendar app. Anyone with the URL can see approved meetings.', 'success');
+        } catch (clipboardError) {
+            // Clipboard access needs HTTPS or localhost
+            window.prompt('Subscribe to this URL from your calendar app:', result.url);
+        }
+    } catch (error) {
+        showAlert(`Failed to load calendar feed: ${error.message}`, 'error');
+    }
 }
 
 async function loadDashboardData() {
@@ -65,14 +177,9 @@ async function loadDashboardData() {
 async function loadMeetings() {
     console.log('🔍 Starting loadMeetings function...');
     try {
-        // Fetch with cache-busting to ensure fresh data
+        // Revalidate with the server's ETag; unchanged data comes back as 304
         console.log('📡 Fetching from main API endpoint...');
-        const url = `/api/admin/meetings?t=${Date.now()}`;
-        let response = await fetch(url, {
-            method: 'GET',
-            credentials: 'include',
-            headers: { 'Accept': 'application/json' }
-        });
+        let response = await fetchMeetingsList();
 
         console.log('📊 API Response status:', response.status);
 
@@ -81,11 +188,7 @@ async function loadMeetings() {
             console.log('🔐 Got 401, checking if session needs time to establish...');
             await new Promise(resolve => setTimeout(resolve, 500));
             try {
-                const retryResponse = await fetch(`/api/admin/meetings?t=${Date.now()}`, {
-                    method: 'GET',
-                    credentials: 'include',
-                    headers: { 'Accept': 'application/json' }
-                });
+                const retryResponse = await fetchMeetingsList();
                 if (retryResponse.status === 401) {
                     console.log('🔐 Still unauthorized after retry, redirecting to login...');
                     window.location.href = '/admin';
@@ -100,6 +203,14 @@ async function loadMeetings() {
             }
         }
 
+        if (response.status === 304) {
+            console.log('✅ Meetings unchanged since last load');
+            return;
+        }
+
+        // Remember the ETag for the next conditional request
+        meetingsEtag = response.headers.get('ETag');
+
         // Parse response JSON once
         let result = await response.json();
         console.log('📋 API Response result:', result);
@@ -113,8 +224,8 @@ async function loadMeetings() {
         console.log('- result.lastUpdated:', result?.lastUpdated);
         console.log('- Available properties:', result ? Object.keys(result) : 'none');
 
-        // If no meetings returned, try the test endpoint to provide data
-        if (response.ok && (!result?.meetings || result.meetings.length === 0)) {
+        // If the sheet has no meetings at all, try the test endpoint to provide data
+        if (response.ok && (!result?.meetings || result.meetings.length === 0) && !result?.pagination?.totalAll) {
             console.log('📊 No meetings from Google Sheets, trying test endpoint...');
             try {
                 const testResponse = await fetch('/api/admin/meetings/test', {
@@ -155,7 +266,14 @@ async function loadMeetings() {
             }
 
             currentMeetings = Array.isArray(meetings) ? meetings : [];
-            filteredMeetings = [...currentMeetings];
+            filteredMeetings = [...currentMeetings]; // Already filtered and paged by the server
+
+            paginationInfo = result?.pagination || null;
+            organizerTimeZone = result?.timeZone || organizerTimeZone;
+            renderSchemaReport(result?.schemaReport || null);
+            if (paginationInfo) {
+                currentPage = paginationInfo.page;
+            }
 
             // Capture statistics if provided
             dashboardStatistics = result?.statistics || nested?.statistics || null;
@@ -170,6 +288,7 @@ async function loadMeetings() {
 
             // Update UI
             renderMeetingsTable();
+            renderPagination();
             updateDashboardStats();
         } else {
             throw new Error(result?.error || result?.message || 'Failed to load meetings');
@@ -194,6 +313,44 @@ async function loadMeetings() {
     }
 }
 
+function buildMeetingsQuery() {
+    const params = new URLSearchParams();
+    const filters = {
+        search: document.getElementById('searchFilter')?.value.trim(),
+        status: document.getElementById('statusFilter')?.value,
+        priority: document.getElementById('priorityFilter')?.value,
+        meetingType: document.getElementById('typeFilter')?.value,
+        meetingTypeId: document.getElementById('meetingTypeIdFilter')?.value,
+        dateField: document.getElementById('dateFieldFilter')?.value,
+        dateFrom: document.getElementById('dateFromFilter')?.value,
+        dateTo: document.getElementById('dateToFilter')?.value,
+        sortBy: document.getElementById('sortByFilter')?.value,
+        sortDir: document.getElementById('sortDirFilter')?.value,
+        pageSize: document.getElementById('pageSizeFilter')?.value
+    };
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    params.set('page', currentPage);
+
+    return params.toString();
+}
+
+function fetchMeetingsList() {
+    const headers = { 'Accept': 'application/json' };
+    if (meetingsEtag && currentMeetings.length > 0) {
+        headers['If-None-Match'] = meetingsEtag;
+    }
+
+    return fetch(`/api/admin/meetings?${buildMeetingsQuery()}`, {
+        method: 'GET',
+        credentials: 'include',
+        cache: 'no-store',
+        headers
+    });
+}
+
 function getSampleMeetings() {
     return [
         {
@@ -264,21 +421,13 @@ function updateDashboardStats() {
 
     let total, pending, approved, thisWeek;
 
-    // Use statistics from Google Sheets if available
+    // Use statistics from the server if available; the table only holds one page
     if (dashboardStatistics && typeof dashboardStatistics === 'object') {
         console.log('📊 Using statistics from Google Sheets:', dashboardStatistics);
-        total = dashboardStatistics.totalCount || 0;
-        pending = dashboardStatistics.pendingCount || 0;
-        approved = dashboardStatistics.approvedCount || 0;
-
-        // For weekly requests, still calculate from current data as it's not in Google Sheets stats
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-        thisWeek = currentMeetings.filter(m => {
-            if (!m || !m.timestamp) return false;
-            const meetingDate = new Date(m.timestamp);
-            return meetingDate >= oneWeekAgo;
-        }).length;
+        total = dashboardStatistics.total ?? dashboardStatistics.totalCount ?? 0;
+        pending = dashboardStatistics.pending ?? dashboardStatistics.pendingCount ?? 0;
+        approved = dashboardStatistics.approved ?? dashboardStatistics.approvedCount ?? 0;
+        thisWeek = dashboardStatistics.thisWeek ?? 0;
     } else {
         // Fallback to calculating from current meetings array
         console.log('📊 Calculating statistics from meetings array');
@@ -361,6 +510,7 @@ function renderMeetingsTable() {
                     <div style="font-weight: 500;">${escapeHtml(userName)}</div>
                     <div style="font-size: 12px; color: var(--google-gray);">${escapeHtml(userEmail)}</div>
                     ${userCompany ? `<div style="font-size: 12px; color: var(--google-gray);">${escapeHtml(userCompany)}</div>` : ''}
+                    ${meeting.referenceNumber ? `<div style="font-size: 12px; color: var(--google-gray);">Ref: ${escapeHtml(meeting.referenceNumber)}</div>` : ''}
                 </td>
                 <td>
                     <div style="font-weight: 500; margin-bottom: 4px;">${escapeHtml(meetingPurpose)}</div>
@@ -369,11 +519,14 @@ function renderMeetingsTable() {
                 <td>
                     <div style="font-weight: 500;">${date}</div>
                     <div style="font-size: 12px; color: var(--google-gray);">${time}</div>
+                    ${meeting.recurrence ? `<div style="font-size: 12px; color: var(--google-gray);" title="Recurring meeting">🔁 ${escapeHtml(meeting.recurrence)}</div>` : ''}
+                    ${formatRequesterTime(meeting) ? `<div style="font-size: 12px; color: var(--google-gray);" title="Requester's local time">🌍 ${formatRequesterTime(meeting)}</div>` : ''}
                 </td>
                 <td>
                     <span class="status-badge status-type-${meetingType}">
                         ${typeDisplay}
                     </span>
+                    ${meeting.meetingTypeName ? `<div style="font-size: 12px; color: var(--google-gray); margin-top: 4px;">${escapeHtml(meeting.meetingTypeName)}</div>` : ''}
                 </td>
                 <td>
                     <span class="status-badge status-${status}">
@@ -391,7 +544,7 @@ function renderMeetingsTable() {
                         <button class="action-btn action-view" onclick="viewMeeting('${requestId}')" title="View Details">
                             👁️
                         </button>
-                        ${status === 'pending' ? `
+                        ${ACTIONABLE_STATUSES.includes(status) ? `
                             <button class="action-btn action-approve" onclick="showActionModal('${requestId}', 'approve')" title="Approve">
                                 ✅
                             </button>
@@ -431,6 +584,10 @@ function viewMeeting(requestId) {
     modalTitle.textContent = `Meeting Request - ${meeting.userName}`;
 
     meetingDetails.innerHTML = `
+        <div class="detail-group">
+            <div class="detail-label">Reference Number:</div>
+            <div class="detail-value">${escapeHtml(meeting.referenceNumber || '')}</div>
+        </div>
         <div class="detail-group">
             <div class="detail-label">Request ID:</div>
             <div class="detail-value">${meeting.requestId}</div>
@@ -459,6 +616,12 @@ function viewMeeting(requestId) {
             <div class="detail-value">${escapeHtml(meeting.userPosition)}</div>
         </div>
         ` : ''}
+        ${meeting.attendees && meeting.attendees.length > 0 ? `
+        <div class="detail-group">
+            <div class="detail-label">Additional Attendees:</div>
+            <div class="detail-value">${formatAttendees(meeting.attendees)}</div>
+        </div>
+        ` : ''}
         <div class="detail-group">
             <div class="detail-label">Meeting Purpose:</div>
             <div class="detail-value">${escapeHtml(meeting.meetingPurpose)}</div>
@@ -475,14 +638,36 @@ function viewMeeting(requestId) {
         </div>
         <div class="detail-group">
             <div class="detail-label">Preferred Time:</div>
-            <div class="detail-value">${formatTime(meeting.preferredTime)}</div>
+            <div class="detail-value">${formatTime(meeting.preferredTime)}${organizerTimeZone ? ` (${escapeHtml(organizerTimeZone)})` : ''}</div>
         </div>
+        ${formatRequesterTime(meeting) ? `
+        <div class="detail-group">
+            <div class="detail-label">Requester's Local Time:</div>
+            <div class="detail-value">${formatRequesterTime(meeting)}</div>
+        </div>
+        ` : ''}
+        ${meeting.recurrence ? `
+        <div class="detail-group">
+            <div class="detail-label">Repeats:</div>
+            <div class="detail-value">${escapeHtml(meeting.recurrence)}</div>
+        </div>
+        <div class="detail-group">
+            <div class="detail-label">Occurrences:</div>
+            <div class="detail-value">${formatOccurrences(meeting)}</div>
+        </div>
+        ` : ''}
         <div class="detail-group">
             <div class="detail-label">Duration:</div>
             <div class="detail-value">${meeting.estimatedDuration} minutes</div>
         </div>
+        ${meeting.meetingTypeName ? `
         <div class="detail-group">
             <div class="detail-label">Meeting Type:</div>
+            <div class="detail-value">${escapeHtml(meeting.meetingTypeName)}</div>
+        </div>
+        ` : ''}
+        <div class="detail-group">
+            <div class="detail-label">Format:</div>
             <div class="detail-value">${formatMeetingType(meeting.meetingType)}</div>
         </div>
         ${meeting.location ? `
@@ -507,16 +692,32 @@ function viewMeeting(requestId) {
             <div class="detail-value">${escapeHtml(meeting.additionalNotes)}</div>
         </div>
         ` : ''}
+        ${meeting.attachments && meeting.attachments.length > 0 ? `
+        <div class="detail-group">
+            <div class="detail-label">Attachments:</div>
+            <div class="detail-value">${formatAttachments(meeting)}</div>
+        </div>
+        ` : ''}
+        ${meeting.language ? `
+        <div class="detail-group">
+            <div class="detail-label">Language:</div>
+            <div class="detail-value">${escapeHtml(t(`languages.${meeting.language}`))}</div>
+        </div>
+        ` : ''}
         <div class="detail-group">
             <div class="detail-label">Submitted:</div>
             <div class="detail-value">${formatDateTime(meeting.timestamp)}</div>
         </div>
+        <div class="detail-group">
+            <div class="detail-label">History:</div>
+            <div class="detail-value" id="meetingHistory">Loading...</div>
+        </div>
     `;
 
     // Set up footer buttons
     modalFooter.innerHTML = `
         <button class="btn btn-secondary" onclick="closeMeetingModal()">Close</button>
-        ${meeting.status === 'pending' ? `
+        ${ACTIONABLE_STATUSES.includes(meeting.status) ? `
             <button class="btn btn-success" onclick="closeMeetingModal(); showActionModal('${meeting.requestId}', 'approve')">Approve</button>
             <button class="btn btn-danger" onclick="closeMeetingModal(); showActionModal('${meeting.requestId}', 'reject')">Reject</button>
             <button class="btn btn-primary" onclick="closeMeetingModal(); showActionModal('${meeting.requestId}', 'reschedule')">Reschedule</button>
@@ -524,9 +725,52 @@ function viewMeeting(requestId) {
     `;
 
     modal.style.display = 'flex';
+    loadMeetingHistory(meeting.requestId);
+}
+
+async function loadMeetingHistory(requestId) {
+    const container = document.getElementById('meetingHistory');
+
+    try {
+        const response = await fetch(`/api/admin/meetings/${encodeURIComponent(requestId)}/history`, {
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load history');
+        }
+
+        // The modal may have been reopened for another meeting in the meantime
+        if (!container.isConnected) return;
+
+        if (result.history.length === 0) {
+            container.textContent = 'No recorded changes';
+            return;
+        }
+
+        container.innerHTML = result.history.map(entry => {
+            const changes = Object.entries(entry.changes || {})
+                .map(([field, change]) => `${escapeHtml(field)}: ${escapeHtml(change.from || '—')} → ${escapeHtml(change.to || '—')}`)
+                .join('<br>');
+
+            return `
+                <div style="margin-bottom: 8px;">
+                    <strong>${escapeHtml(formatHistoryEvent(entry.event))}</strong>
+                    <span style="color: var(--google-gray); font-size: 12px;">by ${escapeHtml(entry.actor)}, ${formatDateTime(entry.at)}</span>
+                    ${changes ? `<div style="font-size: 13px;">${changes}</div>` : ''}
+                    ${entry.note ? `<div style="font-size: 13px; color: var(--google-gray);">${escapeHtml(entry.note)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading meeting history:', error);
+        container.textContent = 'History unavailable';
+    }
 }
 
-function showActionModal(requestId, action) {
+// occurrenceDate: approve or reject only that occurrence of a recurring series
+function showActionModal(requestId, action, occurrenceDate = '') {
     const meeting = currentMeetings.find(m => m.requestId === requestId);
     if (!meeting) return;
 
@@ -538,6 +782,8 @@ function showActionModal(requestId, action) {
     // Set up modal content
     document.getElementById('actionRequestId').value = requestId;
     document.getElementById('actionType').value = action;
+    document.getElementById('actionLastUpdated').value = meeting.lastUpdated || '';
+    document.getElementById('actionOccurrenceDate').value = occurrenceDate;
 
     const actionTitles = {
         'approve': 'Approve Meeting',
@@ -551,7 +797,9 @@ function showActionModal(requestId, action) {
         'reschedule': 'btn-primary'
     };
 
-    modalTitle.textContent = actionTitles[action];
+    modalTitle.textContent = occurrenceDate
+        ? `${action === 'approve' ? 'Approve' : 'Reject'} Occurrence on ${formatDate(occurrenceDate)}`
+        : actionTitles[action];
     confirmBtn.className = `btn ${actionColors[action]}`;
     confirmBtn.textContent = action.charAt(0).toUpperCase() + action.slice(1);
 
@@ -563,16 +811,67 @@ function showActionModal(requestId, action) {
         document.getElementById('newDate').value = meeting.preferredDate;
         document.getElementById('newTime').value = meeting.preferredTime;
         document.getElementById('newLocation').value = meeting.location || '';
+
+        // The new time is entered in the organizer's zone; the server converts it for the requester
+        const requesterZone = meeting.requesterTimeZone && meeting.requesterTimeZone !== organizerTimeZone
+            ? ` The requester is in ${meeting.requesterTimeZone}; their emails show the time in that zone.`
+            : '';
+        document.getElementById('rescheduleZoneHint').textContent = organizerTimeZone
+            ? `Date and time are in ${organizerTimeZone}.${requesterZone}`
+            : '';
     } else {
         rescheduleFields.style.display = 'none';
     }
 
     // Clear form
     document.getElementById('adminNotes').value = '';
+    document.getElementById('shareNotes').checked = false;
+    clearConflictWarning();
 
     modal.style.display = 'flex';
 }
 
+// Show the meetings that overlap the chosen time and let the admin confirm anyway
+function showConflictWarning(result) {
+    const panel = document.getElementById('conflictWarning');
+    const action = document.getElementById('actionType').value;
+    const slot = result.slot || {};
+
+    // A series can clash on any of its dates
+    const items = result.conflicts.map(conflict => `
+        <li>
+            <strong>${conflict.date && conflict.date !== slot.date ? `${formatDate(conflict.date)}, ` : ''}${formatTime(conflict.time)}</strong> (${conflict.duration} min${conflict.preparationTime ? ` + ${conflict.preparationTime} min preparation` : ''})
+            — ${escapeHtml(conflict.userName || 'Unknown')}: ${escapeHtml(conflict.meetingPurpose || '')}
+            <span class="conflict-id">${escapeHtml(conflict.requestId)}</span>
+        </li>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="alert alert-warning">
+            <strong>${formatDate(slot.date)} at ${formatTime(slot.time)} overlaps ${result.conflicts.length} approved meeting${result.conflicts.length === 1 ? '' : 's'}:</strong>
+            <ul class="conflict-list">${items}</ul>
+            Pick another time, or confirm again to ${action} anyway.
+        </div>
+    `;
+    panel.style.display = 'block';
+
+    document.getElementById('actionOverrideConflicts').value = 'true';
+    document.getElementById('confirmActionBtn').textContent = `${action.charAt(0).toUpperCase() + action.slice(1)} anyway`;
+}
+
+function clearConflictWarning() {
+    const panel = document.getElementById('conflictWarning');
+    const override = document.getElementById('actionOverrideConflicts');
+    if (!override.value) return;
+
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+    override.value = '';
+
+    const action = document.getElementById('actionType').value;
+    document.getElementById('confirmActionBtn').textContent = action.charAt(0).toUpperCase() + action.slice(1);
+}
+
 async function confirmAction() {
     const form = document.getElementById('actionForm');
     const formData = new FormData(form);
@@ -613,9 +912,28 @@ async function confirmAction() {
         const result = await response.json();
 
         if (response.ok && result.success) {
-            showAlert(`Meeting ${actionData.action} successfully!`, 'success');
             closeActionModal();
-            await refreshMeetings();
+            await loadMeetings();
+            updateDashboardStats();
+            loadOutbox();
+
+            if (result.delivered === false) {
+                // Saved, but n8n was unreachable; the outbox will retry
+                showAlert(result.message, 'warning');
+            } else if (actionData.occurrenceDate) {
+                showAlert(`${result.message}.`, 'success');
+            } else {
+                showAlert(`Meeting ${actionData.action} successfully!`, 'success');
+            }
+        } else if (response.status === 409 && result.conflicts) {
+            // The time clashes with other approved meetings; keep the modal open
+            showConflictWarning(result);
+        } else if (response.status === 409) {
+            // Someone else changed the meeting since it was loaded
+            closeActionModal();
+            await loadMeetings();
+            updateDashboardStats();
+            showAlert(result.error || 'This meeting was changed by someone else. Please review it and try again.', 'warning');
         } else {
             throw new Error(result.error || `Failed to ${actionData.action} meeting`);
         }
@@ -632,6 +950,7 @@ async function refreshMeetings() {
     try {
         await loadMeetings();
         updateDashboardStats();
+        loadOutbox();
         showAlert('Meetings refreshed successfully!', 'success');
     } catch (error) {
         console.error('Refresh error:', error);
@@ -639,6 +958,206 @@ async function refreshMeetings() {
     }
 }
 
+// Webhook deliveries to n8n that are waiting for a retry or have failed
+async function loadOutbox() {
+    const tbody = document.getElementById('outboxTableBody');
+    if (!tbody) return;
+
+    try {
+        const status = document.getElementById('outboxStatusFilter')?.value || '';
+        const response = await fetch(`/api/admin/outbox${status ? `?status=${status}` : ''}`, {
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load deliveries');
+        }
+
+        const { pending = 0, dead = 0 } = result.counts || {};
+        document.getElementById('outboxSummary').textContent =
+            `${pending} pending, ${dead} failed. Pending deliveries are retried automatically.`;
+
+        if (result.entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Nothing waiting to be delivered.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = result.entries.map(entry => {
+            const typeLabels = {
+                admin_action: `Admin ${escapeHtml(entry.payload.action || 'action')}`,
+                requester_change: entry.payload.event === 'request_cancelled' ? 'Cancelled by requester' : 'Changed by requester',
+                draft_link: 'Draft link email'
+            };
+            const typeLabel = typeLabels[entry.type] || 'Meeting request';
+            const who = entry.payload.userName ? ` (${escapeHtml(entry.payload.userName)})` : '';
+            const statusLabel = entry.status === 'dead' ? '❌ Failed' : '⏳ Pending';
+            const nextAttempt = entry.status === 'pending' ? formatDateTime(entry.nextAttemptAt) : '—';
+
+            return `
+                <tr>
+                    <td>${typeLabel}</td>
+                    <td>${escapeHtml(entry.payload.requestId || entry.payload.draftId || '')}${who}</td>
+                    <td><span class="status-badge status-${entry.status === 'dead' ? 'rejected' : 'pending'}">${statusLabel}</span></td>
+                    <td>${entry.attempts}</td>
+                    <td style="font-size: 12px; color: var(--google-gray);">${escapeHtml(entry.lastError || '')}</td>
+                    <td style="font-size: 12px;">${nextAttempt}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="action-btn action-approve" onclick="replayDelivery('${entry.id}')" title="Send now">🔁</button>
+                            <button class="action-btn action-reject" onclick="discardDelivery('${entry.id}')" title="Discard">🗑️</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Load outbox error:', error);
+        tbody.innerHTML = '<tr><td colspan="7" class="table-loading">Could not load deliveries.</td></tr>';
+    }
+}
+
+async function replayDelivery(id) {
+    try {
+        const response = await fetch(`/api/admin/outbox/${encodeURIComponent(id)}/replay`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (response.ok && result.success) {
+            showAlert('Delivered to n8n.', 'success');
+            await loadMeetings();
+        } else {
+            showAlert(result.message || result.error || 'Delivery failed.', 'error');
+        }
+    } catch (error) {
+        showAlert(`Failed to replay delivery: ${error.message}`, 'error');
+    }
+
+    loadOutbox();
+}
+
+async function discardDelivery(id) {
+    if (!confirm('Discard this delivery? n8n will never receive it, so no emails will be sent for it.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/outbox/${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to discard');
+        }
+        showAlert('Delivery discarded.', 'success');
+    } catch (error) {
+        showAlert(`Failed to discard delivery: ${error.message}`, 'error');
+    }
+
+    loadOutbox();
+}
+
+// Requests held back as likely spam or duplicates; they only reach n8n when released
+async function loadQuarantine() {
+    const tbody = document.getElementById('quarantineTableBody');
+    if (!tbody) return;
+
+    try {
+        const response = await fetch('/api/admin/quarantine', { credentials: 'same-origin' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load quarantined requests');
+        }
+
+        document.getElementById('quarantineSummary').textContent = result.count > 0
+            ? `${result.count} request${result.count === 1 ? '' : 's'} held back. Release the genuine ones to send them on to n8n.`
+            : '';
+
+        if (result.entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="table-loading">No quarantined requests.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = result.entries.map(entry => {
+            const meeting = entry.meeting;
+            const reasons = (entry.reasons || []).map(reason => `<li>${escapeHtml(reason.message)}</li>`).join('');
+
+            return `
+                <tr>
+                    <td>
+                        <div class="user-name">${escapeHtml(meeting.userName)}</div>
+                        <div class="user-email">${escapeHtml(meeting.userEmail)}</div>
+                    </td>
+                    <td>${escapeHtml(meeting.meetingPurpose)}</td>
+                    <td>${formatDate(meeting.preferredDate)} ${formatTime(meeting.preferredTime)}</td>
+                    <td><ul class="quarantine-reasons">${reasons}</ul></td>
+                    <td style="font-size: 12px;">${formatDateTime(entry.quarantinedAt)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="action-btn action-approve" onclick="releaseQuarantined('${escapeHtml(entry.requestId)}')" title="Release">✅</button>
+                            <button class="action-btn action-reject" onclick="purgeQuarantined('${escapeHtml(entry.requestId)}')" title="Purge">🗑️</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Load quarantine error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="table-loading">Could not load quarantined requests.</td></tr>';
+    }
+}
+
+async function releaseQuarantined(requestId) {
+    try {
+        const response = await fetch(`/api/admin/quarantine/${encodeURIComponent(requestId)}/release`, {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to release');
+        }
+
+        // Saved either way; when n8n was unreachable the outbox retries
+        showAlert(result.delivered ? 'Request released and sent to n8n.' : 'Request released, n8n delivery queued.', 'success');
+        await loadMeetings();
+        loadOutbox();
+    } catch (error) {
+        showAlert(`Failed to release request: ${error.message}`, 'error');
+    }
+
+    loadQuarantine();
+}
+
+async function purgeQuarantined(requestId) {
+    if (!confirm('Purge this request? It is deleted with its attachments and the requester is not told.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/quarantine/${encodeURIComponent(requestId)}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to purge');
+        }
+        showAlert('Request purged.', 'success');
+    } catch (error) {
+        showAlert(`Failed to purge request: ${error.message}`, 'error');
+    }
+
+    loadQuarantine();
+}
+
 async function syncWithN8n() {
     console.log('🔄 Starting Google Sheets refresh...');
 
@@ -669,26 +1188,11 @@ async function syncWithN8n() {
         if (response.ok && result.success) {
             console.log('✅ Google Sheets refresh successful');
 
-            // If we got meetings data back, update immediately
-            if (result.meetings && Array.isArray(result.meetings)) {
-                console.log('📈 Updating meetings data from refresh response');
-                currentMeetings = result.meetings;
-                filteredMeetings = [...currentMeetings];
-
-                // Store statistics if provided
-                if (result.statistics) {
-                    dashboardStatistics = result.statistics;
-                    console.log('📊 Statistics from refresh:', result.statistics);
-                }
-
-                renderMeetingsTable();
-                updateDashboardStats();
-            } else {
-                // Otherwise refresh the data
-                console.log('🔄 Refreshing meetings data after sync');
-                await loadMeetings();
-                updateDashboardStats();
-            }
+            // Reload the current page with the active filters
+            console.log('🔄 Refreshing meetings data after sync');
+            meetingsEtag = null;
+            await loadMeetings();
+            updateDashboardStats();
 
             showAlert('Google Sheets data refreshed successfully!', 'success');
         } else {
@@ -712,48 +1216,321 @@ async function syncWithN8n() {
     }
 }
 
+// Filtering, sorting and paging happen on the server; reload from the first page
 function applyFilters() {
-    const statusFilter = document.getElementById('statusFilter').value;
-    const priorityFilter = document.getElementById('priorityFilter').value;
-    const typeFilter = document.getElementById('typeFilter').value;
+    currentPage = 1;
+    loadMeetings();
+}
+// Meeting types catalog: the types requesters pick from on the booking form
+async function loadMeetingTypes() {
+    const tbody = document.getElementById('meetingTypesTableBody');
+    if (!tbody) return;
 
-    // Ensure currentMeetings is an array
-    if (!Array.isArray(currentMeetings)) {
-        currentMeetings = [];
+    try {
+        const response = await fetch('/api/admin/meeting-types', { credentials: 'same-origin' });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to load meeting types');
+        }
+
+        meetingTypes = result.meetingTypes;
+        renderMeetingTypeFilter();
+
+        // Without write access the catalog is edited in the Meeting_Types sheet itself
+        document.getElementById('addMeetingTypeBtn').style.display = result.canWrite ? '' : 'none';
+        const active = meetingTypes.filter(type => type.active).length;
+        document.getElementById('meetingTypesSummary').textContent =
+            `${active} of ${meetingTypes.length} offered on the booking form.` +
+            (result.canWrite ? '' : ' Connect Google to edit them here, or edit the Meeting_Types sheet.');
+
+        if (meetingTypes.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="table-loading">No meeting types yet. Requesters only choose a format.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = meetingTypes.map(type => `
+            <tr class="${type.active ? '' : 'meeting-type-inactive'}">
+                <td>
+                    <div style="font-weight: 500;">${escapeHtml(type.typeName)}</div>
+                    <div style="font-size: 12px; color: var(--google-gray);">${escapeHtml(type.typeId)}</div>
+                    ${type.description ? `<div style="font-size: 12px; color: var(--google-gray); max-width: 240px;">${escapeHtml(type.description)}</div>` : ''}
+                </td>
+                <td>${type.defaultDuration ? `${type.defaultDuration} min` : '—'}</td>
+                <td>${type.availableModes.map(formatMeetingType).join(', ')}</td>
+                <td>${type.maxAttendees || '—'}</td>
+                <td>${type.preparationTime ? `${type.preparationTime} min` : '—'}</td>
+                <td>${type.requestCount}</td>
+                <td>
+                    <span class="status-badge status-${type.active ? 'approved' : 'cancelled'}">
+                        ${type.active ? 'Active' : 'Inactive'}
+                    </span>
+                </td>
+                <td>
+                    ${result.canWrite ? `
+                    <div class="action-buttons">
+                        <button class="action-btn action-view" onclick="showMeetingTypeModal('${escapeHtml(type.typeId)}')" title="Edit">✏️</button>
+                        <button class="action-btn action-reschedule" onclick="toggleMeetingTypeActive('${escapeHtml(type.typeId)}')" title="${type.active ? 'Deactivate' : 'Activate'}">${type.active ? '⏸️' : '▶️'}</button>
+                        <button class="action-btn action-reject" onclick="deleteMeetingType('${escapeHtml(type.typeId)}')" title="Delete">🗑️</button>
+                    </div>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load meeting types error:', error);
+        tbody.innerHTML = '<tr><td colspan="8" class="table-loading">Could not load meeting types.</td></tr>';
     }
+}
 
-    filteredMeetings = currentMeetings.filter(meeting => {
-        if (!meeting) return false;
+// Keep the type filter in step with the catalog, including inactive types that old requests use
+function renderMeetingTypeFilter() {
+    const select = document.getElementById('meetingTypeIdFilter');
+    if (!select) return;
 
-        const status = meeting.status || 'pending';
-        const priority = meeting.priority || meeting.urgency || 'normal';
-        const meetingType = meeting.meetingType || meeting.meeting_type || 'online';
+    const selected = select.value;
+    select.innerHTML = '<option value="">All</option>' + meetingTypes.map(type =>
+        `<option value="${escapeHtml(type.typeId)}">${escapeHtml(type.typeName)}</option>`
+    ).join('');
+    select.value = meetingTypes.some(type => type.typeId === selected) ? selected : '';
+}
+
+function showMeetingTypeModal(typeId) {
+    const type = meetingTypes.find(entry => entry.typeId === typeId);
+    const form = document.getElementById('meetingTypeForm');
+    form.reset();
+
+    document.getElementById('meetingTypeModalTitle').textContent = type ? `Edit ${type.typeName}` : 'Add Meeting Type';
+    document.getElementById('meetingTypeEditId').value = type ? type.typeId : '';
+    document.getElementById('meetingTypeErrors').style.display = 'none';
+
+    if (type) {
+        document.getElementById('mtTypeName').value = type.typeName;
+        document.getElementById('mtDescription').value = type.description;
+        document.getElementById('mtDefaultDuration').value = type.defaultDuration || '60';
+        document.getElementById('mtMaxAttendees').value = type.maxAttendees || '';
+        document.getElementById('mtPreparationTime').value = type.preparationTime;
+        document.getElementById('mtPriorityLevel').value = type.priorityLevel;
+        document.getElementById('mtCalendarColor').value = type.calendarColor;
+        form.querySelectorAll('input[name="mtAvailableModes"]').forEach(input => {
+            input.checked = type.availableModes.includes(input.value);
+        });
+        document.getElementById('mtActive').checked = type.active;
+        document.getElementById('mtRequiresApproval').checked = type.requiresApproval;
+        document.getElementById('mtFollowUpRequired').checked = type.followUpRequired;
+        document.getElementById('mtAutoRecord').checked = type.autoRecord;
+        document.getElementById('mtSendMaterials').checked = type.sendMaterials;
+    }
+
+    document.getElementById('meetingTypeModal').style.display = 'flex';
+}
+
+function readMeetingTypeForm() {
+    return {
+        typeName: document.getElementById('mtTypeName').value.trim(),
+        description: document.getElementById('mtDescription').value.trim(),
+        defaultDuration: document.getElementById('mtDefaultDuration').value,
+        maxAttendees: document.getElementById('mtMaxAttendees').value,
+        preparationTime: document.getElementById('mtPreparationTime').value || '0',
+        priorityLevel: document.getElementById('mtPriorityLevel').value,
+        calendarColor: document.getElementById('mtCalendarColor').value.trim(),
+        availableModes: Array.from(document.querySelectorAll('input[name="mtAvailableModes"]:checked')).map(input => input.value),
+        active: document.getElementById('mtActive').checked,
+        requiresApproval: document.getElementById('mtRequiresApproval').checked,
+        followUpRequired: document.getElementById('mtFollowUpRequired').checked,
+        autoRecord: document.getElementById('mtAutoRecord').checked,
+        sendMaterials: document.getElementById('mtSendMaterials').checked
+    };
+}
 
-        if (statusFilter && status !== statusFilter) return false;
-        if (priorityFilter && priority !== priorityFilter) return false;
-        if (typeFilter && meetingType !== typeFilter) return false;
-        return true;
+// Create or replace a meeting type through the catalog API
+async function submitMeetingType(typeId, values) {
+    const response = await fetch(typeId ? `/api/admin/meeting-types/${encodeURIComponent(typeId)}` : '/api/admin/meeting-types', {
+        method: typeId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify(values)
     });
+    return { response, result: await response.json() };
+}
 
-    renderMeetingsTable();
+async function saveMeetingType() {
+    const typeId = document.getElementById('meetingTypeEditId').value;
+    const errorPanel = document.getElementById('meetingTypeErrors');
+
+    try {
+        showLoading(true);
+        const { response, result } = await submitMeetingType(typeId, readMeetingTypeForm());
+
+        if (!response.ok) {
+            const details = (result.details || []).map(detail => `<li>${escapeHtml(detail.message)}</li>`).join('');
+            errorPanel.innerHTML = `
+                <div class="alert alert-error">
+                    <strong>${escapeHtml(result.error || 'Failed to save meeting type')}</strong>
+                    ${details ? `<ul class="conflict-list">${details}</ul>` : ''}
+                </div>
+            `;
+            errorPanel.style.display = 'block';
+            return;
+        }
+
+        showAlert(result.message, 'success');
+        closeMeetingTypeModal();
+        loadMeetingTypes();
+    } catch (error) {
+        showAlert(`Failed to save meeting type: ${error.message}`, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function toggleMeetingTypeActive(typeId) {
+    const type = meetingTypes.find(entry => entry.typeId === typeId);
+    if (!type) return;
+
+    try {
+        const { requestCount, ...values } = type;
+        const { response, result } = await submitMeetingType(typeId, { ...values, active: !type.active });
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to update');
+        }
+        showAlert(type.active ? `${type.typeName} is no longer offered.` : `${type.typeName} is offered again.`, 'success');
+    } catch (error) {
+        showAlert(`Failed to update meeting type: ${error.message}`, 'error');
+    }
+
+    loadMeetingTypes();
+}
+
+async function deleteMeetingType(typeId) {
+    const type = meetingTypes.find(entry => entry.typeId === typeId);
+    if (!type || !confirm(`Delete the meeting type "${type.typeName}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/meeting-types/${encodeURIComponent(typeId)}`, {
+            method: 'DELETE',
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || result.error || 'Failed to delete');
+        }
+        showAlert('Meeting type deleted.', 'success');
+    } catch (error) {
+        showAlert(`Failed to delete meeting type: ${error.message}`, 'error');
+    }
+
+    loadMeetingTypes();
+}
+
+function onSearchInput() {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(applyFilters, 300);
 }
 
 function clearFilters() {
-    const statusFilter = document.getElementById('statusFilter');
-    const priorityFilter = document.getElementById('priorityFilter');
-    const typeFilter = document.getElementById('typeFilter');
+    const defaults = {
+        searchFilter: '',
+        statusFilter: '',
+        priorityFilter: '',
+        typeFilter: '',
+        meetingTypeIdFilter: '',
+        dateFieldFilter: 'preferred',
+        dateFromFilter: '',
+        dateToFilter: '',
+        sortByFilter: 'createdDate',
+        sortDirFilter: 'desc',
+        pageSizeFilter: '25'
+    };
 
-    if (statusFilter) statusFilter.value = '';
-    if (priorityFilter) priorityFilter.value = '';
-    if (typeFilter) typeFilter.value = '';
+    Object.entries(defaults).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    });
 
-    // Ensure currentMeetings is an array
-    if (!Array.isArray(currentMeetings)) {
-        currentMeetings = [];
+    applyFilters();
+}
+
+function goToPage(page) {
+    const totalPages = paginationInfo ? paginationInfo.totalPages : 1;
+    if (page < 1 || page > totalPages) return;
+
+    currentPage = page;
+    loadMeetings();
+}
+
+// Show which sheet columns are missing, unknown or hold values of the wrong type
+function renderSchemaReport(report) {
+    const panel = document.getElementById('schemaReportPanel');
+    if (!panel) return;
+
+    if (!report || (report.ok && report.renamed.length === 0)) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
     }
 
-    filteredMeetings = [...currentMeetings];
-    renderMeetingsTable();
+    const items = [];
+
+    report.missing.forEach(column => {
+        items.push(`Missing column <strong>${escapeHtml(column.header)}</strong> — ${escapeHtml(column.field)} will be empty for every meeting`);
+    });
+
+    report.unknown.forEach(header => {
+        items.push(`Unknown column <strong>${escapeHtml(header)}</strong> — not shown in the dashboard`);
+    });
+
+    report.renamed.forEach(column => {
+        items.push(`Column <strong>${escapeHtml(column.actual)}</strong> was matched to ${escapeHtml(column.expected)}`);
+    });
+
+    report.mistyped.forEach(column => {
+        const expected = column.allowed ? `one of ${column.allowed.join(', ')}` : `a ${column.type}`;
+        const samples = column.samples.map(value => `"${escapeHtml(String(value))}"`).join(', ');
+        items.push(`<strong>${escapeHtml(column.header)}</strong> should be ${escapeHtml(expected)} but ${column.count} row(s) differ (rows ${column.rows.join(', ')}${column.count > column.rows.length ? ', …' : ''}): ${samples}`);
+    });
+
+    const type = report.ok ? 'info' : 'warning';
+    const title = report.ok
+        ? 'Some sheet columns were matched by a different name.'
+        : `The ${escapeHtml(report.sheetName || 'meetings')} sheet does not match the expected columns.`;
+
+    panel.innerHTML = `
+        <div class="alert alert-${type}">
+            <details>
+                <summary>${title} (${items.length} issue${items.length === 1 ? '' : 's'})</summary>
+                <ul class="schema-report-list">
+                    ${items.map(item => `<li>${item}</li>`).join('')}
+                </ul>
+            </details>
+        </div>
+    `;
+    panel.style.display = 'block';
+}
+
+function renderPagination() {
+    const bar = document.getElementById('paginationBar');
+    if (!bar) return;
+
+    if (!paginationInfo || paginationInfo.total === 0) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    const { page, pageSize, total, totalPages, totalAll } = paginationInfo;
+    const first = (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, total);
+
+    document.getElementById('paginationSummary').textContent =
+        `Showing ${first}–${last} of ${total} matching requests` + (totalAll !== total ? ` (${totalAll} total)` : '');
+    document.getElementById('paginationPage').textContent = `Page ${page} of ${totalPages}`;
+    document.getElementById('prevPageBtn').disabled = page <= 1;
+    document.getElementById('nextPageBtn').disabled = page >= totalPages;
+    bar.style.display = 'flex';
 }
 
 async function logout() {
@@ -787,9 +1564,15 @@ function closeActionModal() {
     document.getElementById('actionForm').reset();
 }
 
+function closeMeetingTypeModal() {
+    document.getElementById('meetingTypeModal').style.display = 'none';
+    document.getElementById('meetingTypeForm').reset();
+}
+
 function closeAllModals() {
     closeMeetingModal();
     closeActionModal();
+    closeMeetingTypeModal();
 }
 
 function showAlert(message, type = 'info') {
@@ -818,7 +1601,7 @@ function showLoading(show) {
 // Utility functions
 function formatDate(dateString) {
     const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(getLocale(), {
         year: 'numeric',
         month: 'short',
         day: 'numeric'
@@ -830,52 +1613,105 @@ function formatTime(timeString) {
     const time = new Date();
     time.setHours(parseInt(hours), parseInt(minutes));
 
-    return time.toLocaleTimeString('en-US', {
+    return time.toLocaleTimeString(getLocale(), {
         hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
+        minute: '2-digit'
     });
 }
 
+function formatAttendees(attendees) {
+    return attendees.map(attendee => `
+        <div>${escapeHtml(attendee.name)} &lt;${escapeHtml(attendee.email)}&gt;${attendee.role ? ` - ${escapeHtml(attendee.role)}` : ''}</div>
+    `).join('');
+}
+
+// Types the attachment route serves inline, so they get a Preview link
+const PREVIEW_TYPES = ['application/pdf', 'text/plain', 'image/png', 'image/jpeg'];
+
+function formatAttachments(meeting) {
+    return meeting.attachments.map(attachment => {
+        const url = `/api/admin/meetings/${encodeURIComponent(meeting.requestId)}/attachments/${encodeURIComponent(attachment.id)}`;
+        return `
+            <div class="attachment-item">
+                📎 ${escapeHtml(attachment.name)}
+                <span class="attachment-size">${formatFileSize(attachment.size)}</span>
+                ${PREVIEW_TYPES.includes(attachment.mimeType) ? `<a href="${url}" target="_blank" rel="noopener">Preview</a>` : ''}
+                <a href="${url}?download=1">Download</a>
+            </div>
+        `;
+    }).join('');
+}
+
+function formatFileSize(bytes) {
+    const size = Number(bytes) || 0;
+    return size >= 1024 * 1024 ? `${(size / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(size / 1024)} KB`;
+}
+
+// Dates of a recurring series with their status, and buttons to decide each one on its own
+function formatOccurrences(meeting) {
+    return (meeting.occurrences || []).map(occurrence => `
+        <div class="occurrence-item">
+            ${formatDate(occurrence.date)}
+            <span class="status-badge status-${occurrence.status}">${formatStatus(occurrence.status)}</span>
+            ${occurrence.status !== 'approved' ? `<button class="btn btn-success btn-small" onclick="closeMeetingModal(); showActionModal('${meeting.requestId}', 'approve', '${occurrence.date}')">Approve</button>` : ''}
+            ${occurrence.status !== 'rejected' ? `<button class="btn btn-danger btn-small" onclick="closeMeetingModal(); showActionModal('${meeting.requestId}', 'reject', '${occurrence.date}')">Reject</button>` : ''}
+        </div>
+    `).join('');
+}
+
+// When the requester is in another zone, the meeting start in their local time
+function formatRequesterTime(meeting) {
+    const zone = meeting.requesterTimeZone;
+    if (!zone || zone === organizerTimeZone || !meeting.proposedStartTime) return '';
+
+    const start = new Date(meeting.proposedStartTime);
+    if (isNaN(start.getTime())) return '';
+
+    try {
+        return `${start.toLocaleString(getLocale(), {
+            timeZone: zone,
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        })} (${escapeHtml(zone)})`;
+    } catch (error) {
+        return ''; // Zone unknown to this browser
+    }
+}
+
 function formatDateTime(isoString) {
     const date = new Date(isoString);
-    return date.toLocaleString('en-US', {
+    return date.toLocaleString(getLocale(), {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
         hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
+        minute: '2-digit'
     });
 }
 
+// Labels from the message catalog; values it doesn't know are shown as they are
+function formatLabel(group, value) {
+    const key = `${group}.${value}`;
+    const label = value ? t(key) : key;
+    return label === key ? value : label;
+}
+
 function formatMeetingType(type) {
-    const types = {
-        'online': 'Online',
-        'offline': 'In-Person',
-        'hybrid': 'Hybrid'
-    };
-    return types[type] || type;
+    return formatLabel('formats', type);
 }
 
 function formatStatus(status) {
-    const statuses = {
-        'pending': 'Pending',
-        'approved': 'Approved',
-        'rejected': 'Rejected',
-        'rescheduled': 'Rescheduled'
-    };
-    return statuses[status] || status;
+    return formatLabel('statuses', status);
 }
 
 function formatPriority(priority) {
-    const priorities = {
-        'low': 'Low',
-        'normal': 'Normal',
-        'high': 'High',
-        'urgent': 'Urgent'
-    };
-    return priorities[priority] || priority;
+    return formatLabel('priorities', priority);
+}
+
+function formatHistoryEvent(event) {
+    return formatLabel('history', event);
 }
 
 function escapeHtml(text) {
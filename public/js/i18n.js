@@ -0,0 +1,131 @@
+// Booking form translations
+//
+// Messages come from /locales/<locale>.json, the same catalogs the server uses
+// for the text it writes in the requester's language. Elements are translated
+// through data attributes:
+//   data-i18n="form.userName"                   text content
+//   data-i18n-placeholder, data-i18n-title,
+//   data-i18n-aria-label                        the attribute of the same name
+//   data-i18n-params='{"max": 10}'               values for the {placeholders}
+
+// Same list as SUPPORTED_LOCALES in services/locales.js
+const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'meetingSystemLocale';
+
+const localeCatalogs = {};
+let currentLocale = DEFAULT_LOCALE;
+
+// Supported locale for a code such as "es-MX", or null
+function matchLocale(value) {
+    const primary = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+// ?lang= in the link, then the requester's earlier choice, then the browser's languages
+function negotiateLocale() {
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        // Storage blocked; the choice just isn't remembered
+    }
+
+    const candidates = [new URLSearchParams(window.location.search).get('lang'), stored, ...(navigator.languages || [navigator.language])];
+    for (const candidate of candidates) {
+        const locale = matchLocale(candidate);
+        if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+}
+
+async function loadCatalog(locale) {
+    if (localeCatalogs[locale]) return;
+
+    try {
+        const response = await fetch(`/locales/${locale}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        localeCatalogs[locale] = await response.json();
+    } catch (error) {
+        console.error(`Could not load the ${locale} messages:`, error);
+        localeCatalogs[locale] = {};
+    }
+}
+
+function lookupMessage(catalog, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+/**
+ * Message in the current language, falling back to English.
+ * Messages with plural forms ({ one, other, ... }) are picked by params.count.
+ * @param {string} key Dotted path, e.g. "form.userName"
+ * @param {Object} [params] Values for the {placeholders}
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    let message = lookupMessage(localeCatalogs[currentLocale], key);
+    if (message === undefined) message = lookupMessage(localeCatalogs[DEFAULT_LOCALE], key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+        message = message[category] || message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Translate the page's static text
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, JSON.parse(element.dataset.i18nParams || '{}'));
+    });
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+        const dataName = 'i18n' + attribute.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase());
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.dataset[dataName]));
+        });
+    });
+
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('[data-locale-select]').forEach(select => {
+        select.value = currentLocale;
+    });
+}
+
+/**
+ * Switch the page to another language and remember the choice.
+ * Scripts re-render their own dynamic text on the "localechange" event.
+ * @param {string} locale
+ */
+async function setLocale(locale) {
+    currentLocale = matchLocale(locale) || DEFAULT_LOCALE;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+    } catch (error) {
+        // Storage blocked; the choice just isn't remembered
+    }
+
+    await loadCatalog(currentLocale);
+    applyTranslations();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: currentLocale } }));
+}
+
+// Resolves once the messages are loaded; page scripts wait for it before rendering
+const localeReady = (async () => {
+    currentLocale = negotiateLocale();
+    await Promise.all([loadCatalog(DEFAULT_LOCALE), loadCatalog(currentLocale)]);
+
+    if (document.readyState === 'loading') {
+        await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+    applyTranslations();
+    document.querySelectorAll('[data-locale-select]').forEach(select => {
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+})();
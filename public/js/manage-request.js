@@ -0,0 +1,262 @@
+// Manage request page - lets a requester change or cancel a pending meeting request
+
+const params = new URLSearchParams(window.location.search);
+const manageRequestId = params.get('id');
+const manageToken = params.get('token');
+
+document.addEventListener('DOMContentLoaded', function () {
+    document.getElementById('preferredDate').min = new Date().toISOString().split('T')[0];
+    document.getElementById('modifyForm').addEventListener('submit', saveChanges);
+    loadRequest();
+});
+
+function manageApiUrl(suffix = '') {
+    return `/api/meeting/manage/${encodeURIComponent(manageRequestId)}${suffix}`;
+}
+
+async function loadRequest() {
+    if (!manageRequestId || !manageToken) {
+        showManageError('This link is incomplete. Please open the link from your confirmation email.');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const response = await fetch(`${manageApiUrl()}?token=${encodeURIComponent(manageToken)}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showManageError(result.message || result.error || 'Could not load your request.');
+            return;
+        }
+
+        renderRequest(result);
+    } catch (error) {
+        console.error('Manage lookup error:', error);
+        showManageError('Network error. Please check your connection and try again.');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderRequest(result) {
+    const request = result.request;
+
+    document.getElementById('manageSubtitle').textContent = `Reference Number: ${request.referenceNumber}`;
+
+    const rows = [
+        ['Purpose', request.meetingPurpose],
+        ['Status', request.status.charAt(0).toUpperCase() + request.status.slice(1)],
+        ['Date & Time', `${formatDate(request.preferredDate)} at ${formatTime(request.preferredTime)}`],
+        ['Duration', request.estimatedDuration ? `${request.estimatedDuration} minutes` : ''],
+        ['Meeting Type', formatMeetingType(request.meetingType)],
+        ['Location', request.location]
+    ];
+
+    document.getElementById('currentDetails').innerHTML = rows
+        .filter(([, value]) => value)
+        .map(([label, value]) => `
+        <div class="summary-item">
+            <div class="summary-label">${label}:</div>
+            <div class="summary-value">${escapeHtml(value)}</div>
+        </div>
+        `).join('');
+
+    const footerNote = document.getElementById('manageFooterNote');
+    const statusLink = result.statusUrl ? ` <a href="${escapeHtml(result.statusUrl)}">View the status page</a>.` : '';
+
+    if (result.canModify) {
+        document.getElementById('preferredDate').value = request.preferredDate;
+        document.getElementById('preferredTime').value = request.preferredTime;
+        document.getElementById('estimatedDuration').value = String(request.estimatedDuration || '60');
+        document.getElementById('meetingType').value = request.meetingType || 'online';
+        document.getElementById('location').value = request.location;
+        toggleLocationField();
+
+        document.getElementById('modifyForm').style.display = 'block';
+        document.getElementById('cancelSection').style.display = 'block';
+        footerNote.innerHTML = `This link works until ${escapeHtml(new Date(result.expiresAt).toLocaleString())}.${statusLink}`;
+    } else {
+        document.getElementById('modifyForm').style.display = 'none';
+        document.getElementById('cancelSection').style.display = 'none';
+        footerNote.innerHTML = `This request has been ${escapeHtml(request.status)} and can no longer be changed here. Please contact us if you need help.${statusLink}`;
+    }
+
+    document.getElementById('manageContent').style.display = 'block';
+}
+
+function toggleLocationField() {
+    const meetingType = document.getElementById('meetingType').value;
+    const needsLocation = meetingType === 'offline' || meetingType === 'hybrid';
+
+    document.getElementById('locationGroup').style.display = needsLocation ? 'block' : 'none';
+    document.getElementById('location').required = needsLocation;
+}
+
+async function saveChanges(event) {
+    event.preventDefault();
+    clearFieldErrors();
+
+    const meetingType = document.getElementById('meetingType').value;
+    const changes = {
+        token: manageToken,
+        preferredDate: document.getElementById('preferredDate').value,
+        preferredTime: document.getElementById('preferredTime').value,
+        estimatedDuration: document.getElementById('estimatedDuration').value,
+        meetingType,
+        location: meetingType === 'online' ? '' : document.getElementById('location').value.trim()
+    };
+
+    const saveBtn = document.getElementById('saveChangesBtn');
+    saveBtn.disabled = true;
+    showLoading(true);
+
+    try {
+        const response = await fetch(manageApiUrl(), {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            (result.details || []).forEach(detail => showFieldError(detail.field, detail.message));
+            showAlert(result.message || result.error || 'Failed to save your changes.', 'error');
+            return;
+        }
+
+        showAlert('Your changes have been saved. Our team will review the updated request.', 'success');
+        await loadRequest();
+    } catch (error) {
+        console.error('Save changes error:', error);
+        showAlert('Network error. Please check your connection and try again.', 'error');
+    } finally {
+        saveBtn.disabled = false;
+        showLoading(false);
+    }
+}
+
+async function cancelRequest() {
+    if (!confirm('Are you sure you want to cancel this meeting request?')) {
+        return;
+    }
+
+    const cancelBtn = document.getElementById('cancelRequestBtn');
+    cancelBtn.disabled = true;
+    showLoading(true);
+
+    try {
+        const response = await fetch(manageApiUrl('/cancel'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                token: manageToken,
+                reason: document.getElementById('cancelReason').value.trim()
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showAlert(result.message || result.error || 'Failed to cancel your request.', 'error');
+            return;
+        }
+
+        showAlert('Your request has been cancelled.', 'success');
+        await loadRequest();
+    } catch (error) {
+        console.error('Cancel request error:', error);
+        showAlert('Network error. Please check your connection and try again.', 'error');
+    } finally {
+        cancelBtn.disabled = false;
+        showLoading(false);
+    }
+}
+
+function showManageError(message) {
+    document.getElementById('manageSubtitle').textContent = 'We could not open this request';
+    document.getElementById('manageContent').style.display = 'none';
+    showAlert(message, 'error');
+}
+
+function showAlert(message, type = 'info') {
+    const alertContainer = document.getElementById('alertContainer');
+    alertContainer.className = `alert alert-${type}`;
+    alertContainer.textContent = message;
+    alertContainer.style.display = 'flex';
+    alertContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function showFieldError(fieldName, message) {
+    const field = document.getElementById(fieldName);
+    const errorElement = document.getElementById(`${fieldName}-error`);
+
+    if (field) {
+        field.classList.add('error');
+    }
+
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    }
+}
+
+function clearFieldErrors() {
+    document.querySelectorAll('.error-message').forEach(el => {
+        el.style.display = 'none';
+        el.textContent = '';
+    });
+    document.querySelectorAll('.error').forEach(field => field.classList.remove('error'));
+}
+
+function showLoading(show) {
+    document.getElementById('loadingOverlay').style.display = show ? 'flex' : 'none';
+}
+
+// Utility functions
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+}
+
+function formatDate(dateString) {
+    // Parse YYYY-MM-DD as a local date so it doesn't shift a day in negative UTC offsets
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    const date = day ? new Date(year, month - 1, day) : new Date(dateString);
+    if (isNaN(date)) return dateString;
+
+    return date.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function formatTime(timeString) {
+    const [hours, minutes] = String(timeString).split(':');
+    if (isNaN(parseInt(hours)) || isNaN(parseInt(minutes))) return timeString;
+
+    const time = new Date();
+    time.setHours(parseInt(hours), parseInt(minutes));
+
+    return time.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+function formatMeetingType(type) {
+    const types = {
+        'online': '🌐 Online Meeting',
+        'offline': '🏢 In-Person Meeting',
+        'hybrid': '🔄 Hybrid Meeting'
+    };
+    return types[type] || type;
+}
@@ -0,0 +1,259 @@
+// Request status page - shows a requester the current state of their meeting request
+
+const STATUS_DETAILS = {
+    pending: {
+        icon: '⏳',
+        label: 'Pending Review',
+        message: 'Our admin team has not reviewed your request yet. You will get an email as soon as they do.'
+    },
+    approved: {
+        icon: '✅',
+        label: 'Approved',
+        message: 'Your meeting is confirmed. A calendar invitation has been sent to your email.'
+    },
+    rescheduled: {
+        icon: '📅',
+        label: 'New Time Proposed',
+        message: 'We proposed a new time for your meeting. Please accept it, decline it or suggest another time.'
+    },
+    countered: {
+        icon: '🔁',
+        label: 'Other Time Suggested',
+        message: 'Thank you for suggesting another time. Our admin team will get back to you.'
+    },
+    declined: {
+        icon: '↩️',
+        label: 'Proposal Declined',
+        message: 'You declined the time we proposed. Our admin team will get back to you.'
+    },
+    expired: {
+        icon: '⌛',
+        label: 'Proposal Expired',
+        message: 'The time we proposed was not confirmed in time and has been released. Our admin team will get back to you.'
+    },
+    rejected: {
+        icon: '❌',
+        label: 'Not Approved',
+        message: 'Unfortunately we could not accept this meeting request.'
+    },
+    cancelled: {
+        icon: '🚫',
+        label: 'Cancelled',
+        message: 'This meeting request was cancelled.'
+    }
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    loadRequestStatus();
+});
+
+async function loadRequestStatus() {
+    const params = new URLSearchParams(window.location.search);
+    const requestId = params.get('id');
+    const token = params.get('token');
+
+    if (!requestId || !token) {
+        showStatusError('This status link is incomplete. Please open the link from your confirmation email.');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const response = await fetch(`/api/meeting/status/${encodeURIComponent(requestId)}?token=${encodeURIComponent(token)}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showStatusError(result.message || result.error || 'Could not load your request.');
+            return;
+        }
+
+        renderRequestStatus(result.request);
+    } catch (error) {
+        console.error('Status lookup error:', error);
+        showStatusError('Network error. Please check your connection and try again.');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderRequestStatus(request) {
+    const details = STATUS_DETAILS[request.status] || {
+        icon: 'ℹ️',
+        label: request.status,
+        message: ''
+    };
+
+    document.getElementById('alertContainer').style.display = 'none';
+    document.getElementById('statusSubtitle').textContent = `Reference Number: ${request.referenceNumber}`;
+    document.getElementById('statusIcon').textContent = details.icon;
+    document.getElementById('statusMessage').textContent = details.message;
+
+    const badge = document.getElementById('statusBadge');
+    badge.textContent = details.label;
+    badge.className = `status-pill status-${request.status}`;
+
+    const confirmed = request.status === 'approved' || request.status === 'rescheduled';
+    const occurrences = request.occurrences || [];
+    const rows = [
+        ['Purpose', request.meetingPurpose],
+        ['Requested', request.preferredDate
+            ? `${formatDate(request.preferredDate)}${request.preferredTime ? ` at ${formatTime(request.preferredTime)}` : ''}`
+            : ''],
+        [request.status === 'rescheduled' ? 'Proposed' : 'Confirmed', confirmed && request.confirmedDate
+            ? `${formatDate(request.confirmedDate)}${request.confirmedTime ? ` at ${formatTime(request.confirmedTime)}` : ''}`
+            : ''],
+        ['Repeats', request.recurrence],
+        ['Time Zone', request.organizerTimeZone],
+        ['Your Local Time', formatLocalStart(request)],
+        ['Duration', request.estimatedDuration ? `${request.estimatedDuration} minutes` : ''],
+        ['Meeting Type', request.meetingTypeName],
+        ['Format', formatMeetingType(request.meetingType)],
+        ['Location', request.location],
+        ['Submitted', request.submittedAt ? new Date(request.submittedAt).toLocaleString() : '']
+    ];
+
+    const detailsContainer = document.getElementById('statusDetails');
+    detailsContainer.innerHTML = rows
+        .filter(([, value]) => value)
+        .map(([label, value]) => `
+        <div class="summary-item">
+            <div class="summary-label">${label}:</div>
+            <div class="summary-value">${escapeHtml(value)}</div>
+        </div>
+        `).join('');
+
+    // Only link to http(s) URLs
+    if (/^https?:\/\//i.test(request.meetingLink || '')) {
+        detailsContainer.innerHTML += `
+        <div class="summary-item">
+            <div class="summary-label">Meeting Link:</div>
+            <div class="summary-value"><a href="${escapeHtml(request.meetingLink)}" target="_blank" rel="noopener">${escapeHtml(request.meetingLink)}</a></div>
+        </div>
+        `;
+    }
+
+    // Recurring series: each date with its own status, as the admin may decide dates one by one
+    if (occurrences.length > 0) {
+        detailsContainer.innerHTML += `
+        <div class="summary-item">
+            <div class="summary-label">Dates:</div>
+            <div class="summary-value">${occurrences.map(occurrence => `
+                <div>${escapeHtml(formatDate(occurrence.date))}
+                    <span class="status-pill status-${escapeHtml(occurrence.status)}">${escapeHtml((STATUS_DETAILS[occurrence.status] || { label: occurrence.status }).label)}</span>
+                </div>
+            `).join('')}</div>
+        </div>
+        `;
+    }
+
+    // Open reschedule proposal: link to the page for answering it
+    const respondLink = document.getElementById('respondLink');
+    if (request.respondUrl) {
+        respondLink.href = request.respondUrl;
+        respondLink.style.display = 'inline-flex';
+    } else {
+        respondLink.style.display = 'none';
+    }
+
+    // .ics download once the meeting is on the calendar (or a cancellation after that)
+    const calendarDownload = document.getElementById('calendarDownload');
+    if (request.calendarUrl) {
+        calendarDownload.href = request.calendarUrl;
+        const onCalendar = occurrences.length > 0
+            ? occurrences.some(occurrence => occurrence.status === 'approved' || occurrence.status === 'rescheduled')
+            : confirmed;
+        calendarDownload.textContent = onCalendar ? '📅 Add to Calendar' : '📅 Remove from Calendar';
+        calendarDownload.style.display = 'inline-flex';
+    } else {
+        calendarDownload.style.display = 'none';
+    }
+
+    const sharedNotes = document.getElementById('sharedNotes');
+    if (request.adminNotes) {
+        document.getElementById('sharedNotesText').textContent = request.adminNotes;
+        sharedNotes.style.display = 'block';
+    } else {
+        sharedNotes.style.display = 'none';
+    }
+
+    document.getElementById('statusContent').style.display = 'block';
+}
+
+function showStatusError(message) {
+    document.getElementById('statusSubtitle').textContent = 'We could not show this request';
+    document.getElementById('statusContent').style.display = 'none';
+
+    const alertContainer = document.getElementById('alertContainer');
+    alertContainer.className = 'alert alert-error';
+    alertContainer.textContent = message;
+    alertContainer.style.display = 'flex';
+}
+
+function showLoading(show) {
+    document.getElementById('loadingOverlay').style.display = show ? 'flex' : 'none';
+}
+
+// Utility functions
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+}
+
+function formatDate(dateString) {
+    // Parse YYYY-MM-DD as a local date so it doesn't shift a day in negative UTC offsets
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    const date = day ? new Date(year, month - 1, day) : new Date(dateString);
+    if (isNaN(date)) return dateString;
+
+    return date.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// The start time in the requester's own zone, when it differs from the organizer's
+function formatLocalStart(request) {
+    const zone = request.requesterTimeZone;
+    if (!request.startTime || !zone || zone === request.organizerTimeZone) return '';
+
+    try {
+        const local = new Date(request.startTime).toLocaleString('en-US', {
+            timeZone: zone,
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        return `${local} (${zone})`;
+    } catch (error) {
+        return '';
+    }
+}
+
+function formatTime(timeString) {
+    const [hours, minutes] = String(timeString).split(':');
+    if (isNaN(parseInt(hours)) || isNaN(parseInt(minutes))) return timeString;
+
+    const time = new Date();
+    time.setHours(parseInt(hours), parseInt(minutes));
+
+    return time.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+function formatMeetingType(type) {
+    const types = {
+        'online': '🌐 Online Meeting',
+        'offline': '🏢 In-Person Meeting',
+        'hybrid': '🔄 Hybrid Meeting'
+    };
+    return types[type] || type;
+}
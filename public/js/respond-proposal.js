@@ -0,0 +1,308 @@
+// Respond page - lets a requester accept, decline or counter a reschedule proposal
+
+const params = new URLSearchParams(window.location.search);
+const proposalRequestId = params.get('id');
+const proposalToken = params.get('token');
+
+// The requester's own zone, to show the proposed time in local time as well
+const requesterTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Length and type of the meeting, for the counter-proposal slot picker
+let meetingDuration = 60;
+let meetingTypeId = '';
+
+const CLOSED_DAY_MESSAGES = {
+    past: 'This date is in the past.',
+    too_far_ahead: 'This date is too far ahead. Please choose an earlier date.',
+    blackout: 'We are not taking meetings on this date.',
+    closed: 'We are closed on this day.'
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    document.getElementById('counterDate').min = new Date().toISOString().split('T')[0];
+    document.getElementById('counterDate').addEventListener('change', loadTimeSlots);
+    loadProposal();
+});
+
+function proposalApiUrl(suffix = '') {
+    return `/api/meeting/proposal/${encodeURIComponent(proposalRequestId)}${suffix}`;
+}
+
+async function loadProposal() {
+    if (!proposalRequestId || !proposalToken) {
+        showProposalError('This link is incomplete. Please open the link from the reschedule email.');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const response = await fetch(`${proposalApiUrl()}?token=${encodeURIComponent(proposalToken)}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showProposalError(result.message || result.error || 'Could not load the proposal.');
+            return;
+        }
+
+        renderProposal(result);
+    } catch (error) {
+        console.error('Proposal lookup error:', error);
+        showProposalError('Network error. Please check your connection and try again.');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function renderProposal(result) {
+    const request = result.request;
+    meetingDuration = parseInt(request.estimatedDuration, 10) || 60;
+    meetingTypeId = request.meetingTypeId || '';
+
+    document.getElementById('proposalSubtitle').textContent = `Reference Number: ${request.referenceNumber}`;
+
+    const otherZone = request.requesterTimeZone && request.requesterTimeZone !== request.organizerTimeZone;
+    const rows = [
+        ['Purpose', request.meetingPurpose],
+        ['You Asked For', request.originalDate ? `${formatDate(request.originalDate)} at ${formatTime(request.originalTime)}` : ''],
+        ['Proposed Time', request.proposedDate ? `${formatDate(request.proposedDate)} at ${formatTime(request.proposedTime)}` : ''],
+        ['Time Zone', request.organizerTimeZone],
+        ['Your Local Time', otherZone && request.startTime ? formatInstant(request.startTime, request.requesterTimeZone) : ''],
+        ['Duration', request.estimatedDuration ? `${request.estimatedDuration} minutes` : ''],
+        ['Meeting Type', formatMeetingType(request.meetingType)],
+        ['Location', request.location]
+    ];
+
+    document.getElementById('proposalDetails').innerHTML = rows
+        .filter(([, value]) => value)
+        .map(([label, value]) => `
+        <div class="summary-item">
+            <div class="summary-label">${label}:</div>
+            <div class="summary-value">${escapeHtml(value)}</div>
+        </div>
+        `).join('');
+
+    const notes = document.getElementById('proposalNotes');
+    if (request.adminNotes) {
+        document.getElementById('proposalNotesText').textContent = request.adminNotes;
+        notes.style.display = 'block';
+    } else {
+        notes.style.display = 'none';
+    }
+
+    const footerNote = document.getElementById('proposalFooterNote');
+    const statusLink = result.statusUrl ? ` <a href="${escapeHtml(result.statusUrl)}">View the status page</a>.` : '';
+
+    if (result.canRespond) {
+        document.getElementById('responseSection').style.display = 'block';
+        footerNote.innerHTML = `Please answer by ${escapeHtml(new Date(result.expiresAt).toLocaleString())}. After that the proposed time is released.${statusLink}`;
+    } else {
+        document.getElementById('responseSection').style.display = 'none';
+        footerNote.innerHTML = `This proposal is no longer open (the request is ${escapeHtml(request.status)}).${statusLink}`;
+    }
+
+    document.getElementById('proposalContent').style.display = 'block';
+}
+
+function toggleCounterProposal() {
+    const counterSection = document.getElementById('counterSection');
+    const show = counterSection.style.display === 'none';
+    counterSection.style.display = show ? 'block' : 'none';
+    if (show) {
+        counterSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+async function loadTimeSlots() {
+    const date = document.getElementById('counterDate').value;
+    const slotPicker = document.getElementById('slotPicker');
+    document.getElementById('counterTime').value = '';
+
+    if (!date) {
+        slotPicker.innerHTML = '<p class="slot-hint">Choose a date to see the available times.</p>';
+        return;
+    }
+
+    slotPicker.innerHTML = '<p class="slot-hint">Loading available times...</p>';
+
+    try {
+        const slotParams = new URLSearchParams({ from: date, to: date, duration: meetingDuration });
+        if (meetingTypeId) slotParams.set('meetingTypeId', meetingTypeId);
+        const response = await fetch(`/api/availability?${slotParams}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load available times');
+        }
+
+        const otherZone = result.timeZone && result.timeZone !== requesterTimeZone;
+        const day = result.days[0];
+        if (!day.open) {
+            slotPicker.innerHTML = `<p class="slot-hint">${CLOSED_DAY_MESSAGES[day.reason] || 'No meetings can be booked on this date.'}</p>`;
+        } else if (day.slots.length === 0) {
+            slotPicker.innerHTML = '<p class="slot-hint">No free times left on this date. Please choose another day.</p>';
+        } else {
+            slotPicker.innerHTML = (otherZone
+                ? `<p class="slot-hint slot-zone-hint">Times are in our time zone (${result.timeZone}); your local time (${requesterTimeZone}) is shown below each one.</p>`
+                : '') + day.slots.map(slot => `
+                <button type="button" class="slot-btn" data-time="${slot.time}" onclick="selectTimeSlot(this)">
+                    ${formatTime(slot.time)}${otherZone ? `<span class="slot-local">${formatInstant(slot.start, requesterTimeZone, { timeStyle: 'short' })}</span>` : ''}
+                </button>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Availability error:', error);
+        slotPicker.innerHTML = '<p class="slot-hint">Could not load available times. Please try again.</p>';
+    }
+}
+
+function selectTimeSlot(button) {
+    document.querySelectorAll('.slot-btn').forEach(btn => btn.classList.remove('selected'));
+    button.classList.add('selected');
+    document.getElementById('counterTime').value = button.dataset.time;
+}
+
+async function respondToProposal(answer) {
+    clearFieldErrors();
+
+    const body = {
+        token: proposalToken,
+        response: answer,
+        message: document.getElementById('responseMessage').value.trim()
+    };
+
+    if (answer === 'counter') {
+        body.date = document.getElementById('counterDate').value;
+        body.time = document.getElementById('counterTime').value;
+
+        if (!body.date) {
+            showFieldError('date', 'Please choose a date');
+            return;
+        }
+        if (!body.time) {
+            showFieldError('time', 'Please pick one of the available times');
+            return;
+        }
+    } else if (answer === 'decline' && !confirm('Decline the proposed time? The time will be released.')) {
+        return;
+    }
+
+    const buttons = document.querySelectorAll('#responseSection button');
+    buttons.forEach(button => { button.disabled = true; });
+    showLoading(true);
+
+    try {
+        const response = await fetch(proposalApiUrl('/respond'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            (result.details || []).forEach(detail => showFieldError(detail.field, detail.message));
+            showAlert(result.message || result.error || 'Failed to save your answer.', 'error');
+            if (answer === 'counter' && response.status === 409) {
+                loadTimeSlots();
+            }
+            return;
+        }
+
+        showAlert(result.message, 'success');
+        await loadProposal();
+    } catch (error) {
+        console.error('Proposal response error:', error);
+        showAlert('Network error. Please check your connection and try again.', 'error');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+        showLoading(false);
+    }
+}
+
+function showProposalError(message) {
+    document.getElementById('proposalSubtitle').textContent = 'We could not open this proposal';
+    document.getElementById('proposalContent').style.display = 'none';
+    showAlert(message, 'error');
+}
+
+function showAlert(message, type = 'info') {
+    const alertContainer = document.getElementById('alertContainer');
+    alertContainer.className = `alert alert-${type}`;
+    alertContainer.textContent = message;
+    alertContainer.style.display = 'flex';
+    alertContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function showFieldError(fieldName, message) {
+    const errorElement = document.getElementById(`${fieldName}-error`);
+    if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+    }
+}
+
+function clearFieldErrors() {
+    document.querySelectorAll('.error-message').forEach(el => {
+        el.style.display = 'none';
+        el.textContent = '';
+    });
+}
+
+function showLoading(show) {
+    document.getElementById('loadingOverlay').style.display = show ? 'flex' : 'none';
+}
+
+// Utility functions
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
+}
+
+// A UTC instant in a zone, e.g. "Tue, Nov 4, 4:00 PM (Europe/Berlin)"
+function formatInstant(isoString, timeZone, options) {
+    const formatted = new Date(isoString).toLocaleString('en-US', {
+        timeZone,
+        ...(options || { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    });
+    return options ? formatted : `${formatted} (${timeZone})`;
+}
+
+function formatDate(dateString) {
+    // Parse YYYY-MM-DD as a local date so it doesn't shift a day in negative UTC offsets
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    const date = day ? new Date(year, month - 1, day) : new Date(dateString);
+    if (isNaN(date)) return dateString;
+
+    return date.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function formatTime(timeString) {
+    const [hours, minutes] = String(timeString).split(':');
+    if (isNaN(parseInt(hours)) || isNaN(parseInt(minutes))) return timeString;
+
+    const time = new Date();
+    time.setHours(parseInt(hours), parseInt(minutes));
+
+    return time.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+    });
+}
+
+function formatMeetingType(type) {
+    const types = {
+        'online': '🌐 Online Meeting',
+        'offline': '🏢 In-Person Meeting',
+        'hybrid': '🔄 Hybrid Meeting'
+    };
+    return types[type] || type;
+}
@@ -1,5 +1,14 @@
 // User Panel JavaScript
-document.addEventListener('DOMContentLoaded', function () {
+
+// The requester's IANA time zone, sent with the request
+const requesterTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Zone of the business hours, from /api/availability
+let organizerTimeZone = null;
+
+// The form is filled in once its messages are loaded, see i18n.js
+document.addEventListener('DOMContentLoaded', async function () {
+    await localeReady;
     initializeUserPanel();
 });
 
@@ -7,11 +16,35 @@ function initializeUserPanel() {
     // Set minimum date to today
     const today = new Date().toISOString().split('T')[0];
     document.getElementById('preferredDate').min = today;
+    document.getElementById('timeZone').value = requesterTimeZone;
+    document.getElementById('formStartedAt').value = Date.now();
 
     // Add event listeners
     setupFormValidation();
+    const meetingTypesReady = setupMeetingTypes();
     setupMeetingTypeToggle();
+    setupSlotPicker();
+    setupAttendees();
+    setupRecurrence();
+    setupAttachmentInput();
     setupFormSubmission();
+    document.addEventListener('localechange', refreshLocalizedText);
+
+    // A draft can name a meeting type, so it waits for the catalog
+    setupDrafts(meetingTypesReady);
+}
+
+// Text this script wrote, again in the language just picked; i18n.js did the page's own text
+function refreshLocalizedText() {
+    renderOccurrenceList();
+    refreshTimeSlots();
+
+    const draft = readLocalDraft();
+    if (draft && draftPromptOpen) {
+        showDraftPrompt(draft);
+    } else if (draft && document.getElementById('draftStatus').style.display !== 'none') {
+        updateDraftStatus(draft.savedAt);
+    }
 }
 
 function setupFormValidation() {
@@ -24,13 +57,97 @@ function setupFormValidation() {
     });
 }
 
+// Active meeting types from /api/meeting-types; empty when the catalog has none
+let meetingTypes = [];
+
+async function setupMeetingTypes() {
+    const select = document.getElementById('meetingTypeId');
+    select.addEventListener('change', applyMeetingType);
+
+    try {
+        const response = await fetch('/api/meeting-types');
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load meeting types');
+        }
+        meetingTypes = result.meetingTypes;
+    } catch (error) {
+        console.error('Meeting types error:', error);
+    }
+
+    // Without a catalog the form works as before: every format, any duration
+    if (meetingTypes.length === 0) return;
+
+    select.innerHTML = `<option value="" data-i18n="form.meetingTypeIdPlaceholder">${escapeHtml(t('form.meetingTypeIdPlaceholder'))}</option>` + meetingTypes
+        .map(type => `<option value="${escapeHtml(type.typeId)}">${escapeHtml(type.typeName)}</option>`)
+        .join('');
+    select.required = true;
+    select.addEventListener('blur', () => validateField(select));
+    document.getElementById('meetingTypeIdGroup').style.display = 'block';
+}
+
+function getSelectedMeetingType() {
+    const typeId = document.getElementById('meetingTypeId').value;
+    return meetingTypes.find(type => type.typeId === typeId) || null;
+}
+
+// Apply the chosen type's defaults: its duration and the formats it is offered in
+function applyMeetingType() {
+    const select = document.getElementById('meetingTypeId');
+    const type = getSelectedMeetingType();
+    clearFieldError(select);
+    document.getElementById('meetingTypeHint').textContent = type ? type.description : '';
+
+    const duration = document.getElementById('estimatedDuration');
+    const defaultDuration = type && type.defaultDuration ? String(type.defaultDuration) : '';
+    if (defaultDuration && duration.querySelector(`option[value="${defaultDuration}"]`)) {
+        duration.value = defaultDuration;
+    }
+    // The type's preparation time changes which slots are free, even at the same duration
+    loadTimeSlots();
+
+    const allowed = type ? type.availableModes : ['online', 'offline', 'hybrid'];
+    document.querySelectorAll('#meetingTypeGroup .radio-option').forEach(option => {
+        const input = option.querySelector('input[type="radio"]');
+        const enabled = allowed.includes(input.value);
+        input.disabled = !enabled;
+        option.classList.toggle('disabled', !enabled);
+
+        if (!enabled && input.checked) {
+            input.checked = false;
+            option.classList.remove('selected');
+            toggleLocationField('');
+        }
+    });
+
+    // Types held in one format only don't leave a choice
+    if (allowed.length === 1) {
+        document.querySelector(`#meetingTypeGroup .radio-option[data-value="${allowed[0]}"]`).click();
+    }
+}
+
+// Attendees a request may add: the type's group size counts the requester too
+function getAttendeeLimit() {
+    const type = getSelectedMeetingType();
+    return type && type.maxAttendees ? Math.min(MAX_ATTENDEES, type.maxAttendees - 1) : MAX_ATTENDEES;
+}
+
+function describeAttendeeLimit() {
+    const type = getSelectedMeetingType();
+    return type && type.maxAttendees && type.maxAttendees - 1 < MAX_ATTENDEES
+        ? t('attendees.typeLimit', { typeName: type.typeName, count: type.maxAttendees })
+        : t('attendees.limit', { count: MAX_ATTENDEES });
+}
+
 function setupMeetingTypeToggle() {
     const radioOptions = document.querySelectorAll('.radio-option');
-    const locationGroup = document.getElementById('locationGroup');
-    const locationInput = document.getElementById('location');
 
     radioOptions.forEach(option => {
         option.addEventListener('click', function () {
+            // Formats the chosen meeting type isn't offered in
+            if (this.classList.contains('disabled')) return;
+
             // Clear previous selections
             radioOptions.forEach(opt => opt.classList.remove('selected'));
 
@@ -39,22 +156,749 @@ function setupMeetingTypeToggle() {
             const radioInput = this.querySelector('input[type="radio"]');
             radioInput.checked = true;
 
-            // Show/hide location field
-            const value = radioInput.value;
-            if (value === 'offline' || value === 'hybrid') {
-                locationGroup.style.display = 'block';
-                locationInput.required = true;
-            } else {
-                locationGroup.style.display = 'none';
-                locationInput.required = false;
-                locationInput.value = '';
-            }
-
+            toggleLocationField(radioInput.value);
             clearFieldError(radioInput);
         });
     });
 }
 
+// Show/hide location field
+function toggleLocationField(meetingType) {
+    const locationGroup = document.getElementById('locationGroup');
+    const locationInput = document.getElementById('location');
+
+    if (meetingType === 'offline' || meetingType === 'hybrid') {
+        locationGroup.style.display = 'block';
+        locationInput.required = true;
+    } else {
+        locationGroup.style.display = 'none';
+        locationInput.required = false;
+        locationInput.value = '';
+    }
+}
+
+// Why a date has no slots (group "closed") or a slot was refused ("unavailable"),
+// keyed by the reason from the server
+function describeSlotReason(group, reason) {
+    const key = `slots.${group}.${reason}`;
+    const message = t(key);
+    return message === key ? t(`slots.${group}.other`) : message;
+}
+
+function setupSlotPicker() {
+    document.getElementById('preferredDate').addEventListener('change', loadTimeSlots);
+    document.getElementById('estimatedDuration').addEventListener('change', loadTimeSlots);
+}
+
+async function loadTimeSlots() {
+    const date = document.getElementById('preferredDate').value;
+    const duration = document.getElementById('estimatedDuration').value;
+    const meetingTypeId = document.getElementById('meetingTypeId').value;
+    const slotPicker = document.getElementById('slotPicker');
+    const timeInput = document.getElementById('preferredTime');
+
+    // A slot picked for another date, duration or meeting type may not be free
+    timeInput.value = '';
+
+    if (!date) {
+        slotPicker.innerHTML = `<p class="slot-hint">${t('slots.chooseDate')}</p>`;
+        return;
+    }
+
+    slotPicker.innerHTML = `<p class="slot-hint">${t('slots.loading')}</p>`;
+
+    try {
+        const params = new URLSearchParams({ from: date, to: date, duration });
+        if (meetingTypeId) params.set('meetingTypeId', meetingTypeId);
+        const response = await fetch(`/api/availability?${params}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to load available times');
+        }
+
+        organizerTimeZone = result.timeZone;
+        const otherZone = organizerTimeZone && organizerTimeZone !== requesterTimeZone;
+
+        const day = result.days[0];
+        if (!day.open) {
+            slotPicker.innerHTML = `<p class="slot-hint">${describeSlotReason('closed', day.reason)}</p>`;
+        } else if (day.slots.length === 0) {
+            slotPicker.innerHTML = `<p class="slot-hint">${t('slots.noneLeft')}</p>`;
+        } else {
+            // Slots are in the organizer's zone; label them with the requester's local time too
+            slotPicker.innerHTML = (otherZone
+                ? `<p class="slot-hint slot-zone-hint">${t('slots.zoneHint', { organizerTimeZone, requesterTimeZone })}</p>`
+                : '') + day.slots.map(slot => `
+                <button type="button" class="slot-btn" data-time="${slot.time}" data-start="${slot.start}" onclick="selectTimeSlot(this)">
+                    ${formatTime(slot.time)}${otherZone ? `<span class="slot-local">${formatInstant(slot.start, { timeStyle: 'short' })}</span>` : ''}
+                </button>
+            `).join('');
+        }
+    } catch (error) {
+        console.error('Availability error:', error);
+        slotPicker.innerHTML = `<p class="slot-hint">${t('slots.loadFailed')}</p>`;
+    }
+}
+
+// Slots again in the language just picked, keeping the chosen time
+async function refreshTimeSlots() {
+    const time = document.getElementById('preferredTime').value;
+    await loadTimeSlots();
+
+    const slot = time && document.querySelector(`.slot-btn[data-time="${time}"]`);
+    if (slot) selectTimeSlot(slot);
+}
+
+function selectTimeSlot(button) {
+    document.querySelectorAll('.slot-btn').forEach(btn => btn.classList.remove('selected'));
+    button.classList.add('selected');
+
+    const timeInput = document.getElementById('preferredTime');
+    timeInput.value = button.dataset.time;
+    timeInput.dataset.start = button.dataset.start;
+    clearFieldError(timeInput);
+}
+
+// Same limit as MAX_ATTENDEES on the server
+const MAX_ATTENDEES = 10;
+
+function setupAttendees() {
+    document.getElementById('addAttendeeBtn').addEventListener('click', () => addAttendeeRow());
+}
+
+// attendee fills in the row, e.g. from a draft
+function addAttendeeRow(attendee) {
+    const list = document.getElementById('attendeeList');
+    if (list.children.length >= getAttendeeLimit()) {
+        showFieldError('attendees', describeAttendeeLimit());
+        return;
+    }
+
+    // The inputs have no name, so collectFormData leaves them to collectAttendees
+    const row = document.createElement('div');
+    row.className = 'attendee-row';
+    row.innerHTML = `
+        <input type="text" class="form-input" data-attendee-field="name" maxlength="100"
+            data-i18n-placeholder="attendees.name" placeholder="${escapeHtml(t('attendees.name'))}">
+        <input type="email" class="form-input" data-attendee-field="email" maxlength="254"
+            data-i18n-placeholder="attendees.email" placeholder="${escapeHtml(t('attendees.email'))}">
+        <input type="text" class="form-input" data-attendee-field="role" maxlength="100"
+            data-i18n-placeholder="attendees.role" placeholder="${escapeHtml(t('attendees.role'))}">
+        <button type="button" class="attendee-remove" data-i18n-title="attendees.remove" data-i18n-aria-label="attendees.remove"
+            title="${escapeHtml(t('attendees.remove'))}" aria-label="${escapeHtml(t('attendees.remove'))}">×</button>
+    `;
+    row.querySelector('.attendee-remove').addEventListener('click', () => {
+        row.remove();
+        clearAttendeeErrors();
+        scheduleDraftSave();
+    });
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', () => input.classList.remove('error')));
+
+    list.appendChild(row);
+    if (attendee) {
+        row.querySelectorAll('input').forEach(input => {
+            input.value = attendee[input.dataset.attendeeField] || '';
+        });
+    } else {
+        row.querySelector('input').focus();
+    }
+}
+
+// Rows left completely empty are ignored
+function collectAttendees() {
+    return Array.from(document.querySelectorAll('#attendeeList .attendee-row'))
+        .map(row => ({
+            name: row.querySelector('[data-attendee-field="name"]').value.trim(),
+            email: row.querySelector('[data-attendee-field="email"]').value.trim(),
+            role: row.querySelector('[data-attendee-field="role"]').value.trim()
+        }))
+        .filter(attendee => attendee.name || attendee.email || attendee.role);
+}
+
+function validateAttendees() {
+    clearAttendeeErrors();
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const seen = [document.getElementById('userEmail').value.trim().toLowerCase()];
+    let isValid = true;
+
+    Array.from(document.querySelectorAll('#attendeeList .attendee-row')).forEach((row, index) => {
+        const name = row.querySelector('[data-attendee-field="name"]');
+        const email = row.querySelector('[data-attendee-field="email"]');
+        const role = row.querySelector('[data-attendee-field="role"]');
+        if (!name.value.trim() && !email.value.trim() && !role.value.trim()) return;
+
+        const address = email.value.trim().toLowerCase();
+        let message = '';
+        if (!name.value.trim()) {
+            message = t('attendees.nameRequired');
+            name.classList.add('error');
+        } else if (!emailRegex.test(address)) {
+            message = t('validation.email');
+            email.classList.add('error');
+        } else if (seen.includes(address)) {
+            message = t('attendees.duplicate');
+            email.classList.add('error');
+        }
+        seen.push(address);
+
+        if (message) {
+            appendAttendeeError(index, message);
+            isValid = false;
+        }
+    });
+
+    // The meeting type may have been changed to a smaller one after adding attendees
+    if (collectAttendees().length > getAttendeeLimit()) {
+        appendAttendeeError(-1, describeAttendeeLimit());
+        isValid = false;
+    }
+
+    return isValid;
+}
+
+// Server errors name the attendee and field, e.g. attendees[1].email
+function showAttendeeError(field, message) {
+    const match = field.match(/^attendees\[(\d+)\]\.(\w+)$/);
+    if (!match) {
+        showFieldError('attendees', message);
+        return;
+    }
+
+    // Indexes refer to the non-empty rows that were sent
+    const rows = Array.from(document.querySelectorAll('#attendeeList .attendee-row'));
+    const row = rows.filter(candidate => Array.from(candidate.querySelectorAll('input')).some(input => input.value.trim()))[parseInt(match[1], 10)];
+    const input = row && row.querySelector(`[data-attendee-field="${match[2]}"]`);
+    if (input) {
+        input.classList.add('error');
+    }
+    appendAttendeeError(rows.indexOf(row), message);
+}
+
+function appendAttendeeError(index, message) {
+    const errorElement = document.getElementById('attendees-error');
+    const line = index >= 0 ? t('attendees.rowError', { index: index + 1, message }) : message;
+    errorElement.textContent = errorElement.textContent ? `${errorElement.textContent} ${line}` : line;
+    errorElement.style.display = 'block';
+}
+
+function clearAttendeeErrors() {
+    const errorElement = document.getElementById('attendees-error');
+    errorElement.textContent = '';
+    errorElement.style.display = 'none';
+    document.querySelectorAll('#attendeeList .error').forEach(input => input.classList.remove('error'));
+}
+
+// Same limits as recurrence.js on the server
+const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 366;
+
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+function setupRecurrence() {
+    const toggle = document.getElementById('repeatMeeting');
+    toggle.addEventListener('change', () => {
+        document.getElementById('recurrenceFields').style.display = toggle.checked ? 'block' : 'none';
+        clearRecurrenceError();
+        renderOccurrenceList();
+    });
+
+    document.getElementById('recurrenceEnd').addEventListener('change', event => {
+        document.getElementById('recurrenceCountGroup').style.display = event.target.value === 'count' ? 'block' : 'none';
+        document.getElementById('recurrenceUntilGroup').style.display = event.target.value === 'until' ? 'block' : 'none';
+    });
+
+    ['preferredDate', 'recurrenceFrequency', 'recurrenceInterval', 'recurrenceEnd', 'recurrenceCount', 'recurrenceUntil'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderOccurrenceList);
+    });
+}
+
+// The recurrence as entered, without the skipped dates
+function readRecurrenceInputs() {
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    const endsOn = document.getElementById('recurrenceEnd').value;
+
+    return {
+        frequency,
+        interval: parseInt(document.getElementById('recurrenceInterval').value, 10) || 1,
+        count: endsOn === 'count' ? parseInt(document.getElementById('recurrenceCount').value, 10) || 0 : null,
+        until: endsOn === 'until' ? document.getElementById('recurrenceUntil').value : null
+    };
+}
+
+// Dates of a series, the same way the server works them out: a month without
+// the start day (e.g. the 31st) is skipped
+function listSeriesDates(startDate, { frequency, interval, count, until }) {
+    const [year, month, day] = String(startDate).split('-').map(Number);
+    if (!day) return [];
+
+    const toKey = date => date.toISOString().slice(0, 10);
+    const lastDate = [until, toKey(new Date(Date.UTC(year, month - 1, day + MAX_SERIES_DAYS)))].filter(Boolean).sort()[0];
+    const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const step = Math.max(interval, 1);
+    const dates = [];
+
+    for (let index = 0; dates.length < limit; index++) {
+        const date = frequency === 'monthly'
+            ? new Date(Date.UTC(year, month - 1 + index * step, day))
+            : new Date(Date.UTC(year, month - 1, day + index * step * (frequency === 'weekly' ? 7 : 1)));
+
+        if (frequency === 'monthly' && date.getUTCDate() !== day) continue;
+        if (toKey(date) > lastDate) break;
+        dates.push(toKey(date));
+    }
+
+    return dates;
+}
+
+// One checkbox per date of the series; unticked dates are skipped
+function renderOccurrenceList() {
+    const list = document.getElementById('occurrenceList');
+    const startDate = document.getElementById('preferredDate').value;
+    const recurrence = readRecurrenceInputs();
+    document.getElementById('recurrenceIntervalHint').textContent =
+        t(`recurrence.units.${FREQUENCY_UNITS[recurrence.frequency]}`, { count: recurrence.interval });
+
+    if (!document.getElementById('repeatMeeting').checked) return;
+    if (!startDate) {
+        list.innerHTML = `<p class="slot-hint">${t('recurrence.chooseDate')}</p>`;
+        return;
+    }
+
+    const skipped = new Set(getSkippedDates());
+    list.innerHTML = listSeriesDates(startDate, recurrence).map((date, index) => `
+        <label class="occurrence-option${skipped.has(date) ? ' skipped' : ''}">
+            <input type="checkbox" data-occurrence-date="${date}" ${skipped.has(date) ? '' : 'checked'} ${index === 0 ? 'disabled' : ''}>
+            ${formatShortDate(date)}
+        </label>
+    `).join('');
+
+    list.querySelectorAll('input').forEach(input => input.addEventListener('change', () => {
+        input.parentElement.classList.toggle('skipped', !input.checked);
+        clearRecurrenceError();
+    }));
+}
+
+function getSkippedDates() {
+    return Array.from(document.querySelectorAll('#occurrenceList input:not(:checked)')).map(input => input.dataset.occurrenceDate);
+}
+
+// The recurrence to send, or null for a single meeting
+function collectRecurrence() {
+    if (!document.getElementById('repeatMeeting').checked) return null;
+
+    const { frequency, interval, count, until } = readRecurrenceInputs();
+    return {
+        frequency,
+        interval,
+        ...(count ? { count } : { until }),
+        excludedDates: getSkippedDates()
+    };
+}
+
+function validateRecurrence() {
+    clearRecurrenceError();
+    if (!document.getElementById('repeatMeeting').checked) return true;
+
+    const startDate = document.getElementById('preferredDate').value;
+    const recurrence = readRecurrenceInputs();
+    let message = '';
+
+    if (recurrence.interval < 1 || recurrence.interval > 12) {
+        message = t('recurrence.errors.interval');
+    } else if (recurrence.count !== null && (recurrence.count < 2 || recurrence.count > MAX_OCCURRENCES)) {
+        message = t('recurrence.errors.count', { max: MAX_OCCURRENCES });
+    } else if (recurrence.until !== null && !recurrence.until) {
+        message = t('recurrence.errors.untilMissing');
+    } else if (recurrence.until && startDate && recurrence.until <= startDate) {
+        message = t('recurrence.errors.untilBefore');
+    } else if (recurrence.count && startDate && listSeriesDates(startDate, recurrence).length < recurrence.count) {
+        // The meetings wouldn't all fit in the longest series allowed
+        message = t('recurrence.errors.tooLong', { days: MAX_SERIES_DAYS });
+    } else if (startDate && listSeriesDates(startDate, recurrence).length - getSkippedDates().length < 2) {
+        message = t('recurrence.errors.tooFew');
+    }
+
+    if (message) {
+        showFieldError('recurrence', message);
+        return false;
+    }
+    return true;
+}
+
+function clearRecurrenceError() {
+    const errorElement = document.getElementById('recurrence-error');
+    errorElement.textContent = '';
+    errorElement.style.display = 'none';
+}
+
+// "Weekly, 4 times" / "Every 2 weeks, until Thu, Dec 17", built like the server's summary
+function describeRecurrence(recurrence) {
+    const every = recurrence.interval > 1
+        ? t(`recurrence.summary.every.${FREQUENCY_UNITS[recurrence.frequency]}`, { interval: recurrence.interval })
+        : t(`recurrence.frequencies.${recurrence.frequency}`);
+    const end = recurrence.count
+        ? t('recurrence.summary.count', { count: recurrence.count })
+        : t('recurrence.summary.until', { date: formatShortDate(recurrence.until) });
+    const summary = t('recurrence.summary.pattern', { every, end });
+
+    return recurrence.excludedDates.length > 0
+        ? t('recurrence.summary.except', { summary, dates: recurrence.excludedDates.map(formatShortDate).join(', ') })
+        : summary;
+}
+
+// Same types as ATTACHMENT_TYPES on the server, which checks them again
+const ATTACHMENT_EXTENSIONS = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.txt', '.csv', '.png', '.jpg', '.jpeg'];
+
+function setupAttachmentInput() {
+    const input = document.getElementById('attachments');
+    input.addEventListener('change', () => {
+        renderAttachmentList();
+        validateAttachments();
+    });
+}
+
+function getSelectedAttachments() {
+    return Array.from(document.getElementById('attachments').files);
+}
+
+function renderAttachmentList() {
+    document.getElementById('attachmentList').innerHTML = getSelectedAttachments().map(file => `
+        <li>📎 ${escapeHtml(file.name)}<span class="attachment-size">${formatFileSize(file.size)}</span></li>
+    `).join('');
+}
+
+function validateAttachments() {
+    const input = document.getElementById('attachments');
+    const files = getSelectedAttachments();
+    const maxFiles = parseInt(input.dataset.maxFiles, 10);
+    const maxSize = parseFloat(input.dataset.maxSizeMb) * 1024 * 1024;
+
+    clearFieldError(input);
+
+    if (files.length > maxFiles) {
+        showFieldError('attachments', t('validation.tooManyFiles', { count: maxFiles }));
+        return false;
+    }
+
+    const unsupported = files.find(file => !ATTACHMENT_EXTENSIONS.includes(file.name.slice(file.name.lastIndexOf('.')).toLowerCase()));
+    if (unsupported) {
+        showFieldError('attachments', t('validation.fileType', { name: unsupported.name }));
+        return false;
+    }
+
+    const tooLarge = files.find(file => file.size > maxSize);
+    if (tooLarge) {
+        showFieldError('attachments', t('validation.fileSize', { name: tooLarge.name, size: input.dataset.maxSizeMb }));
+        return false;
+    }
+
+    return true;
+}
+
+// Drafts: the form autosaves in this browser while the requester types, and on
+// request the server keeps a copy that opens from a link emailed to them.
+// Attachments can't be saved; they have to be added again.
+const DRAFT_STORAGE_KEY = 'meetingRequestDraft';
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // same as DRAFT_TTL_DAYS on the server
+const DRAFT_SAVE_DELAY_MS = 800;
+
+// Set for each visit rather than restored: the requester's zone and the spam check fields
+const DRAFT_SKIPPED_FIELDS = ['timeZone', 'website', 'formStartedAt'];
+
+let draftSaveTimer = null;
+let blankDraftForm = null; // The form as it loads, which isn't worth saving
+let draftPromptOpen = false; // Autosave waits until the requester resumes or discards the saved draft
+let serverDraft = null; // { draftId, token } of the copy emailed to the requester
+
+async function setupDrafts(meetingTypesReady) {
+    const form = document.getElementById('meetingForm');
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+    window.addEventListener('pagehide', saveDraft);
+
+    document.getElementById('resumeDraftBtn').addEventListener('click', async () => {
+        const draft = readLocalDraft();
+        hideDraftPrompt();
+        if (draft) await resumeDraft(draft, meetingTypesReady);
+    });
+    document.getElementById('discardDraftBtn').addEventListener('click', () => {
+        hideDraftPrompt();
+        discardDraft();
+    });
+    document.getElementById('clearDraftBtn').addEventListener('click', () => {
+        if (!confirm(t('drafts.confirmDiscard'))) return;
+        discardDraft();
+        document.getElementById('meetingForm').reset();
+        resetFormState();
+    });
+    document.getElementById('emailDraftBtn').addEventListener('click', emailDraftLink);
+
+    // The meeting type list is part of the form, so the blank form is only known once it is filled
+    await meetingTypesReady;
+    blankDraftForm = JSON.stringify(collectDraftForm());
+
+    // A link from the draft email wins over whatever this browser saved
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('draft')) {
+        await openServerDraft(params.get('draft'), params.get('token'), meetingTypesReady);
+        return;
+    }
+
+    const draft = readLocalDraft();
+    if (draft) {
+        draftPromptOpen = true;
+        showDraftPrompt(draft);
+    }
+}
+
+function showDraftPrompt(draft) {
+    document.getElementById('draftPromptText').textContent = t('drafts.promptSaved', { savedAt: formatSavedAt(draft.savedAt) });
+    document.getElementById('draftPrompt').style.display = 'flex';
+}
+
+// Everything the requester entered, except files
+function collectDraftForm() {
+    const fields = {};
+    for (const [key, value] of new FormData(document.getElementById('meetingForm')).entries()) {
+        if (value instanceof File || DRAFT_SKIPPED_FIELDS.includes(key)) continue;
+        fields[key] = value;
+    }
+
+    return {
+        fields,
+        attendees: collectAttendees(),
+        recurrence: {
+            repeat: document.getElementById('repeatMeeting').checked,
+            frequency: document.getElementById('recurrenceFrequency').value,
+            interval: document.getElementById('recurrenceInterval').value,
+            endsOn: document.getElementById('recurrenceEnd').value,
+            count: document.getElementById('recurrenceCount').value,
+            until: document.getElementById('recurrenceUntil').value,
+            excludedDates: getSkippedDates()
+        }
+    };
+}
+
+function scheduleDraftSave() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+function saveDraft() {
+    clearTimeout(draftSaveTimer);
+    if (draftPromptOpen || blankDraftForm === null) return;
+
+    const form = collectDraftForm();
+    try {
+        if (JSON.stringify(form) === blankDraftForm) {
+            localStorage.removeItem(DRAFT_STORAGE_KEY);
+            updateDraftStatus(null);
+            return;
+        }
+
+        const savedAt = new Date().toISOString();
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ savedAt, form, serverDraft }));
+        updateDraftStatus(savedAt);
+    } catch (error) {
+        // Private browsing or a full storage quota: the form still works, it just isn't kept
+        console.warn('Could not save draft:', error);
+    }
+}
+
+function readLocalDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY) || 'null');
+        if (draft && draft.form && Date.now() - new Date(draft.savedAt).getTime() < DRAFT_MAX_AGE_MS) {
+            return draft;
+        }
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not read draft:', error);
+    }
+    return null;
+}
+
+// Forget the draft after a successful submit; the server deleted its copy itself
+function clearDraft() {
+    clearTimeout(draftSaveTimer);
+    serverDraft = null;
+    try {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear draft:', error);
+    }
+    updateDraftStatus(null);
+}
+
+// Throw the draft away here and on the server
+function discardDraft() {
+    if (serverDraft) {
+        fetch(`/api/meeting/drafts/${encodeURIComponent(serverDraft.draftId)}?token=${encodeURIComponent(serverDraft.token)}`, {
+            method: 'DELETE'
+        }).catch(error => console.error('Discard draft error:', error));
+    }
+    clearDraft();
+}
+
+function hideDraftPrompt() {
+    draftPromptOpen = false;
+    document.getElementById('draftPrompt').style.display = 'none';
+}
+
+function updateDraftStatus(savedAt) {
+    document.getElementById('draftStatus').style.display = savedAt ? 'block' : 'none';
+    document.getElementById('draftStatusText').textContent = savedAt
+        ? t('drafts.saved', { savedAt: formatSavedAt(savedAt) })
+        : '';
+}
+
+async function resumeDraft(draft, meetingTypesReady) {
+    serverDraft = draft.serverDraft || null;
+    const timeRestored = await applyDraftForm(draft.form, meetingTypesReady);
+    saveDraft();
+
+    if (!timeRestored) {
+        showAlert(t('drafts.resumedTimeGone'), 'info');
+    }
+}
+
+async function openServerDraft(draftId, token, meetingTypesReady) {
+    // The link only needs to work once; from here on the form autosaves locally
+    window.history.replaceState(null, '', window.location.pathname);
+
+    try {
+        const response = await fetch(`/api/meeting/drafts/${encodeURIComponent(draftId)}?token=${encodeURIComponent(token || '')}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            showAlert(t(response.status === 404 ? 'drafts.gone' : 'drafts.openFailed'), 'error');
+            return;
+        }
+
+        serverDraft = { draftId, token };
+        const timeRestored = await applyDraftForm(result.form, meetingTypesReady);
+        saveDraft();
+        showAlert(t(timeRestored ? 'drafts.opened' : 'drafts.openedTimeGone'), 'info');
+    } catch (error) {
+        console.error('Open draft error:', error);
+        showAlert(t('drafts.openRetry'), 'error');
+    }
+}
+
+/**
+ * Fill in the form from a draft. Meeting type first, since choosing it
+ * presets the duration and the formats on offer.
+ * @returns {Promise<boolean>} false when the saved time slot is no longer free
+ */
+async function applyDraftForm({ fields = {}, attendees = [], recurrence = {} }, meetingTypesReady) {
+    const form = document.getElementById('meetingForm');
+    await meetingTypesReady;
+
+    document.getElementById('meetingForm').reset();
+    resetFormState();
+
+    form.elements.meetingTypeId.value = fields.meetingTypeId || '';
+    applyMeetingType();
+
+    if (fields.meetingType) {
+        const option = document.querySelector(`#meetingTypeGroup .radio-option[data-value="${fields.meetingType}"]`);
+        if (option) option.click();
+    }
+
+    Object.entries(fields).forEach(([name, value]) => {
+        if (['meetingTypeId', 'meetingType', 'preferredTime', 'timeZone'].includes(name)) return;
+        const field = form.elements[name];
+        if (field && field.type !== 'file') field.value = value;
+    });
+
+    attendees.slice(0, getAttendeeLimit()).forEach(attendee => addAttendeeRow(attendee));
+
+    const repeat = document.getElementById('repeatMeeting');
+    repeat.checked = Boolean(recurrence.repeat);
+    document.getElementById('recurrenceFields').style.display = repeat.checked ? 'block' : 'none';
+    if (recurrence.frequency) document.getElementById('recurrenceFrequency').value = recurrence.frequency;
+    if (recurrence.interval) document.getElementById('recurrenceInterval').value = recurrence.interval;
+    if (recurrence.count) document.getElementById('recurrenceCount').value = recurrence.count;
+    document.getElementById('recurrenceUntil').value = recurrence.until || '';
+    if (recurrence.endsOn) {
+        const endsOn = document.getElementById('recurrenceEnd');
+        endsOn.value = recurrence.endsOn;
+        endsOn.dispatchEvent(new Event('change'));
+    }
+    renderOccurrenceList();
+    (recurrence.excludedDates || []).forEach(date => {
+        const input = document.querySelector(`#occurrenceList input[data-occurrence-date="${date}"]`);
+        if (input && !input.disabled) {
+            input.checked = false;
+            input.parentElement.classList.add('skipped');
+        }
+    });
+
+    // Slots are loaded for the saved date; the saved time is picked again if it is still free
+    await loadTimeSlots();
+    if (!fields.preferredTime) return true;
+
+    const slot = document.querySelector(`.slot-btn[data-time="${fields.preferredTime}"]`);
+    if (slot) selectTimeSlot(slot);
+    return Boolean(slot);
+}
+
+// Email a link to this form, so it can be finished on another device
+async function emailDraftLink() {
+    const emailInput = document.getElementById('userEmail');
+    if (!validateField(emailInput)) {
+        emailInput.focus();
+        return;
+    }
+
+    const button = document.getElementById('emailDraftBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/meeting/drafts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                userEmail: emailInput.value.trim(),
+                userName: document.getElementById('userName').value.trim(),
+                language: getLocale(),
+                form: collectDraftForm(),
+                ...(serverDraft ? { draftId: serverDraft.draftId, token: serverDraft.token } : {})
+            })
+        });
+        const result = await response.json();
+
+        if (response.status === 429) {
+            showAlert(t('drafts.emailThrottled', { minutes: Math.ceil(result.retryAfter / 60) }), 'error');
+            return;
+        }
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || result.error || 'Could not email the link');
+        }
+
+        serverDraft = { draftId: result.draftId, token: result.token };
+        saveDraft();
+        showAlert(t('drafts.emailSent', {
+            email: escapeHtml(emailInput.value.trim()),
+            date: formatInstant(result.expiresAt, { dateStyle: 'medium' })
+        }), 'success');
+    } catch (error) {
+        console.error('Email draft error:', error);
+        showAlert(t('drafts.emailFailed'), 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function formatSavedAt(isoString) {
+    const savedAt = new Date(isoString);
+    return savedAt.toDateString() === new Date().toDateString()
+        ? savedAt.toLocaleTimeString(getLocale(), { timeStyle: 'short' })
+        : savedAt.toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
 function setupFormSubmission() {
     const form = document.getElementById('meetingForm');
     form.addEventListener('submit', handleFormSubmit);
@@ -65,7 +909,7 @@ async function handleFormSubmit(event) {
 
     // Validate form
     if (!validateForm()) {
-        showAlert('Please fix the errors below before submitting.', 'error');
+        showAlert(t('validation.fixErrors'), 'error');
         return;
     }
 
@@ -78,33 +922,77 @@ async function handleFormSubmit(event) {
     try {
         // Collect form data
         const formData = collectFormData();
+        formData.attendees = collectAttendees();
+        const recurrence = collectRecurrence();
+        if (recurrence) formData.recurrence = recurrence;
+        // The confirmation and later emails are written in the form's language
+        formData.language = getLocale();
+        // Lets the server delete its copy of the form once the request is in
+        if (serverDraft) {
+            formData.draftId = serverDraft.draftId;
+            formData.draftToken = serverDraft.token;
+        }
+        const files = getSelectedAttachments();
+
+        // Files need a multipart body; the browser sets its Content-Type and boundary
+        let body = JSON.stringify(formData);
+        const headers = { 'Content-Type': 'application/json' };
+        if (files.length > 0) {
+            body = new FormData();
+            Object.entries(formData).forEach(([key, value]) => body.append(key, typeof value === 'string' ? value : JSON.stringify(value)));
+            files.forEach(file => body.append('attachments', file));
+            delete headers['Content-Type'];
+        }
 
         // Submit to server
         const response = await fetch('/api/meeting/request', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(formData)
+            headers,
+            body
         });
 
         const result = await response.json();
 
         if (response.ok && result.success) {
             // Show success modal
-            showSuccessModal(formData, result.requestId);
+            showSuccessModal(formData, result.referenceNumber || result.requestId, result.statusUrl, result.manageUrl);
 
-            // Reset form
+            // Reset form, and forget the draft: it holds the requester's personal details
             document.getElementById('meetingForm').reset();
             resetFormState();
-
+            clearDraft();
+
+        } else if (response.status === 400 && result.details) {
+            // Booking rules checked on the server, reported per field
+            clearAttendeeErrors();
+            result.details.forEach(detail => {
+                if (detail.field.startsWith('attendees')) {
+                    showAttendeeError(detail.field, detail.message);
+                } else if (detail.field.startsWith('recurrence')) {
+                    showFieldError('recurrence', detail.message);
+                } else {
+                    showFieldError(detail.field, detail.message);
+                }
+            });
+            showAlert(t('validation.fixErrors'), 'error');
+        } else if (response.status === 409 && result.reason === 'series_unavailable') {
+            // The first date is free, but the time is taken or closed on later dates of the series
+            showFieldError('recurrence', t('recurrence.errors.unavailableDates', { dates: result.dates.map(slot => formatShortDate(slot.date)).join(', ') }));
+            showAlert(t('recurrence.errors.seriesUnavailable'), 'error');
+        } else if (response.status === 429) {
+            // Too many requests from this email address or phone number
+            showAlert(t('submit.throttled', { minutes: Math.ceil((result.retryAfter || 60) / 60) }), 'error');
+        } else if (response.status === 409) {
+            // The slot was booked after the picker loaded
+            await loadTimeSlots();
+            showAlert(describeSlotReason('unavailable', result.reason), 'error');
         } else {
             throw new Error(result.error || 'Failed to submit meeting request');
         }
 
     } catch (error) {
         console.error('Form submission error:', error);
-        showAlert(error.message || 'Failed to submit meeting request. Please try again.', 'error');
+        showAlert(t('submit.failed'), 'error');
     } finally {
         showLoading(false);
         submitBtn.classList.remove('loading');
@@ -118,6 +1006,8 @@ function collectFormData() {
     const data = {};
 
     for (let [key, value] of formData.entries()) {
+        // Files are sent separately, see handleFormSubmit
+        if (value instanceof File) continue;
         data[key] = value.trim();
     }
 
@@ -143,7 +1033,19 @@ function validateForm() {
     const meetingTypeSelected = Array.from(meetingTypeInputs).some(input => input.checked);
 
     if (!meetingTypeSelected) {
-        showFieldError('meetingType', 'Please select a meeting type');
+        showFieldError('meetingType', t('validation.format'));
+        isValid = false;
+    }
+
+    if (!validateAttendees()) {
+        isValid = false;
+    }
+
+    if (!validateRecurrence()) {
+        isValid = false;
+    }
+
+    if (!validateAttachments()) {
         isValid = false;
     }
 
@@ -157,9 +1059,15 @@ function validateField(field) {
     // Clear previous error
     clearFieldError(field);
 
+    // The time comes from the slot picker, not a visible input
+    if (fieldName === 'preferredTime' && !value) {
+        showFieldError(fieldName, t('validation.pickTime'));
+        return false;
+    }
+
     // Required field validation
     if (field.required && !value) {
-        showFieldError(fieldName, 'This field is required');
+        showFieldError(fieldName, t('validation.required'));
         return false;
     }
 
@@ -167,7 +1075,7 @@ function validateField(field) {
     if (field.type === 'email' && value) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(value)) {
-            showFieldError(fieldName, 'Please enter a valid email address');
+            showFieldError(fieldName, t('validation.email'));
             return false;
         }
     }
@@ -176,7 +1084,7 @@ function validateField(field) {
     if (field.type === 'tel' && value) {
         const phoneRegex = /^[\+]?[(]?[\+]?\d{1,4}[)]?[-.\s]?\d{1,4}[-.\s]?\d{1,9}$/;
         if (!phoneRegex.test(value.replace(/\s/g, ''))) {
-            showFieldError(fieldName, 'Please enter a valid phone number');
+            showFieldError(fieldName, t('validation.phone'));
             return false;
         }
     }
@@ -188,7 +1096,7 @@ function validateField(field) {
         today.setHours(0, 0, 0, 0);
 
         if (selectedDate < today) {
-            showFieldError(fieldName, 'Please select a future date');
+            showFieldError(fieldName, t('validation.futureDate'));
             return false;
         }
     }
@@ -204,6 +1112,10 @@ function showFieldError(fieldName, message) {
         field.classList.add('error');
     }
 
+    if (fieldName === 'preferredTime') {
+        document.getElementById('slotPicker').classList.add('error');
+    }
+
     if (errorElement) {
         errorElement.textContent = message;
         errorElement.style.display = 'block';
@@ -216,6 +1128,10 @@ function clearFieldError(field) {
 
     field.classList.remove('error');
 
+    if (fieldName === 'preferredTime') {
+        document.getElementById('slotPicker').classList.remove('error');
+    }
+
     if (errorElement) {
         errorElement.style.display = 'none';
         errorElement.textContent = '';
@@ -250,60 +1166,101 @@ function showLoading(show) {
     loadingOverlay.style.display = show ? 'flex' : 'none';
 }
 
-function showSuccessModal(formData, requestId) {
+function showSuccessModal(formData, referenceNumber, statusUrl, manageUrl) {
     const modal = document.getElementById('successModal');
     const summaryContent = document.getElementById('summaryContent');
+    const slotStart = document.getElementById('preferredTime').dataset.start;
+    const attachedFiles = getSelectedAttachments();
 
     // Generate summary content
     summaryContent.innerHTML = `
         <div class="summary-item">
-            <div class="summary-label">Name:</div>
+            <div class="summary-label">${t('success.name')}</div>
             <div class="summary-value">${formData.userName}</div>
         </div>
         <div class="summary-item">
-            <div class="summary-label">Email:</div>
+            <div class="summary-label">${t('success.email')}</div>
             <div class="summary-value">${formData.userEmail}</div>
         </div>
         <div class="summary-item">
-            <div class="summary-label">Phone:</div>
+            <div class="summary-label">${t('success.phone')}</div>
             <div class="summary-value">${formData.userPhone}</div>
         </div>
         ${formData.userCompany ? `
         <div class="summary-item">
-            <div class="summary-label">Company:</div>
+            <div class="summary-label">${t('success.company')}</div>
             <div class="summary-value">${formData.userCompany}</div>
         </div>
         ` : ''}
         <div class="summary-item">
-            <div class="summary-label">Purpose:</div>
+            <div class="summary-label">${t('success.purpose')}</div>
             <div class="summary-value">${formData.meetingPurpose}</div>
         </div>
         <div class="summary-item">
-            <div class="summary-label">Date & Time:</div>
-            <div class="summary-value">${formatDate(formData.preferredDate)} at ${formatTime(formData.preferredTime)}</div>
+            <div class="summary-label">${t('success.dateTime')}</div>
+            <div class="summary-value">
+                ${t('success.dateTimeValue', { date: formatDate(formData.preferredDate), time: formatTime(formData.preferredTime) })}${organizerTimeZone ? ` (${organizerTimeZone})` : ''}
+                ${slotStart && organizerTimeZone !== requesterTimeZone ? `<br>${t('success.yourTime', { time: formatInstant(slotStart, { dateStyle: 'medium', timeStyle: 'short' }), timeZone: requesterTimeZone })}` : ''}
+            </div>
+        </div>
+        ${formData.recurrence ? `
+        <div class="summary-item">
+            <div class="summary-label">${t('success.repeats')}</div>
+            <div class="summary-value">${escapeHtml(describeRecurrence(formData.recurrence))}</div>
         </div>
+        ` : ''}
         <div class="summary-item">
-            <div class="summary-label">Duration:</div>
-            <div class="summary-value">${formData.estimatedDuration} minutes</div>
+            <div class="summary-label">${t('success.duration')}</div>
+            <div class="summary-value">${t('durations.minutes', { count: formData.estimatedDuration })}</div>
         </div>
+        ${getSelectedMeetingType() ? `
         <div class="summary-item">
-            <div class="summary-label">Meeting Type:</div>
+            <div class="summary-label">${t('success.meetingType')}</div>
+            <div class="summary-value">${escapeHtml(getSelectedMeetingType().typeName)}</div>
+        </div>
+        ` : ''}
+        <div class="summary-item">
+            <div class="summary-label">${t('success.format')}</div>
             <div class="summary-value">${formatMeetingType(formData.meetingType)}</div>
         </div>
         ${formData.location ? `
         <div class="summary-item">
-            <div class="summary-label">Location:</div>
+            <div class="summary-label">${t('success.location')}</div>
             <div class="summary-value">${formData.location}</div>
         </div>
         ` : ''}
         <div class="summary-item">
-            <div class="summary-label">Priority:</div>
+            <div class="summary-label">${t('success.priority')}</div>
             <div class="summary-value">${formatPriority(formData.urgency || 'normal')}</div>
         </div>
+        ${formData.attendees.length > 0 ? `
+        <div class="summary-item">
+            <div class="summary-label">${t('success.attendees')}</div>
+            <div class="summary-value">${formData.attendees.map(attendee => escapeHtml(`${attendee.name} <${attendee.email}>${attendee.role ? ` (${attendee.role})` : ''}`)).join('<br>')}</div>
+        </div>
+        ` : ''}
+        ${attachedFiles.length > 0 ? `
+        <div class="summary-item">
+            <div class="summary-label">${t('success.attachments')}</div>
+            <div class="summary-value">${attachedFiles.map(file => escapeHtml(file.name)).join('<br>')}</div>
+        </div>
+        ` : ''}
+        <div class="summary-item">
+            <div class="summary-label">${t('success.reference')}</div>
+            <div class="summary-value">${referenceNumber}</div>
+        </div>
+        ${statusUrl ? `
+        <div class="summary-item">
+            <div class="summary-label">${t('success.trackStatus')}</div>
+            <div class="summary-value"><a href="${statusUrl}" target="_blank" rel="noopener">${t('success.statusLink')}</a></div>
+        </div>
+        ` : ''}
+        ${manageUrl ? `
         <div class="summary-item">
-            <div class="summary-label">Reference ID:</div>
-            <div class="summary-value">${requestId}</div>
+            <div class="summary-label">${t('success.needChanges')}</div>
+            <div class="summary-value"><a href="${manageUrl}" target="_blank" rel="noopener">${t('success.manageLink')}</a></div>
         </div>
+        ` : ''}
     `;
 
     modal.style.display = 'flex';
@@ -340,6 +1297,21 @@ function resetFormState() {
     document.getElementById('locationGroup').style.display = 'none';
     document.getElementById('location').required = false;
 
+    // form.reset() leaves hidden inputs alone
+    document.getElementById('preferredTime').value = '';
+    document.getElementById('formStartedAt').value = Date.now();
+    delete document.getElementById('preferredTime').dataset.start;
+    document.getElementById('slotPicker').innerHTML = `<p class="slot-hint">${t('slots.chooseDate')}</p>`;
+    document.getElementById('attachmentList').innerHTML = '';
+    document.getElementById('attendeeList').innerHTML = '';
+    document.getElementById('occurrenceList').innerHTML = '';
+    document.getElementById('recurrenceFields').style.display = 'none';
+    document.getElementById('recurrenceCountGroup').style.display = 'block';
+    document.getElementById('recurrenceUntilGroup').style.display = 'none';
+
+    // form.reset() cleared the meeting type, so every format is offered again
+    applyMeetingType();
+
     // Hide alerts
     document.getElementById('alertContainer').style.display = 'none';
 
@@ -351,7 +1323,7 @@ function resetFormState() {
 // Utility functions
 function formatDate(dateString) {
     const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(getLocale(), {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -359,35 +1331,52 @@ function formatDate(dateString) {
     });
 }
 
+// "Thu, Oct 22" for a YYYY-MM-DD date, read as a local date so it doesn't shift a day
+function formatShortDate(dateString) {
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    if (!day) return dateString;
+
+    return new Date(year, month - 1, day).toLocaleDateString(getLocale(), {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        ...(year !== new Date().getFullYear() ? { year: 'numeric' } : {})
+    });
+}
+
+// A UTC instant in the requester's own zone
+function formatInstant(isoString, options) {
+    return new Date(isoString).toLocaleString(getLocale(), { timeZone: requesterTimeZone, ...options });
+}
+
 function formatTime(timeString) {
     const [hours, minutes] = timeString.split(':');
     const time = new Date();
     time.setHours(parseInt(hours), parseInt(minutes));
 
-    return time.toLocaleTimeString('en-US', {
+    // 2:30 PM or 14:30, as the language writes it
+    return time.toLocaleTimeString(getLocale(), {
         hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
+        minute: '2-digit'
     });
 }
 
 function formatMeetingType(type) {
-    const types = {
-        'online': '🌐 Online Meeting',
-        'offline': '🏢 In-Person Meeting',
-        'hybrid': '🔄 Hybrid Meeting'
-    };
-    return types[type] || type;
+    return ['online', 'offline', 'hybrid'].includes(type) ? t(`formats.${type}Meeting`) : type;
+}
+
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML;
 }
 
 function formatPriority(priority) {
-    const priorities = {
-        'low': 'Low',
-        'normal': 'Normal',
-        'high': 'High',
-        'urgent': 'Urgent'
-    };
-    return priorities[priority] || priority;
+    return ['low', 'normal', 'high', 'urgent'].includes(priority) ? t(`priorities.${priority}`) : priority;
 }
 
 // Handle browser back/forward buttons
@@ -395,6 +1384,9 @@ window.addEventListener('popstate', function (event) {
     if (document.getElementById('successModal').style.display === 'flex') {
         closeSuccessModal();
     }
+
+    // Don't wait for the autosave delay when the user is navigating away
+    saveDraft();
 });
 
 // Auto-resize textareas
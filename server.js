@@ -4,17 +4,277 @@ const session = require('express-session');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
 const bcryptjs = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
-const GoogleSheetsService = require('./services/googleSheetsService');
+const { createMeetingStorage, createAttachmentStorage } = require('./services/storageFactory');
+const MeetingStorage = require('./services/meetingStorage');
+const MeetingCache = require('./services/meetingCache');
+const { parseMeetingQuery, applyMeetingQuery } = require('./services/meetingQuery');
+const { generateRequestId, getReferenceNumber } = require('./services/requestId');
+const WebhookOutbox = require('./services/webhookOutbox');
+const { SignatureVerifier, TIMESTAMP_HEADER, SIGNATURE_HEADER } = require('./services/webhookSignature');
+const {
+    createStatusToken,
+    verifyStatusToken,
+    createManageToken,
+    verifyManageToken,
+    createProposalToken,
+    verifyProposalToken,
+    createDraftToken,
+    verifyDraftToken,
+    createFeedToken,
+    verifyFeedToken,
+    loadOrCreateSecret
+} = require('./services/statusToken');
+const { validateMeetingRequest, validateMeetingType, validateDraft } = require('./services/meetingValidation');
+const RequestHistory = require('./services/requestHistory');
+const MeetingDrafts = require('./services/meetingDrafts');
+const SubmissionGuard = require('./services/submissionGuard');
+const Quarantine = require('./services/quarantine');
+const AvailabilityService = require('./services/availability');
+const { zonedTimeToUtc, toZonedDateTime } = require('./services/timeZone');
+const icalendar = require('./services/icalendar');
+const { parseAttendees } = require('./services/attendees');
+const {
+    parseMeetingType,
+    findMeetingType,
+    nextTypeId,
+    toPublicMeetingType
+} = require('./services/meetingTypes');
+const {
+    toRecurrenceRule,
+    parseRecurrenceRule,
+    listSeriesDates,
+    parseDateList,
+    isRecurring,
+    parseOccurrenceStatus,
+    getOccurrences,
+    describeRecurrence
+} = require('./services/recurrence');
+const { DEFAULT_LOCALE, negotiateLocale } = require('./services/locales');
+const {
+    getAttachmentType,
+    createAttachmentUpload,
+    describeUploadError,
+    parseAttachments,
+    canPreview
+} = require('./services/attachments');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Google Sheets service
-const googleSheetsService = new GoogleSheetsService();
+// Initialize meeting storage (Google Sheets or local file, see STORAGE_BACKEND)
+const meetingStorage = createMeetingStorage();
+
+// Cache parsed meetings so dashboard polling doesn't hit the Sheets quota
+const meetingCache = new MeetingCache(meetingStorage, parseInt(process.env.MEETINGS_CACHE_TTL) || 60000); // 1 minute
+
+// Free slots from System_Config business hours and the booked meetings
+const availability = new AvailabilityService({ storage: meetingStorage, meetingCache });
+
+// Booking rules read the business hours and booking window from the same schedule,
+// and the formats and group size of each meeting type from the same catalog
+const bookingRules = {
+    getSchedule: () => availability.getSchedule(),
+    getMeetingTypes: () => availability.getMeetingTypes()
+};
+
+// Name of a request's type for emails and the dashboard; empty when the type is gone
+const getMeetingTypeName = (meetingTypes, meetingTypeId) => {
+    const type = findMeetingType(meetingTypes, meetingTypeId);
+    return type ? type.typeName : '';
+};
+
+// Files attached to meeting requests live in the ATTACHMENT_STORAGE driver;
+// the requests themselves only carry the metadata
+const attachmentStorage = createAttachmentStorage();
+const attachmentLimits = {
+    maxFileSize: Math.floor((parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024),
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5
+};
+const uploadAttachments = createAttachmentUpload(attachmentLimits);
+
+// Parse multipart booking requests; a rejected file gets the same 400 shape as a rejected field
+const acceptAttachments = (req, res, next) => uploadAttachments(req, res, error => {
+    if (!error) return next();
+
+    const message = describeUploadError(error, attachmentLimits);
+    if (!message) return next(error);
+
+    res.status(400).json({
+        error: 'Invalid attachment',
+        missingFields: [],
+        details: [{ field: 'attachments', message }]
+    });
+});
+
+// Remove stored files of a request that couldn't be saved or was purged
+const discardAttachments = (attachments) => Promise.all(attachments.map(attachment =>
+    attachmentStorage.deleteFile(attachment.id).catch(error => {
+        console.error(`❌ Failed to remove attachment ${attachment.id}:`, error.message);
+    })
+));
+
+// UTC start and end of a meeting at a wall-clock date and time in the organizer's zone,
+// as stored in proposedStartTime/proposedEndTime
+const toUtcRange = (date, time, duration, timeZone) => {
+    const start = zonedTimeToUtc(date, time, timeZone);
+    if (!start) return null;
+
+    return {
+        proposedStartTime: start.toISOString(),
+        proposedEndTime: new Date(start.getTime() + (parseInt(duration, 10) || 60) * 60000).toISOString()
+    };
+};
+
+// What to tell the requester when AvailabilityService.checkSlot rejects a slot
+const SLOT_UNAVAILABLE_MESSAGES = {
+    past: 'This time is in the past. Please pick another slot.',
+    too_far_ahead: 'This date is too far ahead. Please pick an earlier date.',
+    blackout: 'We are not taking meetings on this date. Please pick another day.',
+    closed: 'We are closed on this day. Please pick another day.',
+    outside_hours: 'This time is outside our business hours. Please pick another slot.',
+    taken: 'This time slot was just booked by someone else. Please pick another slot.'
+};
+
+const slotUnavailableResponse = (reason) => ({
+    error: 'This time slot is not available',
+    message: SLOT_UNAVAILABLE_MESSAGES[reason] || 'Please pick another slot.',
+    reason
+});
+
+/**
+ * Check a time on every date a request takes place, the first one being where it starts
+ * @param {Object} slots See AvailabilityService.checkSlots
+ * @returns {Promise<Object|null>} Body of the 409 response when a date isn't free, or null
+ */
+const checkRequestSlots = async (slots) => {
+    const [slot, ...laterSlots] = await availability.checkSlots(slots);
+    if (!slot.available) {
+        return slotUnavailableResponse(slot.reason);
+    }
+
+    // The booking window only limits when a series starts, not how long it runs
+    const unavailableDates = laterSlots.filter(later => !later.available && later.reason !== 'too_far_ahead');
+    if (unavailableDates.length > 0) {
+        return {
+            error: 'Some dates of the series are not available',
+            message: `This time is not available on ${unavailableDates.map(later => later.date).join(', ')}. Please skip these dates or pick another time.`,
+            reason: 'series_unavailable',
+            dates: unavailableDates
+        };
+    }
+
+    return null;
+};
+
+// Dates a stored request takes place on when it starts on this date: just that date, or the
+// occurrences of its series that weren't rejected on their own
+const listRequestDates = (meeting, date) => (isRecurring(meeting)
+    ? getOccurrences({ ...meeting, preferredDate: date, confirmedDate: date })
+        .filter(occurrence => occurrence.status !== 'rejected')
+        .map(occurrence => occurrence.date)
+    : [date]);
+
+// A stored series in the shape the booking rules check, so moving its start checks the end date
+// and the skipped dates again. Their errors are reported on the start date the requester changed.
+const SERIES_FIELDS = ['recurrence', 'recurrence.until', 'recurrence.excludedDates'];
+const withRecurrence = (meeting) => {
+    const recurrence = parseRecurrenceRule(meeting.recurrenceRule);
+    return recurrence ? { ...meeting, recurrence: { ...recurrence, excludedDates: parseDateList(meeting.excludedDates) } } : meeting;
+};
+
+// Shared secret for signing webhook calls to n8n and verifying its callbacks
+const webhookSecret = process.env.WEBHOOK_SECRET || null;
+const callbackVerifier = webhookSecret
+    ? new SignatureVerifier(webhookSecret, { toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300 })
+    : null;
+
+// Public status links: /status?id=<requestId>&token=<per-request token>
+// The same secret signs the manage, proposal and draft links. Without a configured one it is
+// generated into TOKEN_SECRET_FILE, never a default that anyone could use to forge links.
+const tokenSecretFile = path.resolve(process.env.TOKEN_SECRET_FILE || path.join(__dirname, 'data', 'token-secret'));
+const statusTokenSecret = process.env.STATUS_TOKEN_SECRET || process.env.SESSION_SECRET || loadOrCreateSecret(tokenSecretFile);
+const publicBaseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const buildStatusUrl = (requestId) =>
+    `${publicBaseUrl}/status?id=${encodeURIComponent(requestId)}&token=${createStatusToken(requestId, statusTokenSecret)}`;
+
+// Self-service links to cancel or edit a pending request, valid for MANAGE_LINK_TTL_HOURS
+const manageLinkTtlMs = (parseInt(process.env.MANAGE_LINK_TTL_HOURS) || 168) * 60 * 60 * 1000; // 7 days
+
+const buildManageUrl = (requestId) => {
+    const token = createManageToken(requestId, statusTokenSecret, new Date(Date.now() + manageLinkTtlMs));
+    return `${publicBaseUrl}/manage?id=${encodeURIComponent(requestId)}&token=${token}`;
+};
+
+// Reschedule proposals: the requester accepts, declines or counters through a signed link
+// that stops working at the response deadline, after which the proposal expires
+const proposalResponseMs = (parseInt(process.env.PROPOSAL_RESPONSE_HOURS) || 48) * 60 * 60 * 1000;
+const proposalSweepMs = parseInt(process.env.PROPOSAL_SWEEP_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+
+const buildRespondUrl = (requestId, expiresAt) => {
+    const token = createProposalToken(requestId, statusTokenSecret, expiresAt);
+    return `${publicBaseUrl}/respond?id=${encodeURIComponent(requestId)}&token=${token}`;
+};
+
+// Whether a meeting waits for the requester to answer a reschedule proposal
+const hasOpenProposal = (meeting) => {
+    const deadline = new Date(meeting.proposalExpiresAt || '').getTime();
+    return String(meeting.status || '').toLowerCase() === 'rescheduled' && deadline > Date.now();
+};
+
+// Calendar files: UIDs are scoped to our host name, and the admin feed URL carries a token
+// because calendar clients can't log in. Changing CALENDAR_FEED_SECRET revokes old feed URLs.
+// Without a configured secret there is no feed URL: a default one would let anyone compute the token.
+const calendarFeedSecret = process.env.CALENDAR_FEED_SECRET || process.env.STATUS_TOKEN_SECRET || null;
+const calendarName = process.env.CALENDAR_NAME || 'Meetings';
+
+const buildCalendarUrl = (requestId) =>
+    `${publicBaseUrl}/api/meeting/status/${encodeURIComponent(requestId)}/calendar.ics?token=${createStatusToken(requestId, statusTokenSecret)}`;
+
+const getCalendarOptions = async () => ({
+    domain: new URL(publicBaseUrl).hostname,
+    timeZone: (await availability.getSchedule()).timeZone,
+    organizerEmail: process.env.ADMIN_EMAIL || 'admin@company.com',
+    organizerName: process.env.ORGANIZER_NAME || 'Meeting Coordination Team'
+});
+
+// Who changed what on each request
+const requestHistory = new RequestHistory();
+
+// Booking forms saved on the server, opened through a link emailed to the requester
+const meetingDrafts = new MeetingDrafts();
+
+// The token expires with the draft, so every save hands out a new link.
+// The link opens the form in the language it was saved in.
+const createDraftLink = (draft, language) => {
+    const token = createDraftToken(draft.draftId, statusTokenSecret, new Date(draft.expiresAt));
+    return { token, url: `${publicBaseUrl}/?draft=${encodeURIComponent(draft.draftId)}&token=${token}&lang=${language}` };
+};
+
+// Spam and double-submit checks; suspicious requests wait in quarantine instead of going to n8n
+const submissionGuard = new SubmissionGuard();
+const quarantine = new Quarantine();
+
+// History is informational, so a failed write is logged rather than failing the request
+const recordHistory = (requestId, event, details) =>
+    requestHistory.record(requestId, event, details).catch(error => {
+        console.error(`❌ Failed to record history for ${requestId}:`, error.message);
+    });
+
+// Webhook calls go through a persistent outbox so an n8n outage doesn't lose them
+const webhookOutbox = new WebhookOutbox({
+    targets: {
+        meeting_request: process.env.MEETING_REQUEST_WEBHOOK,
+        admin_action: process.env.ADMIN_ACTION_WEBHOOK,
+        requester_change: process.env.REQUESTER_CHANGE_WEBHOOK,
+        draft_link: process.env.DRAFT_LINK_WEBHOOK
+    },
+    signingSecret: webhookSecret
+});
 
 // Security middleware
 app.use(helmet({
@@ -47,7 +307,13 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw bytes so webhook signatures can be checked
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Session configuration
@@ -132,6 +398,21 @@ app.get('/admin/dashboard', authenticateAdmin, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
 });
 
+// Request status page for requesters (the link is in the confirmation email)
+app.get('/status', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'status.html'));
+});
+
+// Cancel or change a pending request (link from the confirmation email)
+app.get('/manage', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'manage.html'));
+});
+
+// Accept, decline or counter a reschedule proposal (link from the reschedule email)
+app.get('/respond', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'respond.html'));
+});
+
 // Check admin session status
 app.get('/api/admin/session', authenticateAdmin, (req, res) => {
     res.json({
@@ -141,9 +422,251 @@ app.get('/api/admin/session', authenticateAdmin, (req, res) => {
     });
 });
 
+// Google account connection for private sheets (OAuth2 consent flow)
+const requireGoogleOAuth = (req, res, next) => {
+    const googleAuth = meetingStorage.googleAuth;
+    if (!googleAuth || googleAuth.mode !== 'oauth') {
+        return res.status(400).json({
+            error: 'Google OAuth not configured',
+            message: 'Set CLIENT_ID and CLIENT_SECRET and use the google_sheets storage backend to connect a Google account'
+        });
+    }
+    req.googleAuth = googleAuth;
+    next();
+};
+
+// Start the consent flow
+app.get('/auth/google', authenticateAdmin, requireGoogleOAuth, (req, res) => {
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.googleOAuthState = state;
+    res.redirect(req.googleAuth.generateAuthUrl(state));
+});
+
+// Google redirects back here with an authorization code
+app.get('/auth/google/callback', authenticateAdmin, requireGoogleOAuth, async (req, res) => {
+    const { code, state, error } = req.query;
+    const expectedState = req.session.googleOAuthState;
+    delete req.session.googleOAuthState;
+
+    if (error) {
+        console.log('⚠️ Google consent was not granted:', error);
+        return res.redirect('/admin/dashboard?google=denied');
+    }
+
+    if (!code || !state || state !== expectedState) {
+        console.log('❌ Google OAuth callback with missing code or mismatched state');
+        return res.redirect('/admin/dashboard?google=error');
+    }
+
+    try {
+        await req.googleAuth.handleCallback(code);
+        meetingCache.invalidate();
+        res.redirect('/admin/dashboard?google=connected');
+    } catch (callbackError) {
+        console.error('❌ Google OAuth token exchange failed:', callbackError.message);
+        res.redirect('/admin/dashboard?google=error');
+    }
+});
+
+// Which Google credentials the server is using
+app.get('/api/admin/google/status', authenticateAdmin, (req, res) => {
+    const googleAuth = meetingStorage.googleAuth;
+    res.json({
+        success: true,
+        ...(googleAuth ? googleAuth.getStatus() : { mode: 'none', authorized: false }),
+        canWrite: meetingStorage.canWrite()
+    });
+});
+
+// Forget the connected Google account
+app.post('/api/admin/google/disconnect', authenticateAdmin, requireGoogleOAuth, async (req, res) => {
+    try {
+        await req.googleAuth.disconnect();
+        meetingCache.invalidate();
+        res.json({ success: true, message: 'Google account disconnected' });
+    } catch (error) {
+        console.error('❌ Failed to disconnect Google account:', error.message);
+        res.status(500).json({ error: 'Failed to disconnect Google account' });
+    }
+});
+
+// Check the signed link of a saved booking form; it stops working when the draft expires
+const verifyDraftLink = (req, res, next) => {
+    const token = req.query.token || (req.body && req.body.token) || req.get('X-Draft-Token');
+    const result = verifyDraftToken(req.params.draftId, token, statusTokenSecret);
+
+    if (result.reason === 'expired') {
+        return res.status(410).json({
+            error: 'This draft has expired',
+            message: 'Saved forms are kept for a limited time. Please fill in the form again.'
+        });
+    }
+    if (!result.valid) {
+        return res.status(403).json({
+            error: 'Invalid link',
+            message: 'Please use the link from the email we sent you'
+        });
+    }
+
+    next();
+};
+
+// A submitted form's draft holds personal data nobody needs any more
+const discardSubmittedDraft = async (draftId, token) => {
+    if (!draftId || !verifyDraftToken(draftId, token, statusTokenSecret).valid) return;
+
+    await meetingDrafts.delete(draftId).catch(error => {
+        console.error(`❌ Failed to delete draft ${draftId}:`, error.message);
+    });
+};
+
+// Whether a new request can be kept: by the storage itself, or by n8n adding it to the sheet
+const canAcceptRequests = () => meetingStorage.storesNewRequests() || Boolean(webhookOutbox.targets.meeting_request);
+
+// Keep a new request in the storage (with Google Sheets, n8n adds the row once it is announced)
+const storeMeetingRequest = async (meetingRequestData) => {
+    await meetingStorage.createMeetingRequest(meetingRequestData);
+    meetingCache.invalidate();
+};
+
+// Queue a stored request for n8n; if n8n is unreachable the outbox keeps retrying in the background.
+// The requester links, the type name and the recurrence text only go to n8n for the emails, they aren't stored.
+// Without a webhook the stored request stands and only the emails are skipped (see canAcceptRequests).
+const announceMeetingRequest = async (meetingRequestData, { statusUrl, manageUrl }) => {
+    if (!webhookOutbox.targets.meeting_request) {
+        console.log(`⚠️ MEETING_REQUEST_WEBHOOK is not set: meeting request ${meetingRequestData.requestId} was saved but not sent to n8n`);
+        return null;
+    }
+
+    const { timeZone: organizerTimeZone } = await availability.getSchedule();
+    const delivery = await webhookOutbox.enqueue('meeting_request', {
+        ...meetingRequestData,
+        organizerTimeZone,
+        statusUrl,
+        manageUrl,
+        meetingTypeName: getMeetingTypeName(await availability.getMeetingTypes(), meetingRequestData.meetingTypeId),
+        recurrence: describeRecurrence(meetingRequestData, meetingRequestData.language)
+    });
+    console.log(`Meeting request ${meetingRequestData.requestId} ${delivery.status === WebhookOutbox.DELIVERED ? 'sent to n8n' : 'queued for retry'}`);
+    return delivery;
+};
+
+// Both in one go, e.g. when an admin releases a quarantined request
+const acceptMeetingRequest = async (meetingRequestData, links) => {
+    await storeMeetingRequest(meetingRequestData);
+    return announceMeetingRequest(meetingRequestData, links);
+};
+
+// Save the booking form on the server and email the requester a link to finish it,
+// e.g. on another device. Sending draftId and token again updates the same draft.
+app.post('/api/meeting/drafts', async (req, res) => {
+    try {
+        if (!webhookOutbox.targets.draft_link) {
+            return res.status(503).json({
+                error: 'Emailing drafts is not available',
+                message: 'Your form is still saved in this browser.'
+            });
+        }
+
+        const { errors, values } = await validateDraft(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid draft', details: errors });
+        }
+
+        const { userEmail, userName, form, draftId, token } = values;
+        const language = values.language || negotiateLocale(req);
+
+        // Anyone can name any address here, so each one only gets a few links per window
+        const throttle = submissionGuard.checkDraftLinkThrottle(userEmail);
+        if (throttle.limited) {
+            res.set('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Too many draft links',
+                message: `We already sent several links to this address. Please try again in ${Math.ceil(throttle.retryAfterSeconds / 60)} minutes.`,
+                retryAfter: throttle.retryAfterSeconds
+            });
+        }
+        const draft = await meetingDrafts.save({
+            draftId: draftId && verifyDraftToken(draftId, token, statusTokenSecret).valid ? draftId : null,
+            userEmail,
+            form
+        });
+        const link = createDraftLink(draft, language);
+
+        submissionGuard.recordDraftLink(userEmail);
+        await webhookOutbox.enqueue('draft_link', {
+            event: 'draft_saved',
+            draftId: draft.draftId,
+            userName: userName || '',
+            userEmail,
+            language,
+            draftUrl: link.url,
+            expiresAt: draft.expiresAt,
+            timestamp: draft.updatedAt
+        });
+        console.log(`📝 Draft ${draft.draftId} saved, link queued for the requester`);
+
+        res.json({
+            success: true,
+            message: `We sent a link to ${userEmail}. It works until ${new Date(draft.expiresAt).toDateString()}.`,
+            draftId: draft.draftId,
+            token: link.token,
+            expiresAt: draft.expiresAt
+        });
+    } catch (error) {
+        console.error('❌ Failed to save draft:', error.message);
+        res.status(500).json({ error: 'Failed to save draft' });
+    }
+});
+
+// Form state of a saved draft, for the booking form to fill itself in
+app.get('/api/meeting/drafts/:draftId', verifyDraftLink, async (req, res) => {
+    try {
+        const draft = await meetingDrafts.get(req.params.draftId);
+        if (!draft) {
+            return res.status(404).json({
+                error: 'Draft not found',
+                message: 'This form has already been submitted or discarded.'
+            });
+        }
+
+        res.json({
+            success: true,
+            form: draft.form,
+            updatedAt: draft.updatedAt,
+            expiresAt: draft.expiresAt
+        });
+    } catch (error) {
+        console.error('❌ Failed to load draft:', error.message);
+        res.status(500).json({ error: 'Failed to load draft' });
+    }
+});
+
+// Discard a saved draft
+app.delete('/api/meeting/drafts/:draftId', verifyDraftLink, async (req, res) => {
+    try {
+        await meetingDrafts.delete(req.params.draftId);
+        res.json({ success: true, message: 'Draft discarded' });
+    } catch (error) {
+        console.error('❌ Failed to delete draft:', error.message);
+        res.status(500).json({ error: 'Failed to delete draft' });
+    }
+});
+
 // Submit meeting request endpoint
-app.post('/api/meeting/request', async (req, res) => {
+app.post('/api/meeting/request', acceptAttachments, async (req, res) => {
     try {
+        // Check every field against the booking rules; the trimmed values are used from here on
+        const { missingFields, errors: validationErrors, values } = await validateMeetingRequest(req.body, bookingRules);
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: missingFields.length > 0 ? 'Missing required fields' : 'Invalid meeting request',
+                missingFields,
+                details: validationErrors
+            });
+        }
+
         const {
             userName,
             userEmail,
@@ -155,112 +678,1007 @@ app.post('/api/meeting/request', async (req, res) => {
             preferredDate,
             preferredTime,
             estimatedDuration,
+            meetingTypeId,
             meetingType,
             location,
             urgency,
-            additionalNotes
-        } = req.body;
-
-        // Validate required fields
-        const requiredFields = ['userName', 'userEmail', 'userPhone', 'meetingPurpose', 'preferredDate', 'preferredTime', 'meetingType'];
-        const missingFields = requiredFields.filter(field => !req.body[field]);
-
-        if (missingFields.length > 0) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                missingFields
+            additionalNotes,
+            timeZone,
+            language,
+            attendees,
+            recurrence
+        } = values;
+
+        // Too many requests from one email address or phone number are refused outright
+        const throttle = submissionGuard.checkThrottle(values);
+        if (throttle.limited) {
+            res.set('Retry-After', String(throttle.retryAfterSeconds));
+            return res.status(429).json({
+                error: 'Too many meeting requests',
+                message: `You have sent several requests recently. Please try again in ${Math.ceil(throttle.retryAfterSeconds / 60)} minutes.`,
+                retryAfter: throttle.retryAfterSeconds
             });
         }
 
+        // The slot picker only offers free slots, but another request may have taken it since.
+        // A series needs the same time free on each of its dates.
+        const seriesDates = recurrence
+            ? listSeriesDates(preferredDate, recurrence).filter(date => !recurrence.excludedDates.includes(date))
+            : [preferredDate];
+        const slotProblem = await checkRequestSlots({
+            dates: seriesDates,
+            time: preferredTime,
+            duration: parseInt(estimatedDuration || '60', 10),
+            meetingTypeId
+        });
+        if (slotProblem) {
+            return res.status(409).json(slotProblem);
+        }
+
+        // The slot is in the organizer's zone; store its UTC time and where the requester is
+        const { timeZone: organizerTimeZone } = await availability.getSchedule();
+        const requesterTimeZone = timeZone || organizerTimeZone;
+
+        // The workflow keeps this ID, so the sheet, emails and dashboard all match
+        const requestId = generateRequestId();
+        const referenceNumber = getReferenceNumber(requestId);
+        const statusUrl = buildStatusUrl(requestId);
+        const manageUrl = buildManageUrl(requestId);
+
         // Prepare data for n8n webhook
         const meetingRequestData = {
+            requestId,
+            referenceNumber,
             userName,
             userEmail,
             userPhone,
             userCompany: userCompany || '',
             userPosition: userPosition || '',
+            attendees: parseAttendees(attendees),
             meetingPurpose,
             meetingDescription: meetingDescription || '',
             preferredDate,
             preferredTime,
             estimatedDuration: estimatedDuration || '60',
+            ...toUtcRange(preferredDate, preferredTime, estimatedDuration, organizerTimeZone),
+            requesterTimeZone,
+            // Language of the form, or else of the browser; the emails to the requester use it
+            language: language || negotiateLocale(req),
+            meetingTypeId: meetingTypeId || '',
             meetingType,
             location: location || '',
             urgency: urgency || 'normal',
             additionalNotes: additionalNotes || '',
+            attachments: [],
+            // Yes/No like the Recurring column of Calendar_Events; a series repeats in the organizer's zone
+            recurring: recurrence ? 'Yes' : 'No',
+            ...(recurrence ? {
+                recurrenceRule: toRecurrenceRule(recurrence),
+                excludedDates: parseDateList(recurrence.excludedDates).join(','),
+                recurrenceTimeZone: organizerTimeZone,
+                occurrenceStatus: {}
+            } : {}),
             timestamp: new Date().toISOString(),
             source: 'web-panel'
         };
 
-        // Send to n8n webhook
-        const webhookUrl = process.env.MEETING_REQUEST_WEBHOOK;
-        if (!webhookUrl) {
-            throw new Error('Meeting request webhook URL not configured');
+        if (!canAcceptRequests()) {
+            return res.status(503).json({
+                error: 'Meeting requests are not available right now',
+                message: 'Please try again later or contact us directly'
+            });
+        }
+
+        // Suspicious requests are held back for an admin, but the requester is told the same as anyone else,
+        // so a spammer can't tell which check caught them
+        let reasons;
+        try {
+            // Store the files only now that the request is known to be valid
+            for (const file of req.files || []) {
+                meetingRequestData.attachments.push(await attachmentStorage.saveFile(file));
+            }
+
+            const { meetings } = await meetingCache.get();
+            reasons = submissionGuard.inspect(req.body, values, meetings);
+            submissionGuard.record(meetingRequestData);
+
+            if (reasons.length > 0) {
+                await quarantine.add(meetingRequestData, reasons);
+            } else {
+                await storeMeetingRequest(meetingRequestData);
+            }
+        } catch (error) {
+            // Until the request is stored or quarantined, nothing points at the saved files
+            await discardAttachments(meetingRequestData.attachments);
+            throw error;
+        }
+
+        if (reasons.length > 0) {
+            await recordHistory(requestId, 'quarantined', {
+                actor: 'system',
+                note: reasons.map(reason => reason.message).join('; ')
+            });
+            console.log(`🚧 Meeting request ${requestId} quarantined: ${reasons.map(reason => reason.code).join(', ')}`);
+        } else {
+            await announceMeetingRequest(meetingRequestData, { statusUrl, manageUrl });
+            await recordHistory(requestId, 'submitted', { actor: 'requester' });
+        }
+        await discardSubmittedDraft(req.body.draftId, req.body.draftToken);
+
+        res.json({
+            success: true,
+            message: 'Meeting request submitted successfully',
+            requestId,
+            referenceNumber,
+            statusUrl,
+            manageUrl,
+            data: meetingRequestData
+        });
+
+    } catch (error) {
+        console.error('Meeting request error:', error);
+
+        res.status(500).json({
+            error: 'Failed to submit meeting request. Please try again.'
+        });
+    }
+});
+
+// Public request status, protected by the per-request token from the status link
+app.get('/api/meeting/status/:requestId', async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const token = req.query.token || req.get('X-Status-Token');
+
+        if (!verifyStatusToken(requestId, token, statusTokenSecret)) {
+            return res.status(403).json({
+                error: 'Invalid status link',
+                message: 'Please use the link from your confirmation email'
+            });
+        }
+
+        // A quarantined request has no status yet, so the requester sees it as pending like any other
+        const { meetings } = await meetingCache.get();
+        const quarantined = await quarantine.get(requestId);
+        const meeting = meetings.find(m => m.requestId === requestId) || (quarantined && quarantined.meeting);
+
+        if (!meeting) {
+            return res.status(404).json({
+                error: 'Meeting request not found',
+                message: 'If you submitted this request a moment ago, please check again in a minute'
+            });
+        }
+
+        // Only what the requester should see; admin notes only when marked as shareable
+        const notesShared = String(meeting.notesShared || '').toLowerCase() === 'yes';
+        const { timeZone: organizerTimeZone } = await availability.getSchedule();
+
+        res.json({
+            success: true,
+            request: {
+                requestId: meeting.requestId,
+                referenceNumber: getReferenceNumber(meeting.requestId),
+                status: String(meeting.status || 'pending').toLowerCase(),
+                meetingPurpose: meeting.meetingPurpose || '',
+                meetingTypeName: getMeetingTypeName(await availability.getMeetingTypes(), meeting.meetingTypeId),
+                meetingType: meeting.meetingType || '',
+                preferredDate: meeting.preferredDate || '',
+                preferredTime: meeting.preferredTime || '',
+                estimatedDuration: meeting.estimatedDuration || '',
+                confirmedDate: meeting.confirmedDate || '',
+                confirmedTime: meeting.confirmedTime || '',
+                // Recurring series: how it repeats and the status of each date
+                recurrence: describeRecurrence(meeting),
+                occurrences: getOccurrences(meeting).map(({ date, status }) => ({ date, status })),
+                // Dates and times above are the organizer's; startTime is UTC
+                startTime: meeting.proposedStartTime || '',
+                organizerTimeZone,
+                requesterTimeZone: meeting.requesterTimeZone || organizerTimeZone,
+                location: meeting.location || '',
+                meetingLink: meeting.meetingLink || '',
+                calendarUrl: icalendar.hasCalendarEvent(meeting) ? buildCalendarUrl(meeting.requestId) : '',
+                respondUrl: hasOpenProposal(meeting) ? buildRespondUrl(meeting.requestId, new Date(meeting.proposalExpiresAt)) : '',
+                adminNotes: notesShared ? (meeting.adminNotes || '') : '',
+                submittedAt: meeting.timestamp || meeting.createdDate || '',
+                lastUpdated: meeting.lastUpdated || ''
+            }
+        });
+    } catch (error) {
+        console.error('❌ Status lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load request status. Please try again later.' });
+    }
+});
+
+// .ics file of an approved meeting, linked from the status page
+// Cancelled meetings that were on the calendar get a cancelled event, so importing it removes the meeting
+app.get('/api/meeting/status/:requestId/calendar.ics', async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!verifyStatusToken(requestId, req.query.token, statusTokenSecret)) {
+            return res.status(403).json({
+                error: 'Invalid status link',
+                message: 'Please use the link from your confirmation email'
+            });
+        }
+
+        const { meetings } = await meetingCache.get();
+        const meeting = meetings.find(m => m.requestId === requestId);
+
+        if (!meeting || !icalendar.hasCalendarEvent(meeting)) {
+            return res.status(404).json({
+                error: 'No calendar event for this request',
+                message: 'The calendar file is available once your meeting has been approved'
+            });
+        }
+
+        const calendar = icalendar.buildCalendar([meeting], {
+            ...(await getCalendarOptions()),
+            statusUrl: buildStatusUrl(requestId)
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${icalendar.getCalendarFileName(meeting)}"`);
+        res.send(calendar);
+    } catch (error) {
+        console.error('❌ Calendar download error:', error.message);
+        res.status(500).json({ error: 'Failed to build the calendar file. Please try again later.' });
+    }
+});
+
+// Free slots for the booking form's slot picker
+// Query: from, to (YYYY-MM-DD, at most 31 days apart), duration in minutes and
+// meetingTypeId, whose preparation time has to be free too
+app.get('/api/availability', async (req, res) => {
+    try {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const { timeZone } = await availability.getSchedule();
+        const from = req.query.from || toZonedDateTime(new Date(), timeZone).date;
+        const to = req.query.to || AvailabilityService.addDays(from, 13);
+        const duration = req.query.duration !== undefined ? parseInt(req.query.duration, 10) : undefined;
+
+        const errors = [];
+        if (!datePattern.test(from)) errors.push('from must be a date in YYYY-MM-DD format');
+        if (!datePattern.test(to)) errors.push('to must be a date in YYYY-MM-DD format');
+        if (errors.length === 0 && to < from) errors.push('to must not be before from');
+        if (errors.length === 0 && to > AvailabilityService.addDays(from, AvailabilityService.MAX_RANGE_DAYS - 1)) {
+            errors.push(`A range can cover at most ${AvailabilityService.MAX_RANGE_DAYS} days`);
+        }
+        if (duration !== undefined && (!Number.isInteger(duration) || duration < 15 || duration > 480)) {
+            errors.push('duration must be between 15 and 480 minutes');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+        }
+
+        res.json({
+            success: true,
+            from,
+            to,
+            ...(await availability.getAvailability({ from, to, duration, meetingTypeId: req.query.meetingTypeId || undefined }))
+        });
+    } catch (error) {
+        console.error('❌ Availability error:', error.message);
+        res.status(500).json({ error: 'Failed to load available time slots' });
+    }
+});
+
+// Active meeting types for the booking form
+app.get('/api/meeting-types', async (req, res) => {
+    try {
+        const meetingTypes = await availability.getMeetingTypes();
+        res.json({
+            success: true,
+            meetingTypes: meetingTypes.filter(type => type.active).map(toPublicMeetingType)
+        });
+    } catch (error) {
+        console.error('❌ Meeting types error:', error.message);
+        res.status(500).json({ error: 'Failed to load meeting types' });
+    }
+});
+
+// Check the signed, expiring token on requester cancel/modify calls
+const verifyManageLink = (req, res, next) => {
+    const token = req.query.token || (req.body && req.body.token) || req.get('X-Manage-Token');
+    const result = verifyManageToken(req.params.requestId, token, statusTokenSecret);
+
+    if (result.reason === 'expired') {
+        return res.status(410).json({
+            error: 'This link has expired',
+            message: 'Please contact us to change or cancel your request'
+        });
+    }
+    if (!result.valid) {
+        return res.status(403).json({
+            error: 'Invalid link',
+            message: 'Please use the link from your confirmation email'
+        });
+    }
+
+    req.manageLinkExpiresAt = result.expiresAt;
+    next();
+};
+
+// Answer when a request changed between loading it and saving the requester's change
+const REQUEST_CHANGED_MESSAGE = 'Your request was updated in the meantime. Please reload the page and try again.';
+
+// Fields a requester may change while the request is pending
+const MODIFIABLE_FIELDS = ['preferredDate', 'preferredTime', 'estimatedDuration', 'meetingType', 'location'];
+
+// The request behind a manage link. A quarantined request is found as well and
+// answered like any pending one, so the requester can't tell it was held back.
+const findManagedRequest = async (requestId) => {
+    const meeting = await meetingStorage.getMeetingRequest(requestId);
+    if (meeting) return { meeting, quarantined: false };
+
+    const entry = await quarantine.get(requestId);
+    return { meeting: entry && entry.meeting, quarantined: Boolean(entry) };
+};
+
+// Load the request behind a manage link, answering 404/409 when it can't be changed
+const loadPendingRequest = async (req, res) => {
+    const found = await findManagedRequest(req.params.requestId);
+    const { meeting } = found;
+    if (!meeting) {
+        res.status(404).json({
+            error: 'Meeting request not found',
+            message: 'If you submitted this request a moment ago, please try again in a minute'
+        });
+        return null;
+    }
+
+    const status = String(meeting.status || 'pending').toLowerCase();
+    if (status !== 'pending') {
+        res.status(409).json({
+            error: 'This request can no longer be changed',
+            message: `The request is already ${status}. Please contact us if you need to change it.`,
+            status
+        });
+        return null;
+    }
+
+    return found;
+};
+
+// Requester changes are applied here when the backend can write, and always sent to n8n
+const sendRequesterChange = async (payload) => {
+    if (!webhookOutbox.targets.requester_change) {
+        console.log(`⚠️ REQUESTER_CHANGE_WEBHOOK is not set: ${payload.event} for ${payload.requestId} was not sent to n8n`);
+        return null;
+    }
+    // The admin email shows times in the organizer's zone
+    const { timeZone } = await availability.getSchedule();
+    return webhookOutbox.enqueue('requester_change', { ...payload, organizerTimeZone: timeZone });
+};
+
+// Current request details for the manage page
+app.get('/api/meeting/manage/:requestId', verifyManageLink, async (req, res) => {
+    try {
+        const { meeting } = await findManagedRequest(req.params.requestId);
+        if (!meeting) {
+            return res.status(404).json({
+                error: 'Meeting request not found',
+                message: 'If you submitted this request a moment ago, please check again in a minute'
+            });
+        }
+
+        const status = String(meeting.status || 'pending').toLowerCase();
+        res.json({
+            success: true,
+            request: {
+                requestId: meeting.requestId,
+                referenceNumber: getReferenceNumber(meeting.requestId),
+                status,
+                meetingPurpose: meeting.meetingPurpose || '',
+                preferredDate: meeting.preferredDate || '',
+                preferredTime: meeting.preferredTime || '',
+                estimatedDuration: meeting.estimatedDuration || '',
+                meetingType: meeting.meetingType || '',
+                location: meeting.location || ''
+            },
+            canModify: status === 'pending',
+            expiresAt: req.manageLinkExpiresAt.toISOString(),
+            statusUrl: buildStatusUrl(meeting.requestId)
+        });
+    } catch (error) {
+        console.error('❌ Manage lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load your request. Please try again later.' });
+    }
+});
+
+// Requester edits date, time, duration, type or location of a pending request
+app.patch('/api/meeting/manage/:requestId', verifyManageLink, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!meetingStorage.canWrite() && !webhookOutbox.targets.requester_change) {
+            return res.status(503).json({
+                error: 'Changes are not available right now',
+                message: 'Please contact us to change your request'
+            });
+        }
+
+        const found = await loadPendingRequest(req, res);
+        if (!found) return;
+        const { meeting, quarantined } = found;
+
+        const updates = {};
+        MODIFIABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined && req.body[field] !== null) {
+                updates[field] = String(req.body[field]).trim();
+            }
+        });
+        if (updates.meetingType === 'online' && updates.location === undefined) {
+            updates.location = '';
+        }
+
+        // Same rules as a new request, applied to the request as it would be after the change.
+        // Only the editable fields are checked, so old rows with odd data elsewhere can still be edited;
+        // a series is checked again when it starts on another date.
+        const proposed = { ...meeting, ...updates };
+        const movesSeries = isRecurring(meeting) && proposed.preferredDate !== meeting.preferredDate;
+        const { errors } = await validateMeetingRequest(movesSeries ? withRecurrence(proposed) : proposed, bookingRules);
+        const fieldErrors = errors
+            .filter(error => MODIFIABLE_FIELDS.includes(error.field) || SERIES_FIELDS.includes(error.field))
+            .map(error => (SERIES_FIELDS.includes(error.field) ? { ...error, field: 'preferredDate' } : error))
+            .filter((error, index, all) => all.findIndex(other => other.field === error.field) === index);
+
+        if (fieldErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid changes',
+                details: fieldErrors
+            });
+        }
+
+        const changes = RequestHistory.diffFields(meeting, proposed, MODIFIABLE_FIELDS);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to change' });
+        }
+
+        if (changes.preferredDate || changes.preferredTime || changes.estimatedDuration) {
+            const slotProblem = await checkRequestSlots({
+                dates: listRequestDates(meeting, proposed.preferredDate),
+                time: proposed.preferredTime,
+                duration: parseInt(proposed.estimatedDuration || '60', 10),
+                meetingTypeId: proposed.meetingTypeId,
+                excludeRequestId: requestId
+            });
+            if (slotProblem) {
+                return res.status(409).json(slotProblem);
+            }
+        }
+
+        const changedValues = {};
+        Object.entries(changes).forEach(([field, change]) => {
+            changedValues[field] = change.to;
+        });
+        if (changes.preferredDate || changes.preferredTime || changes.estimatedDuration) {
+            const { timeZone } = await availability.getSchedule();
+            Object.assign(changedValues, toUtcRange(proposed.preferredDate, proposed.preferredTime, proposed.estimatedDuration, timeZone));
+        }
+
+        if (quarantined) {
+            // Changed where it waits; n8n hears of it only once an admin releases it
+            if (!(await quarantine.update(requestId, changedValues))) {
+                return res.status(409).json({ error: REQUEST_CHANGED_MESSAGE });
+            }
+        } else {
+            let persisted = false;
+            if (meetingStorage.canWrite()) {
+                await meetingStorage.updateMeetingRequest(requestId, changedValues, {
+                    expectedLastUpdated: meeting.lastUpdated || ''
+                });
+                persisted = true;
+            }
+            meetingCache.invalidate();
+
+            await sendRequesterChange({
+                event: 'request_modified',
+                requestId,
+                referenceNumber: getReferenceNumber(requestId),
+                userName: meeting.userName,
+                userEmail: meeting.userEmail,
+                meetingPurpose: meeting.meetingPurpose,
+                changes,
+                // New UTC start/end when the time moved, for the sheet row and emails
+                proposedStartTime: changedValues.proposedStartTime || null,
+                proposedEndTime: changedValues.proposedEndTime || null,
+                requesterTimeZone: meeting.requesterTimeZone || null,
+                persisted, // n8n only updates the sheet when the server couldn't
+                timestamp: new Date().toISOString()
+            });
+        }
+        await recordHistory(requestId, 'request_modified', { actor: 'requester', changes });
+
+        console.log(`✏️ Requester changed ${Object.keys(changes).join(', ')} on ${requestId}`);
+
+        res.json({
+            success: true,
+            message: 'Your changes have been saved',
+            requestId,
+            changes
+        });
+    } catch (error) {
+        if (error.code === MeetingStorage.CONFLICT) {
+            return res.status(409).json({ error: REQUEST_CHANGED_MESSAGE });
+        }
+
+        console.error('❌ Requester change error:', error.message);
+        res.status(500).json({ error: 'Failed to save your changes. Please try again.' });
+    }
+});
+
+// Requester cancels a pending request
+app.post('/api/meeting/manage/:requestId/cancel', verifyManageLink, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const reason = String(req.body.reason || '').trim().substring(0, 500);
+
+        if (!meetingStorage.canWrite() && !webhookOutbox.targets.requester_change) {
+            return res.status(503).json({
+                error: 'Cancellation is not available right now',
+                message: 'Please contact us to cancel your request'
+            });
+        }
+
+        const found = await loadPendingRequest(req, res);
+        if (!found) return;
+        const { meeting, quarantined } = found;
+
+        if (quarantined) {
+            // Never reached n8n, so dropping it is all there is to do
+            const entry = await quarantine.remove(requestId);
+            if (!entry) {
+                return res.status(409).json({ error: REQUEST_CHANGED_MESSAGE });
+            }
+            await discardAttachments(entry.meeting.attachments || []);
+        } else {
+            let persisted = false;
+            if (meetingStorage.canWrite()) {
+                await meetingStorage.updateMeetingRequest(requestId, { status: 'cancelled' }, {
+                    expectedLastUpdated: meeting.lastUpdated || ''
+                });
+                persisted = true;
+            }
+            meetingCache.invalidate();
+
+            await sendRequesterChange({
+                event: 'request_cancelled',
+                requestId,
+                referenceNumber: getReferenceNumber(requestId),
+                userName: meeting.userName,
+                userEmail: meeting.userEmail,
+                meetingPurpose: meeting.meetingPurpose,
+                reason,
+                persisted,
+                timestamp: new Date().toISOString()
+            });
+        }
+        await recordHistory(requestId, 'request_cancelled', {
+            actor: 'requester',
+            changes: { status: { from: 'pending', to: 'cancelled' } },
+            note: reason
+        });
+
+        console.log(`🚫 Requester cancelled ${requestId}`);
+
+        res.json({
+            success: true,
+            message: 'Your request has been cancelled',
+            requestId
+        });
+    } catch (error) {
+        if (error.code === MeetingStorage.CONFLICT) {
+            return res.status(409).json({ error: REQUEST_CHANGED_MESSAGE });
+        }
+
+        console.error('❌ Requester cancel error:', error.message);
+        res.status(500).json({ error: 'Failed to cancel your request. Please try again.' });
+    }
+});
+
+// Check the signed link of a reschedule proposal; it stops working at the response deadline
+const verifyProposalLink = (req, res, next) => {
+    const token = req.query.token || (req.body && req.body.token) || req.get('X-Proposal-Token');
+    const result = verifyProposalToken(req.params.requestId, token, statusTokenSecret);
+
+    if (result.reason === 'expired') {
+        return res.status(410).json({
+            error: 'This proposal has expired',
+            message: 'The time to answer this proposal has passed. Please contact us or submit a new request.'
+        });
+    }
+    if (!result.valid) {
+        return res.status(403).json({
+            error: 'Invalid link',
+            message: 'Please use the link from the reschedule email'
+        });
+    }
+
+    req.proposalExpiresAt = result.expiresAt;
+    next();
+};
+
+// Whether a link still answers the meeting's current proposal. A newer proposal
+// has a different deadline; rows without a stored deadline accept any valid link.
+const isOpenProposal = (meeting, expiresAt) => {
+    if (String(meeting.status || '').toLowerCase() !== 'rescheduled') return false;
+    if (!meeting.proposalExpiresAt) return true;
+    return new Date(meeting.proposalExpiresAt).getTime() === expiresAt.getTime();
+};
+
+// How each answer to a proposal leaves the request
+const PROPOSAL_OUTCOMES = {
+    accept: { status: 'approved', event: 'proposal_accepted' },
+    decline: { status: 'declined', event: 'proposal_declined' },
+    counter: { status: 'countered', event: 'proposal_countered' },
+    expire: { status: 'expired', event: 'proposal_expired' }
+};
+
+/**
+ * Close a reschedule proposal: store the outcome, tell the admin through n8n and record it
+ * @param {Object} meeting Meeting with the open proposal
+ * @param {string} response Key of PROPOSAL_OUTCOMES
+ * @param {Object} [options]
+ * @param {Object} [options.updates] Further fields to store, e.g. the counter-proposed time
+ * @param {Object} [options.changes] History diff of those fields
+ * @param {string} [options.message] Note from the requester
+ * @param {string} [options.actor] Who closed the proposal
+ * @returns {Promise<{persisted: boolean, delivered: boolean}>}
+ */
+const closeProposal = async (meeting, response, { updates = {}, changes = {}, message = '', actor = 'requester' } = {}) => {
+    const { requestId } = meeting;
+    const outcome = PROPOSAL_OUTCOMES[response];
+    const updateData = { ...updates, status: outcome.status, proposalExpiresAt: '' };
+
+    // Accepting keeps the event where it is; anything else takes the proposed time off the calendar
+    if (response !== 'accept') {
+        updateData.calendarSequence = icalendar.nextCalendarSequence(meeting);
+    }
+
+    let persisted = false;
+    if (meetingStorage.canWrite()) {
+        await meetingStorage.updateMeetingRequest(requestId, updateData, {
+            expectedLastUpdated: meeting.lastUpdated || ''
+        });
+        persisted = true;
+    }
+    meetingCache.invalidate();
+
+    const delivery = await sendRequesterChange({
+        event: outcome.event,
+        requestId,
+        referenceNumber: getReferenceNumber(requestId),
+        userName: meeting.userName,
+        userEmail: meeting.userEmail,
+        meetingPurpose: meeting.meetingPurpose,
+        status: outcome.status,
+        // The time that was proposed, in the organizer's zone
+        proposedDate: meeting.confirmedDate || '',
+        proposedTime: meeting.confirmedTime || '',
+        changes,
+        proposedStartTime: updates.proposedStartTime || null,
+        proposedEndTime: updates.proposedEndTime || null,
+        requesterTimeZone: meeting.requesterTimeZone || null,
+        calendarSequence: updateData.calendarSequence ?? null,
+        message,
+        persisted, // n8n only updates the sheet when the server couldn't
+        timestamp: new Date().toISOString()
+    });
+    await recordHistory(requestId, outcome.event, {
+        actor,
+        changes: { status: { from: 'rescheduled', to: outcome.status }, ...changes },
+        note: message
+    });
+
+    return { persisted, delivered: Boolean(delivery && delivery.status === WebhookOutbox.DELIVERED) };
+};
+
+// Reschedule proposal details for the respond page
+app.get('/api/meeting/proposal/:requestId', verifyProposalLink, async (req, res) => {
+    try {
+        const meeting = await meetingStorage.getMeetingRequest(req.params.requestId);
+        if (!meeting) {
+            return res.status(404).json({
+                error: 'Meeting request not found',
+                message: 'Please try again in a minute'
+            });
+        }
+
+        const notesShared = String(meeting.notesShared || '').toLowerCase() === 'yes';
+        const { timeZone: organizerTimeZone } = await availability.getSchedule();
+
+        res.json({
+            success: true,
+            request: {
+                requestId: meeting.requestId,
+                referenceNumber: getReferenceNumber(meeting.requestId),
+                status: String(meeting.status || 'pending').toLowerCase(),
+                meetingPurpose: meeting.meetingPurpose || '',
+                meetingType: meeting.meetingType || '',
+                meetingTypeId: meeting.meetingTypeId || '',
+                location: meeting.location || '',
+                estimatedDuration: meeting.estimatedDuration || '',
+                originalDate: meeting.preferredDate || '',
+                originalTime: meeting.preferredTime || '',
+                proposedDate: meeting.confirmedDate || '',
+                proposedTime: meeting.confirmedTime || '',
+                // proposedDate/proposedTime are the organizer's; startTime is UTC
+                startTime: meeting.proposedStartTime || '',
+                organizerTimeZone,
+                requesterTimeZone: meeting.requesterTimeZone || organizerTimeZone,
+                adminNotes: notesShared ? (meeting.adminNotes || '') : ''
+            },
+            canRespond: isOpenProposal(meeting, req.proposalExpiresAt),
+            expiresAt: req.proposalExpiresAt.toISOString(),
+            statusUrl: buildStatusUrl(meeting.requestId)
+        });
+    } catch (error) {
+        console.error('❌ Proposal lookup error:', error.message);
+        res.status(500).json({ error: 'Failed to load the proposal. Please try again later.' });
+    }
+});
+
+// Requester accepts or declines a reschedule proposal, or counters with another free slot
+app.post('/api/meeting/proposal/:requestId/respond', verifyProposalLink, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const response = String(req.body.response || '');
+        const message = String(req.body.message || '').trim().substring(0, 500);
+
+        if (!['accept', 'decline', 'counter'].includes(response)) {
+            return res.status(400).json({ error: 'response must be one of: accept, decline, counter' });
+        }
+
+        if (!meetingStorage.canWrite() && !webhookOutbox.targets.requester_change) {
+            return res.status(503).json({
+                error: 'Answering proposals is not available right now',
+                message: 'Please reply to the reschedule email instead'
+            });
+        }
+
+        const meeting = await meetingStorage.getMeetingRequest(requestId);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting request not found' });
+        }
+        if (!isOpenProposal(meeting, req.proposalExpiresAt)) {
+            const status = String(meeting.status || 'pending').toLowerCase();
+            return res.status(409).json({
+                error: 'This proposal is no longer open',
+                message: `The request is now ${status}. Please check your latest email from us.`,
+                status
+            });
+        }
+
+        let updates = {};
+        let changes = {};
+        if (response === 'counter') {
+            const counter = {
+                ...meeting,
+                preferredDate: String(req.body.date || '').trim(),
+                preferredTime: String(req.body.time || '').trim()
+            };
+
+            // A series counter-proposed to another date has its end date and skipped dates checked again
+            const movesSeries = isRecurring(meeting) && counter.preferredDate !== meeting.preferredDate;
+            const { errors } = await validateMeetingRequest(movesSeries ? withRecurrence(counter) : counter, bookingRules);
+            const fieldErrors = errors
+                .filter(error => ['preferredDate', 'preferredTime', ...SERIES_FIELDS].includes(error.field))
+                .map(error => ({ ...error, field: error.field === 'preferredTime' ? 'time' : 'date' }))
+                .filter((error, index, all) => all.findIndex(other => other.field === error.field) === index);
+            if (fieldErrors.length > 0) {
+                return res.status(400).json({ error: 'Invalid counter-proposal', details: fieldErrors });
+            }
+
+            const slotProblem = await checkRequestSlots({
+                dates: listRequestDates(meeting, counter.preferredDate),
+                time: counter.preferredTime,
+                duration: parseInt(meeting.estimatedDuration || '60', 10),
+                meetingTypeId: meeting.meetingTypeId,
+                excludeRequestId: requestId
+            });
+            if (slotProblem) {
+                return res.status(409).json(slotProblem);
+            }
+
+            // The counter-proposal becomes the preferred time, so approving the request books it
+            const { timeZone } = await availability.getSchedule();
+            changes = RequestHistory.diffFields(meeting, counter, ['preferredDate', 'preferredTime']);
+            updates = {
+                preferredDate: counter.preferredDate,
+                preferredTime: counter.preferredTime,
+                confirmedDate: '',
+                confirmedTime: '',
+                ...toUtcRange(counter.preferredDate, counter.preferredTime, meeting.estimatedDuration, timeZone)
+            };
+        }
+
+        const result = await closeProposal(meeting, response, { updates, changes, message });
+        console.log(`📨 Requester answered the proposal for ${requestId}: ${response}`);
+
+        res.json({
+            success: true,
+            message: {
+                accept: 'Thank you! Your meeting is confirmed for the proposed time.',
+                decline: 'You declined the proposed time. Our team has been notified.',
+                counter: 'Thank you! We sent your suggested time to our team for review.'
+            }[response],
+            requestId,
+            status: PROPOSAL_OUTCOMES[response].status,
+            ...result
+        });
+    } catch (error) {
+        if (error.code === MeetingStorage.CONFLICT) {
+            return res.status(409).json({
+                error: 'Your request was updated in the meantime. Please reload the page and try again.'
+            });
         }
 
-        const response = await axios.post(webhookUrl, meetingRequestData, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000
-        });
+        console.error('❌ Proposal response error:', error.message);
+        res.status(500).json({ error: 'Failed to save your answer. Please try again.' });
+    }
+});
 
-        console.log('Meeting request sent to n8n:', response.status);
+// Proposals that expired while a read-only backend waits for n8n to update the sheet
+const reportedExpiredProposals = new Set();
+
+// Expire reschedule proposals the requester didn't answer before the deadline
+const expireOverdueProposals = async () => {
+    const { meetings } = await meetingCache.get();
+    const now = Date.now();
+    const overdue = meetings.filter(meeting =>
+        String(meeting.status || '').toLowerCase() === 'rescheduled'
+        && meeting.proposalExpiresAt
+        && new Date(meeting.proposalExpiresAt).getTime() <= now
+        && !reportedExpiredProposals.has(meeting.requestId));
+
+    for (const meeting of overdue) {
+        try {
+            const { persisted } = await closeProposal(meeting, 'expire', {
+                actor: 'system',
+                message: 'Not answered before the response deadline'
+            });
+            if (!persisted) reportedExpiredProposals.add(meeting.requestId);
+            console.log(`⌛ Reschedule proposal for ${meeting.requestId} expired`);
+        } catch (error) {
+            console.error(`❌ Failed to expire the proposal for ${meeting.requestId}:`, error.message);
+        }
+    }
+};
 
+// Change history of one request
+app.get('/api/admin/meetings/:requestId/history', authenticateAdmin, async (req, res) => {
+    try {
         res.json({
             success: true,
-            message: 'Meeting request submitted successfully',
-            requestId: `${Date.now()}_${Math.random().toString(36).substring(7)}`,
-            data: meetingRequestData
+            requestId: req.params.requestId,
+            history: await requestHistory.get(req.params.requestId)
         });
-
     } catch (error) {
-        console.error('Meeting request error:', error);
+        console.error('❌ Failed to read request history:', error.message);
+        res.status(500).json({ error: 'Failed to load request history' });
+    }
+});
 
-        if (error.code === 'ECONNREFUSED') {
-            res.status(503).json({
-                error: 'Meeting service temporarily unavailable. Please try again later.'
-            });
-        } else {
-            res.status(500).json({
-                error: 'Failed to submit meeting request. Please try again.'
+// A file attached to a request. Types the browser can show (PDF, images, text)
+// open inline for previewing unless ?download=1 is given; others are always downloaded.
+app.get('/api/admin/meetings/:requestId/attachments/:attachmentId', authenticateAdmin, async (req, res) => {
+    try {
+        const { requestId, attachmentId } = req.params;
+        const { meetings } = await meetingCache.get();
+        const meeting = meetings.find(m => m.requestId === requestId);
+        const attachment = meeting && parseAttachments(meeting.attachments).find(a => a.id === attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const file = await attachmentStorage.openFile(attachment.id);
+        if (!file) {
+            return res.status(404).json({
+                error: 'Attachment file not found',
+                message: `The file is missing from ${attachmentStorage.displayName}`
             });
         }
+
+        // Only serve the types uploads are allowed to have, whatever the stored metadata says
+        const mimeType = getAttachmentType(attachment.name, attachment.mimeType) || 'application/octet-stream';
+        const inline = canPreview(mimeType) && !req.query.download;
+
+        res.attachment(attachment.name);
+        if (inline) {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.set({
+            'Content-Type': mimeType === 'text/plain' ? 'text/plain; charset=utf-8' : mimeType,
+            'Content-Length': file.size,
+            'Cache-Control': 'private, no-store'
+        });
+
+        file.stream.on('error', error => {
+            console.error(`❌ Failed to read attachment ${attachment.id}:`, error.message);
+            res.destroy(error);
+        });
+        file.stream.pipe(res);
+    } catch (error) {
+        console.error('❌ Attachment download error:', error.message);
+        res.status(500).json({ error: 'Failed to load the attachment' });
     }
 });
 
-// Get meetings for admin panel - Direct Google Sheets access
+// Get meetings for admin panel - Direct storage access
+// Supports page, pageSize, sortBy, sortDir, status, priority, meetingType,
+// dateField (preferred|created), dateFrom, dateTo and search query parameters
 app.get('/api/admin/meetings', authenticateAdmin, async (req, res) => {
     try {
-        console.log('📊 Fetching meetings directly from Google Sheets...');
+        const { options: queryOptions, errors: queryErrors } = parseMeetingQuery(req.query);
+        if (queryErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                meetings: [],
+                error: 'Invalid query parameters',
+                details: queryErrors
+            });
+        }
 
-        // Check if Google Sheets ID is configured
-        if (!process.env.GOOGLE_SHEETS_ID) {
+        console.log(`📊 Fetching meetings directly from ${meetingStorage.displayName}...`);
+
+        // Check if the storage backend is configured
+        if (!meetingStorage.isConfigured()) {
             return res.status(400).json({
                 success: false,
                 meetings: [],
-                error: 'Google Sheets ID not configured',
-                message: 'Please set GOOGLE_SHEETS_ID in your environment variables'
+                ...meetingStorage.getConfigurationError()
             });
         }
 
-        // Fetch meetings directly from Google Sheets
-        const meetings = await googleSheetsService.fetchMeetingRequests();
+        // Fetch meetings and statistics through the cache
+        const { meetings, statistics, schemaReport, etag, fetchedAt, fromCache } = await meetingCache.get();
+
+        // Let unchanged dashboards revalidate with If-None-Match
+        // The ETag covers the query too, so a different page never gets a 304
+        res.set({
+            'ETag': MeetingCache.computeEtag({ etag, queryOptions }),
+            'Cache-Control': 'private, no-cache'
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
 
-        // Generate statistics
-        const statistics = googleSheetsService.generateStatistics(meetings);
+        const result = applyMeetingQuery(meetings, queryOptions);
+        const meetingTypes = await availability.getMeetingTypes();
 
-        console.log(`✅ Successfully fetched ${meetings.length} meetings from Google Sheets`);
+        console.log(`✅ Successfully fetched ${meetings.length} meetings from ${meetingStorage.displayName}${fromCache ? ' (cached)' : ''}`);
         console.log('� Statistics:', JSON.stringify(statistics, null, 2));
 
         res.json({
             success: true,
-            meetings: meetings,
+            meetings: result.meetings.map(meeting => ({
+                ...meeting,
+                referenceNumber: meeting.referenceNumber || getReferenceNumber(meeting.requestId),
+                meetingTypeName: getMeetingTypeName(meetingTypes, meeting.meetingTypeId),
+                attendees: parseAttendees(meeting.attendees),
+                attachments: parseAttachments(meeting.attachments),
+                occurrenceStatus: parseOccurrenceStatus(meeting.occurrenceStatus),
+                recurrence: describeRecurrence(meeting),
+                occurrences: getOccurrences(meeting)
+            })),
             statistics: statistics,
-            lastUpdated: new Date().toISOString(),
-            message: `Successfully loaded ${meetings.length} meetings from Google Sheets`,
-            count: meetings.length,
-            source: 'google_sheets_direct'
+            pagination: {
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages,
+                total: result.total,
+                totalAll: meetings.length
+            },
+            schemaReport: schemaReport,
+            timeZone: (await availability.getSchedule()).timeZone, // Dates and times are in this zone
+            lastUpdated: fetchedAt,
+            cached: fromCache,
+            message: `Successfully loaded ${meetings.length} meetings from ${meetingStorage.displayName}`,
+            count: result.meetings.length,
+            source: `${meetingStorage.name}_direct`
         });
 
     } catch (error) {
@@ -309,7 +1727,25 @@ app.get('/api/admin/meetings', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Admin action on meeting (approve/reject/reschedule)
+// Calendar attachment for an admin action email: an invite for the meeting's new
+// state, or a cancellation when it comes off the calendar
+const buildCalendarInvite = async (meeting, changes) => {
+    const updated = { ...meeting, ...changes };
+    const method = icalendar.isOnCalendar(updated) ? 'REQUEST' : 'CANCEL';
+
+    return {
+        fileName: icalendar.getCalendarFileName(updated),
+        mimeType: `text/calendar; method=${method}`,
+        method,
+        content: Buffer.from(icalendar.buildCalendar([updated], {
+            ...(await getCalendarOptions()),
+            method,
+            statusUrl: buildStatusUrl(meeting.requestId)
+        })).toString('base64')
+    };
+};
+
+// Admin action on meeting (approve/reject/reschedule), or on one occurrence of a recurring series
 app.post('/api/admin/meeting/action', authenticateAdmin, async (req, res) => {
     try {
         const {
@@ -320,7 +1756,11 @@ app.post('/api/admin/meeting/action', authenticateAdmin, async (req, res) => {
             newTime,
             newDuration,
             newLocation,
-            newMeetingType
+            newMeetingType,
+            lastUpdated,
+            shareNotes,
+            overrideConflicts,
+            occurrenceDate
         } = req.body;
 
         if (!requestId || !action) {
@@ -329,13 +1769,142 @@ app.post('/api/admin/meeting/action', authenticateAdmin, async (req, res) => {
             });
         }
 
-        const validActions = ['approve', 'reject', 'reschedule'];
-        if (!validActions.includes(action)) {
+        const statusByAction = {
+            approve: 'approved',
+            reject: 'rejected',
+            reschedule: 'rescheduled'
+        };
+        if (!statusByAction[action]) {
             return res.status(400).json({
                 error: 'Invalid action. Must be: approve, reject, or reschedule'
             });
         }
 
+        // A backend the server can't write only learns of the decision through n8n
+        if (!meetingStorage.canWrite() && !webhookOutbox.targets.admin_action) {
+            return res.status(503).json({
+                error: 'Admin actions are not available right now',
+                message: 'Set ADMIN_ACTION_WEBHOOK, or use a storage backend the server can write to'
+            });
+        }
+
+        // Backends that can't write can't look up a single row either, so use the cached list
+        const meeting = meetingStorage.canWrite()
+            ? await meetingStorage.getMeetingRequest(requestId)
+            : (await meetingCache.get()).meetings.find(m => m.requestId === requestId) || null;
+        if (!meeting && meetingStorage.canWrite()) {
+            return res.status(404).json({
+                error: 'Meeting request not found',
+                requestId
+            });
+        }
+
+        // A single occurrence can be approved or rejected as it is; moving it would split the series
+        if (occurrenceDate) {
+            if (action === 'reschedule' || newDate || newTime || newDuration || newLocation || newMeetingType) {
+                return res.status(400).json({
+                    error: 'Only the whole series can be rescheduled or changed. Single occurrences can be approved or rejected.'
+                });
+            }
+            if (meeting && !getOccurrences(meeting).some(occurrence => occurrence.date === occurrenceDate)) {
+                return res.status(400).json({
+                    error: 'occurrenceDate is not a date of this recurring meeting',
+                    occurrenceDate
+                });
+            }
+        }
+
+        // Where an approved or rescheduled meeting ends up; the admin picks times in the organizer's zone
+        const { timeZone: organizerTimeZone } = await availability.getSchedule();
+        const slot = action === 'reject' ? null : occurrenceDate ? {
+            date: occurrenceDate,
+            time: meeting ? meeting.confirmedTime || meeting.preferredTime : '',
+            duration: parseInt(meeting && meeting.estimatedDuration, 10) || undefined,
+            meetingTypeId: meeting && meeting.meetingTypeId,
+            excludeRequestId: requestId
+        } : {
+            date: newDate || (action === 'approve' && meeting ? meeting.preferredDate : ''),
+            time: newTime || (action === 'approve' && meeting ? meeting.preferredTime : ''),
+            duration: parseInt(newDuration || (meeting && meeting.estimatedDuration), 10) || undefined,
+            meetingTypeId: meeting && meeting.meetingTypeId,
+            excludeRequestId: requestId
+        };
+        // A series moves as a whole: every occurrence not rejected on its own needs its slot
+        if (slot && !occurrenceDate && meeting && isRecurring(meeting)) {
+            slot.dates = getOccurrences({ ...meeting, confirmedDate: slot.date, status: statusByAction[action] })
+                .filter(occurrence => occurrence.status !== 'rejected')
+                .map(occurrence => occurrence.date);
+        }
+        const utcRange = slot && !occurrenceDate ? toUtcRange(slot.date, slot.time, slot.duration, organizerTimeZone) : null;
+        const occurrenceRange = occurrenceDate && meeting
+            ? toUtcRange(occurrenceDate, meeting.confirmedTime || meeting.preferredTime, meeting.estimatedDuration, organizerTimeZone)
+            : null;
+
+        // Decisions on single occurrences, with this one applied
+        const occurrenceStatus = occurrenceDate
+            ? { ...parseOccurrenceStatus(meeting && meeting.occurrenceStatus), [occurrenceDate]: statusByAction[action] }
+            : null;
+        const calendarChanges = occurrenceStatus ? { occurrenceStatus } : { status: statusByAction[action] };
+
+        // Don't double-book: approve and reschedule must not overlap other approved
+        // meetings (including preparation time) unless the admin explicitly overrides
+        const override = overrideConflicts === true || overrideConflicts === 'true';
+        let conflicts = [];
+        if (meeting && slot) {
+            conflicts = await availability.findConflicts(slot);
+
+            if (conflicts.length > 0 && !override) {
+                return res.status(409).json({
+                    error: 'This time overlaps with other approved meetings',
+                    code: 'schedule_conflict',
+                    slot: { date: slot.date, time: slot.time, duration: slot.duration || null },
+                    conflicts
+                });
+            }
+        }
+
+        // Approving, moving or rejecting a meeting on the calendar issues a new version of its event
+        const calendarSequence = meeting && icalendar.affectsCalendar(meeting, calendarChanges)
+            ? icalendar.nextCalendarSequence(meeting)
+            : null;
+
+        // A reschedule is a proposal the requester answers through a link until this deadline
+        const proposalExpiresAt = action === 'reschedule'
+            ? new Date(Math.floor((Date.now() + proposalResponseMs) / 1000) * 1000)
+            : null;
+
+        // Persist the decision ourselves when the storage backend can write,
+        // so the dashboard doesn't depend on the n8n write landing first
+        let persisted = false;
+        if (meetingStorage.canWrite()) {
+            const updateData = {
+                ...calendarChanges,
+                adminNotes: adminNotes || '',
+                // Shown on the requester's status page only when the admin opts in
+                notesShared: shareNotes === true || shareNotes === 'on' || shareNotes === 'true' ? 'Yes' : 'No'
+            };
+            if (action === 'approve' && !occurrenceDate) {
+                updateData.confirmedDate = newDate || meeting.preferredDate;
+                updateData.confirmedTime = newTime || meeting.preferredTime;
+            } else if (action === 'reschedule') {
+                updateData.confirmedDate = newDate || '';
+                updateData.confirmedTime = newTime || '';
+            }
+            if (utcRange) Object.assign(updateData, utcRange);
+            if (calendarSequence !== null) updateData.calendarSequence = calendarSequence;
+            // Deciding one occurrence leaves an open proposal for the series alone
+            if (!occurrenceDate) updateData.proposalExpiresAt = proposalExpiresAt ? proposalExpiresAt.toISOString() : '';
+            if (newDuration) updateData.estimatedDuration = newDuration;
+            if (newLocation) updateData.location = newLocation;
+            if (newMeetingType) updateData.meetingType = newMeetingType;
+
+            await meetingStorage.updateMeetingRequest(requestId, updateData, {
+                expectedLastUpdated: lastUpdated !== undefined ? lastUpdated : meeting.lastUpdated
+            });
+            persisted = true;
+            meetingCache.invalidate();
+        }
+
         // Prepare action data for n8n webhook
         const actionData = {
             requestId,
@@ -347,49 +1916,538 @@ app.post('/api/admin/meeting/action', authenticateAdmin, async (req, res) => {
             newDuration: newDuration || null,
             newLocation: newLocation || null,
             newMeetingType: newMeetingType || null,
+            // UTC start/end of the confirmed or proposed time (or of the decided occurrence), and the zones to show it in
+            newStartTime: (utcRange || occurrenceRange || {}).proposedStartTime || null,
+            newEndTime: (utcRange || occurrenceRange || {}).proposedEndTime || null,
+            // Recurring series: how it repeats, and the single occurrence decided, if any
+            recurrence: describeRecurrence(meeting, meeting && meeting.language),
+            occurrenceDate: occurrenceDate || null,
+            organizerTimeZone,
+            requesterTimeZone: (meeting && meeting.requesterTimeZone) || organizerTimeZone,
+            // The emails to the requester are written in the language they booked in
+            language: (meeting && meeting.language) || DEFAULT_LOCALE,
+            // Colleagues of the requester, copied on the invite
+            attendees: parseAttendees(meeting && meeting.attendees),
+            conflictsOverridden: conflicts.map(conflict => conflict.requestId),
+            // Where the requester accepts, declines or counters a reschedule, and until when
+            respondUrl: proposalExpiresAt ? buildRespondUrl(requestId, proposalExpiresAt) : null,
+            proposalExpiresAt: proposalExpiresAt ? proposalExpiresAt.toISOString() : null,
+            // .ics invite (or cancellation) for n8n to attach to the email, and where to download it later
+            calendarSequence,
+            calendarUrl: calendarSequence !== null ? buildCalendarUrl(requestId) : null,
+            calendarInvite: calendarSequence !== null
+                ? await buildCalendarInvite(meeting, {
+                    ...calendarChanges,
+                    calendarSequence,
+                    ...(utcRange || {}),
+                    estimatedDuration: newDuration || meeting.estimatedDuration,
+                    location: newLocation || meeting.location,
+                    meetingType: newMeetingType || meeting.meetingType,
+                    lastUpdated: new Date().toISOString()
+                })
+                : null,
             timestamp: new Date().toISOString()
         };
 
-        // Send to n8n webhook
-        const webhookUrl = process.env.ADMIN_ACTION_WEBHOOK;
-        if (!webhookUrl) {
-            throw new Error('Admin action webhook URL not configured');
-        }
-
-        const response = await axios.post(webhookUrl, actionData, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000
+        const overrideNote = conflicts.length > 0
+            ? `Overlaps ${conflicts.map(conflict => conflict.requestId).join(', ')}, conflict check overridden`
+            : '';
+        await recordHistory(requestId, occurrenceDate ? `occurrence_${statusByAction[action]}` : statusByAction[action], {
+            actor: 'admin',
+            note: [occurrenceDate ? `Occurrence on ${occurrenceDate}` : '', adminNotes, overrideNote].filter(Boolean).join(' - ')
         });
 
-        console.log('Admin action sent to n8n:', response.status);
+        // Queue for n8n, which sends the emails and calendar invite. The decision is saved by now,
+        // so without a webhook it stands and only the notifications are skipped.
+        let delivery = null;
+        if (webhookOutbox.targets.admin_action) {
+            delivery = await webhookOutbox.enqueue('admin_action', actionData);
+            console.log(`Admin action for ${requestId} ${delivery.status === WebhookOutbox.DELIVERED ? 'sent to n8n' : 'queued for retry'}`);
+        } else {
+            console.log(`⚠️ ADMIN_ACTION_WEBHOOK is not set: ${action} of ${requestId} was saved but not sent to n8n`);
+        }
+        const delivered = Boolean(delivery && delivery.status === WebhookOutbox.DELIVERED);
+
+        // n8n may have written to the sheet as well
+        meetingCache.invalidate();
 
+        const outcome = occurrenceDate
+            ? `Occurrence on ${occurrenceDate} ${statusByAction[action]}`
+            : `Meeting ${statusByAction[action]}`;
         res.json({
             success: true,
-            message: `Meeting ${action} successfully`,
+            message: delivered
+                ? (occurrenceDate ? outcome : `Meeting ${action} successfully`)
+                : delivery
+                    ? `${outcome}. n8n is unreachable, so notifications will be sent when it's back.`
+                    : `${outcome}. n8n is not set up, so no notifications were sent.`,
             action: action,
-            requestId: requestId
+            requestId: requestId,
+            persisted,
+            delivered
         });
 
     } catch (error) {
         console.error('Admin action error:', error);
+
+        if (error.code === MeetingStorage.CONFLICT) {
+            return res.status(409).json({
+                error: 'This meeting was changed by someone else. Please refresh and try again.',
+                details: error.message
+            });
+        }
+        if (error.code === MeetingStorage.NOT_FOUND) {
+            return res.status(404).json({
+                error: 'Meeting request not found'
+            });
+        }
+
         res.status(500).json({
             error: 'Failed to process admin action. Please try again.'
         });
     }
 });
 
+// Subscription URL of the admin calendar feed
+app.get('/api/admin/calendar/feed', authenticateAdmin, (req, res) => {
+    if (!calendarFeedSecret) {
+        return res.status(503).json({
+            error: 'Calendar feed not configured',
+            message: 'Set CALENDAR_FEED_SECRET to subscribe to the calendar feed'
+        });
+    }
+
+    res.json({
+        success: true,
+        url: `${publicBaseUrl}/api/admin/calendar.ics?token=${createFeedToken(calendarFeedSecret)}`
+    });
+});
+
+// iCalendar feed of all approved meetings for calendar clients to subscribe to.
+// Accepts the feed token from the subscription URL or an admin session.
+app.get('/api/admin/calendar.ics', async (req, res) => {
+    try {
+        const isAdmin = req.session && req.session.isAdmin;
+        if (!isAdmin && !calendarFeedSecret) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        if (!isAdmin && !verifyFeedToken(req.query.token, calendarFeedSecret)) {
+            return res.status(401).json({ error: 'Unauthorized access' });
+        }
+
+        // Keep cancelled events in the feed so subscribers drop them
+        const { meetings } = await meetingCache.get();
+        const calendar = icalendar.buildCalendar(meetings.filter(icalendar.hasCalendarEvent), {
+            ...(await getCalendarOptions()),
+            name: calendarName,
+            summary: meeting => `${meeting.meetingPurpose || 'Meeting'} - ${meeting.userName || meeting.userEmail || 'Requester'}`
+        });
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="meetings.ics"');
+        res.send(calendar);
+    } catch (error) {
+        console.error('❌ Calendar feed error:', error.message);
+        res.status(500).json({ error: 'Failed to build the calendar feed' });
+    }
+});
+
+// The catalog is written by the storage backend itself; the n8n workflow doesn't touch Meeting_Types
+const requireCatalogWrites = (req, res, next) => {
+    if (!meetingStorage.canWrite()) {
+        return res.status(503).json({
+            error: 'The meeting types catalog is read-only',
+            message: 'Connect a Google account or service account to edit it here, or edit the Meeting_Types sheet directly'
+        });
+    }
+    next();
+};
+
+// A type's name must stay unique, since older requests may refer to it by name
+const findNameClash = (meetingTypes, meetingType) => meetingTypes.find(type =>
+    type.typeId !== meetingType.typeId && type.typeName.toLowerCase() === meetingType.typeName.toLowerCase());
+
+// Every meeting type with all its settings, and how many requests use it
+app.get('/api/admin/meeting-types', authenticateAdmin, async (req, res) => {
+    try {
+        const meetingTypes = (await meetingStorage.fetchMeetingTypes()).map(parseMeetingType);
+        const { meetings } = await meetingCache.get();
+
+        res.json({
+            success: true,
+            meetingTypes: meetingTypes.map(type => ({
+                ...type,
+                requestCount: meetings.filter(meeting => meeting && meeting.meetingTypeId === type.typeId).length
+            })),
+            canWrite: meetingStorage.canWrite()
+        });
+    } catch (error) {
+        console.error('❌ Failed to read meeting types:', error.message);
+        res.status(500).json({ error: 'Failed to load meeting types' });
+    }
+});
+
+// Add a meeting type; without a typeId it gets the next MT number
+app.post('/api/admin/meeting-types', authenticateAdmin, requireCatalogWrites, async (req, res) => {
+    try {
+        const { errors, values } = await validateMeetingType(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid meeting type', details: errors });
+        }
+
+        const meetingTypes = (await meetingStorage.fetchMeetingTypes()).map(parseMeetingType);
+        const meetingType = parseMeetingType({ ...values, typeId: values.typeId || nextTypeId(meetingTypes) });
+
+        if (meetingTypes.some(type => type.typeId === meetingType.typeId)) {
+            return res.status(409).json({ error: `Meeting type ${meetingType.typeId} already exists` });
+        }
+        if (findNameClash(meetingTypes, meetingType)) {
+            return res.status(409).json({ error: `There is already a meeting type called "${meetingType.typeName}"` });
+        }
+
+        await meetingStorage.createMeetingType(meetingType);
+        availability.invalidateMeetingTypes();
+        console.log(`🗂️ Meeting type ${meetingType.typeId} added by ${req.session.adminEmail || 'admin'}`);
+
+        res.status(201).json({ success: true, message: 'Meeting type added', meetingType });
+    } catch (error) {
+        if (error.code === MeetingStorage.CONFLICT) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('❌ Failed to add meeting type:', error.message);
+        res.status(500).json({ error: 'Failed to add meeting type' });
+    }
+});
+
+// Replace the settings of a meeting type; its ID can't change, since requests store it
+app.put('/api/admin/meeting-types/:typeId', authenticateAdmin, requireCatalogWrites, async (req, res) => {
+    try {
+        const { errors, values } = await validateMeetingType({ ...req.body, typeId: req.params.typeId });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid meeting type', details: errors });
+        }
+
+        const meetingTypes = (await meetingStorage.fetchMeetingTypes()).map(parseMeetingType);
+        const meetingType = parseMeetingType(values);
+
+        if (findNameClash(meetingTypes, meetingType)) {
+            return res.status(409).json({ error: `There is already a meeting type called "${meetingType.typeName}"` });
+        }
+
+        await meetingStorage.updateMeetingType(meetingType.typeId, meetingType);
+        availability.invalidateMeetingTypes();
+        console.log(`🗂️ Meeting type ${meetingType.typeId} updated by ${req.session.adminEmail || 'admin'}`);
+
+        res.json({ success: true, message: 'Meeting type updated', meetingType });
+    } catch (error) {
+        if (error.code === MeetingStorage.NOT_FOUND) {
+            return res.status(404).json({ error: 'Meeting type not found' });
+        }
+        console.error('❌ Failed to update meeting type:', error.message);
+        res.status(500).json({ error: 'Failed to update meeting type' });
+    }
+});
+
+// Remove a meeting type nobody has booked; types in use can only be deactivated
+app.delete('/api/admin/meeting-types/:typeId', authenticateAdmin, requireCatalogWrites, async (req, res) => {
+    try {
+        const { typeId } = req.params;
+        const { meetings } = await meetingCache.get({ forceRefresh: true });
+        const inUse = meetings.filter(meeting => meeting && meeting.meetingTypeId === typeId).length;
+
+        if (inUse > 0) {
+            return res.status(409).json({
+                error: 'This meeting type is in use',
+                message: `${inUse} request${inUse === 1 ? ' uses' : 's use'} it. Deactivate it instead, so it is no longer offered.`
+            });
+        }
+
+        await meetingStorage.deleteMeetingType(typeId);
+        availability.invalidateMeetingTypes();
+        console.log(`🗂️ Meeting type ${typeId} deleted by ${req.session.adminEmail || 'admin'}`);
+
+        res.json({ success: true, message: 'Meeting type deleted' });
+    } catch (error) {
+        if (error.code === MeetingStorage.NOT_FOUND) {
+            return res.status(404).json({ error: 'Meeting type not found' });
+        }
+        console.error('❌ Failed to delete meeting type:', error.message);
+        res.status(500).json({ error: 'Failed to delete meeting type' });
+    }
+});
+
+// List webhook deliveries that are waiting for a retry or have given up
+app.get('/api/admin/outbox', authenticateAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const validStatuses = [WebhookOutbox.PENDING, WebhookOutbox.DELIVERED, WebhookOutbox.DEAD];
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of: ${validStatuses.join(', ')}`
+            });
+        }
+
+        const { entries, counts } = await webhookOutbox.list({ status });
+        res.json({
+            success: true,
+            entries: status ? entries : entries.filter(entry => entry.status !== WebhookOutbox.DELIVERED),
+            counts
+        });
+    } catch (error) {
+        console.error('❌ Failed to read outbox:', error.message);
+        res.status(500).json({ error: 'Failed to read webhook outbox' });
+    }
+});
+
+// Send a pending or dead delivery again now
+app.post('/api/admin/outbox/:id/replay', authenticateAdmin, async (req, res) => {
+    try {
+        const entry = await webhookOutbox.replay(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        if (entry.status === WebhookOutbox.DELIVERED) {
+            meetingCache.invalidate();
+        }
+
+        res.json({
+            success: entry.status === WebhookOutbox.DELIVERED,
+            message: entry.status === WebhookOutbox.DELIVERED
+                ? 'Delivered to n8n'
+                : `Delivery failed again: ${entry.lastError}`,
+            entry
+        });
+    } catch (error) {
+        if (error.code === 'OUTBOX_ALREADY_DELIVERED') {
+            return res.status(409).json({ error: 'This delivery was already sent' });
+        }
+        console.error('❌ Failed to replay delivery:', error.message);
+        res.status(500).json({ error: 'Failed to replay delivery' });
+    }
+});
+
+// Drop a delivery that should never be sent
+app.delete('/api/admin/outbox/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const removed = await webhookOutbox.discard(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json({ success: true, message: 'Delivery discarded' });
+    } catch (error) {
+        console.error('❌ Failed to discard delivery:', error.message);
+        res.status(500).json({ error: 'Failed to discard delivery' });
+    }
+});
+
+// Requests held back as likely spam or duplicates, newest first
+app.get('/api/admin/quarantine', authenticateAdmin, async (req, res) => {
+    try {
+        const entries = await quarantine.list();
+        res.json({ success: true, entries, count: entries.length });
+    } catch (error) {
+        console.error('❌ Failed to read quarantine:', error.message);
+        res.status(500).json({ error: 'Failed to read quarantined requests' });
+    }
+});
+
+// Let a quarantined request through: it is stored and sent to n8n like a new request
+app.post('/api/admin/quarantine/:requestId/release', authenticateAdmin, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!canAcceptRequests()) {
+            return res.status(503).json({
+                error: 'Set MEETING_REQUEST_WEBHOOK to release requests: the n8n workflow adds them to the sheet'
+            });
+        }
+
+        // Take the entry out first: a second click or a concurrent release then finds nothing to send again
+        const entry = await quarantine.remove(requestId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Quarantined request not found' });
+        }
+
+        const { meeting } = entry;
+        let delivery;
+        try {
+            // The time was free when the request came in, but it may have been booked while the request waited here
+            const slotProblem = await checkRequestSlots({
+                dates: listRequestDates(meeting, meeting.preferredDate),
+                time: meeting.preferredTime,
+                duration: parseInt(meeting.estimatedDuration || '60', 10),
+                meetingTypeId: meeting.meetingTypeId
+            });
+            if (slotProblem) {
+                await quarantine.restore(entry);
+                return res.status(409).json({
+                    ...slotProblem,
+                    error: slotProblem.reason === 'series_unavailable'
+                        ? `The requested time is no longer available on ${slotProblem.dates.map(slot => slot.date).join(', ')}`
+                        : 'The requested time is no longer available'
+                });
+            }
+
+            // Fresh links, as the manage link from the submission may be close to expiring
+            delivery = await acceptMeetingRequest(meeting, {
+                statusUrl: buildStatusUrl(requestId),
+                manageUrl: buildManageUrl(requestId)
+            });
+        } catch (error) {
+            // Back in the list to try again, unless the request was stored before the failure
+            const stored = await meetingStorage.getMeetingRequest(requestId).catch(() => null);
+            if (!stored) await quarantine.restore(entry);
+            throw error;
+        }
+
+        await recordHistory(requestId, 'released', { actor: 'admin' });
+        console.log(`✅ Quarantined request ${requestId} released by ${req.session.adminEmail || 'admin'}`);
+
+        res.json({
+            success: true,
+            message: 'Request released',
+            requestId,
+            delivered: Boolean(delivery && delivery.status === WebhookOutbox.DELIVERED)
+        });
+    } catch (error) {
+        console.error('❌ Failed to release request:', error.message);
+        res.status(500).json({ error: 'Failed to release request' });
+    }
+});
+
+// Delete a quarantined request and its attachments
+app.delete('/api/admin/quarantine/:requestId', authenticateAdmin, async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const entry = await quarantine.remove(requestId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Quarantined request not found' });
+        }
+
+        await discardAttachments(entry.meeting.attachments || []);
+        await recordHistory(requestId, 'purged', { actor: 'admin' });
+        console.log(`🗑️ Quarantined request ${requestId} purged by ${req.session.adminEmail || 'admin'}`);
+
+        res.json({ success: true, message: 'Request purged' });
+    } catch (error) {
+        console.error('❌ Failed to purge request:', error.message);
+        res.status(500).json({ error: 'Failed to purge request' });
+    }
+});
+
+// Verify the HMAC signature on calls from n8n (see services/webhookSignature.js)
+const verifyN8nSignature = (req, res, next) => {
+    if (!callbackVerifier) {
+        return res.status(503).json({
+            error: 'Webhook callbacks not configured',
+            message: 'Set WEBHOOK_SECRET to accept signed callbacks from n8n'
+        });
+    }
+
+    const result = callbackVerifier.verify({
+        body: req.rawBody ? req.rawBody.toString('utf8') : '',
+        timestamp: req.get(TIMESTAMP_HEADER),
+        signature: req.get(SIGNATURE_HEADER)
+    });
+
+    if (!result.valid) {
+        console.log(`🚫 Rejected n8n callback: ${result.reason}`);
+        return res.status(401).json({ error: 'Invalid signature', message: result.reason });
+    }
+
+    next();
+};
+
+// Fields n8n may set through the status callback
+const CALLBACK_FIELDS = ['status', 'adminNotes', 'confirmedDate', 'confirmedTime', 'calendarEventId', 'meetingLink', 'location', 'reminderSent', 'followUpRequired'];
+const CALLBACK_STATUSES = ['pending', 'approved', 'rejected', 'rescheduled', 'cancelled'];
+
+// Status updates from the n8n workflow, e.g. after the calendar event is created
+app.post('/api/webhooks/n8n/status', verifyN8nSignature, async (req, res) => {
+    try {
+        const { requestId, event } = req.body || {};
+
+        if (!requestId) {
+            return res.status(400).json({ error: 'requestId is required' });
+        }
+
+        const updateData = {};
+        CALLBACK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined && req.body[field] !== null) {
+                updateData[field] = req.body[field];
+            }
+        });
+
+        if (updateData.status !== undefined) {
+            updateData.status = String(updateData.status).toLowerCase();
+            if (!CALLBACK_STATUSES.includes(updateData.status)) {
+                return res.status(400).json({
+                    error: `status must be one of: ${CALLBACK_STATUSES.join(', ')}`
+                });
+            }
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                error: 'Nothing to update',
+                message: `Send at least one of: ${CALLBACK_FIELDS.join(', ')}`
+            });
+        }
+
+        console.log(`📥 n8n callback for ${requestId}${event ? ` (${event})` : ''}:`, Object.keys(updateData).join(', '));
+
+        // Backends that can't write rely on n8n having updated the sheet itself
+        let persisted = false;
+        if (meetingStorage.canWrite()) {
+            // A status or time change from n8n moves the calendar event like an admin action does
+            const meeting = await meetingStorage.getMeetingRequest(requestId);
+            const moved = meeting && ['status', 'confirmedDate', 'confirmedTime'].some(field =>
+                updateData[field] !== undefined && String(updateData[field]).toLowerCase() !== String(meeting[field] || '').toLowerCase());
+            if (moved && icalendar.affectsCalendar(meeting, updateData.status || meeting.status)) {
+                updateData.calendarSequence = icalendar.nextCalendarSequence(meeting);
+            }
+
+            await meetingStorage.updateMeetingRequest(requestId, updateData);
+            persisted = true;
+        }
+        meetingCache.invalidate();
+        await recordHistory(requestId, event || 'status_update', {
+            actor: 'n8n',
+            note: `Updated ${Object.keys(updateData).join(', ')}`
+        });
+
+        res.status(persisted ? 200 : 202).json({
+            success: true,
+            requestId,
+            persisted
+        });
+    } catch (error) {
+        if (error.code === MeetingStorage.NOT_FOUND) {
+            return res.status(404).json({ error: 'Meeting request not found' });
+        }
+
+        console.error('❌ n8n callback error:', error.message);
+        res.status(500).json({ error: 'Failed to apply status update' });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
+        storage: {
+            backend: meetingStorage.name,
+            configured: meetingStorage.isConfigured()
+        },
         googleSheetsIntegration: {
             enabled: true,
             sheetId: process.env.GOOGLE_SHEETS_ID ? 'configured' : 'missing',
-            apiKey: process.env.GOOGLE_API_KEY ? 'configured' : 'missing'
+            apiKey: process.env.GOOGLE_API_KEY ? 'configured' : 'missing',
+            auth: meetingStorage.googleAuth ? meetingStorage.googleAuth.mode : 'none',
+            authorized: meetingStorage.googleAuth ? meetingStorage.googleAuth.isAuthorized() : false
         }
     });
 });
@@ -407,7 +2465,7 @@ app.get('/api/test-sheets-connection', async (req, res) => {
             });
         }
 
-        const meetings = await googleSheetsService.fetchMeetingRequests();
+        const meetings = await meetingStorage.fetchMeetingRequests();
 
         res.json({
             success: true,
@@ -450,8 +2508,8 @@ app.get('/api/admin/test-sheets', authenticateAdmin, async (req, res) => {
     try {
         console.log('🧪 Testing Google Sheets connection...');
 
-        const meetings = await googleSheetsService.fetchMeetingRequests();
-        const statistics = googleSheetsService.generateStatistics(meetings);
+        const meetings = await meetingStorage.fetchMeetingRequests();
+        const statistics = meetingStorage.generateStatistics(meetings);
 
         res.json({
             success: true,
@@ -494,39 +2552,35 @@ app.get('/api/admin/meetings/test', authenticateAdmin, (req, res) => {
     });
 });
 
-// Refresh meeting data from Google Sheets
+// Refresh meeting data from storage
 app.post('/api/admin/sync-n8n', authenticateAdmin, async (req, res) => {
     try {
-        console.log('🔄 Admin triggered Google Sheets data refresh');
+        console.log(`🔄 Admin triggered ${meetingStorage.displayName} data refresh`);
 
-        // Check if Google Sheets ID is configured
-        if (!process.env.GOOGLE_SHEETS_ID) {
-            return res.status(400).json({
-                error: 'Google Sheets not configured',
-                message: 'Please configure GOOGLE_SHEETS_ID in your environment variables'
-            });
+        // Check if the storage backend is configured
+        if (!meetingStorage.isConfigured()) {
+            return res.status(400).json(meetingStorage.getConfigurationError());
         }
 
-        console.log('📡 Fetching fresh data from Google Sheets...');
+        console.log(`📡 Fetching fresh data from ${meetingStorage.displayName}...`);
 
-        // Fetch fresh data directly from Google Sheets
-        const meetings = await googleSheetsService.fetchMeetingRequests();
-        const statistics = googleSheetsService.generateStatistics(meetings);
+        // Fetch fresh data directly from storage, replacing the cached copy
+        const { meetings, statistics } = await meetingCache.get({ forceRefresh: true });
 
-        console.log('✅ Google Sheets refresh completed successfully');
+        console.log(`✅ ${meetingStorage.displayName} refresh completed successfully`);
         console.log('� Retrieved meetings:', meetings.length);
 
         // Return success response with updated data
         res.json({
             success: true,
-            message: `Google Sheets refresh completed successfully - ${meetings.length} meetings retrieved`,
+            message: `${meetingStorage.displayName} refresh completed successfully - ${meetings.length} meetings retrieved`,
             meetings: meetings,
             statistics: statistics,
             syncTriggered: true,
             refreshedAt: new Date().toISOString(),
             metadata: {
                 triggeredBy: 'admin',
-                source: 'google_sheets_direct',
+                source: `${meetingStorage.name}_direct`,
                 sheetId: process.env.GOOGLE_SHEETS_ID
             }
         });
@@ -577,6 +2631,21 @@ app.use((error, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+    webhookOutbox.start();
+    setInterval(() => {
+        expireOverdueProposals().catch(error => {
+            console.error('❌ Proposal expiry check failed:', error.message);
+        });
+    }, proposalSweepMs).unref();
+    if (!webhookSecret) {
+        console.log('⚠️ WEBHOOK_SECRET is not set: calls to n8n are unsigned and /api/webhooks/n8n/status is disabled');
+    }
+    if (!process.env.STATUS_TOKEN_SECRET && !process.env.SESSION_SECRET) {
+        console.log(`⚠️ STATUS_TOKEN_SECRET is not set: requester links are signed with the secret in ${tokenSecretFile}`);
+    }
+    if (!calendarFeedSecret) {
+        console.log('⚠️ CALENDAR_FEED_SECRET is not set: the calendar feed is only available to signed-in admins');
+    }
     console.log(`🚀 Meeting Arrangement System running on port ${PORT}`);
     console.log(`📱 User Panel: http://localhost:${PORT}`);
     console.log(`👨‍💼 Admin Panel: http://localhost:${PORT}/admin`);
@@ -0,0 +1,46 @@
+/**
+ * Base class for attachment storage drivers.
+ *
+ * Meeting requests only carry attachment metadata ({ id, name, size, mimeType,
+ * uploadedAt }); the file contents live in a driver. Subclasses must implement
+ * saveFile, openFile and deleteFile.
+ */
+class AttachmentStorage {
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    /**
+     * Store an uploaded file
+     * @param {Object} file Uploaded file as parsed by multer's memory storage
+     * @param {Buffer} file.buffer File contents
+     * @param {string} file.originalname File name on the requester's machine
+     * @param {string} file.mimetype MIME type reported by the browser
+     * @param {number} file.size Size in bytes
+     * @returns {Promise<Object>} Metadata stored with the meeting request
+     */
+    async saveFile(file) {
+        throw new Error(`${this.constructor.name} does not implement saveFile`);
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} attachmentId ID from the attachment metadata
+     * @returns {Promise<{stream: import('stream').Readable, size: number}|null>} null if the file doesn't exist
+     */
+    async openFile(attachmentId) {
+        throw new Error(`${this.constructor.name} does not implement openFile`);
+    }
+
+    /**
+     * Remove a stored file; removing a file that doesn't exist is not an error
+     * @param {string} attachmentId ID from the attachment metadata
+     * @returns {Promise<void>}
+     */
+    async deleteFile(attachmentId) {
+        throw new Error(`${this.constructor.name} does not implement deleteFile`);
+    }
+}
+
+module.exports = AttachmentStorage;
@@ -0,0 +1,177 @@
+const path = require('path');
+const multer = require('multer');
+
+/**
+ * Upload rules for files attached to meeting requests (agendas, slides, documents).
+ *
+ * Files are parsed with multer into memory and only handed to the attachment
+ * storage driver once the rest of the request has passed validation, so a
+ * rejected request doesn't leave files behind.
+ */
+
+// Extensions requesters may upload, with the MIME types browsers report for them.
+// The first type is the one stored and served, whatever the browser claimed.
+const ATTACHMENT_TYPES = {
+    '.pdf': ['application/pdf'],
+    '.doc': ['application/msword'],
+    '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    '.xls': ['application/vnd.ms-excel'],
+    '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    '.ppt': ['application/vnd.ms-powerpoint'],
+    '.pptx': ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    '.odt': ['application/vnd.oasis.opendocument.text'],
+    '.txt': ['text/plain'],
+    '.csv': ['text/csv', 'application/vnd.ms-excel'],
+    '.png': ['image/png'],
+    '.jpg': ['image/jpeg'],
+    '.jpeg': ['image/jpeg']
+};
+
+// Browsers fall back to these when they don't know a file's type
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+// Types the admin dashboard may open in the browser; everything else is downloaded
+const PREVIEW_TYPES = ['application/pdf', 'text/plain', 'image/png', 'image/jpeg'];
+
+// Name of the multipart field the booking form sends files in
+const ATTACHMENT_FIELD = 'attachments';
+
+const MAX_NAME_LENGTH = 150;
+
+const UNSUPPORTED_TYPE = 'ATTACHMENT_UNSUPPORTED_TYPE';
+
+/**
+ * Make an uploaded file name safe to store and show: no directories,
+ * no control characters, and at most MAX_NAME_LENGTH characters
+ * @param {string} name File name as sent by the browser
+ * @returns {string}
+ */
+function cleanFileName(name) {
+    // multer decodes multipart headers as latin1; browsers send UTF-8
+    const decoded = Buffer.from(String(name || ''), 'latin1').toString('utf8');
+    const cleaned = path.basename(decoded.replace(/\\/g, '/'))
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .trim();
+
+    if (cleaned.length <= MAX_NAME_LENGTH) return cleaned || 'attachment';
+
+    const extension = path.extname(cleaned).slice(0, 10);
+    return cleaned.slice(0, MAX_NAME_LENGTH - extension.length) + extension;
+}
+
+/**
+ * MIME type to store for an upload, or null when its type isn't allowed
+ * @param {string} fileName
+ * @param {string} reportedType MIME type reported by the browser
+ * @returns {string|null}
+ */
+function getAttachmentType(fileName, reportedType) {
+    const types = ATTACHMENT_TYPES[path.extname(fileName).toLowerCase()];
+    if (!types) return null;
+
+    const reported = String(reportedType || '').toLowerCase();
+    return types.includes(reported) || GENERIC_TYPES.includes(reported) ? types[0] : null;
+}
+
+/**
+ * multer middleware that parses up to maxFiles files from the attachments field.
+ * Requests that aren't multipart/form-data pass through untouched.
+ * @param {Object} limits
+ * @param {number} limits.maxFileSize Largest file in bytes
+ * @param {number} limits.maxFiles Most files per request
+ * @returns {Function} Express middleware; errors are described by describeUploadError
+ */
+function createAttachmentUpload({ maxFileSize, maxFiles }) {
+    return multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: maxFileSize,
+            files: maxFiles,
+            fields: 50
+        },
+        fileFilter: (req, file, callback) => {
+            file.originalname = cleanFileName(file.originalname);
+            const mimeType = getAttachmentType(file.originalname, file.mimetype);
+
+            if (!mimeType) {
+                const error = new Error(`"${file.originalname}" is not a supported file type`);
+                error.code = UNSUPPORTED_TYPE;
+                return callback(error);
+            }
+
+            file.mimetype = mimeType;
+            callback(null, true);
+        }
+    }).array(ATTACHMENT_FIELD, maxFiles);
+}
+
+/**
+ * Requester-facing message for an upload error, or null when the error isn't about the upload
+ * @param {Error} error Error passed on by the createAttachmentUpload middleware
+ * @param {Object} limits The limits the middleware was created with
+ * @returns {string|null}
+ */
+function describeUploadError(error, { maxFileSize, maxFiles }) {
+    if (error.code === UNSUPPORTED_TYPE) {
+        return `${error.message}. Allowed types: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`;
+    }
+    if (!(error instanceof multer.MulterError)) return null;
+
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `Each file can be at most ${formatFileSize(maxFileSize)}`;
+        case 'LIMIT_FILE_COUNT':
+            return `Please attach at most ${maxFiles} files`;
+        case 'LIMIT_UNEXPECTED_FILE':
+            return error.field === ATTACHMENT_FIELD
+                ? `Please attach at most ${maxFiles} files`
+                : `Files can only be sent in the "${ATTACHMENT_FIELD}" field`;
+        default:
+            return 'The upload could not be read. Please try again.';
+    }
+}
+
+/**
+ * Attachment metadata of a meeting. Local storage keeps the array, the
+ * Meeting_Requests sheet keeps it as a JSON string.
+ * @param {Array|string} value The meeting's attachments field
+ * @returns {Array<{id: string, name: string, size: number, mimeType: string, uploadedAt: string}>}
+ */
+function parseAttachments(value) {
+    let attachments = value;
+    if (typeof value === 'string') {
+        try {
+            attachments = JSON.parse(value || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    return Array.isArray(attachments)
+        ? attachments.filter(attachment => attachment && typeof attachment === 'object' && attachment.id)
+        : [];
+}
+
+/**
+ * Whether the admin dashboard may show a file inline instead of downloading it
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function canPreview(mimeType) {
+    return PREVIEW_TYPES.includes(String(mimeType || '').toLowerCase());
+}
+
+function formatFileSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+module.exports = {
+    ATTACHMENT_TYPES,
+    ATTACHMENT_FIELD,
+    cleanFileName,
+    getAttachmentType,
+    createAttachmentUpload,
+    describeUploadError,
+    parseAttachments,
+    canPreview
+};
@@ -0,0 +1,59 @@
+/**
+ * Additional attendees of a meeting request: colleagues the requester brings
+ * along, each with a name, an email address and an optional role.
+ *
+ * The requester (userName/userEmail) is not part of the list. Local storage
+ * keeps the list as an array, the Meeting_Requests sheet as a JSON string.
+ */
+
+// Most additional attendees one request can name
+const MAX_ATTENDEES = 10;
+
+/**
+ * Attendee list of a meeting
+ * @param {Array|string} value The meeting's attendees field
+ * @returns {Array<{name: string, email: string, role: string}>}
+ */
+function parseAttendees(value) {
+    let attendees = value;
+    if (typeof value === 'string') {
+        try {
+            attendees = JSON.parse(value || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    if (!Array.isArray(attendees)) return [];
+
+    return attendees
+        .filter(attendee => attendee && typeof attendee === 'object' && attendee.email)
+        .map(attendee => ({
+            name: String(attendee.name || '').trim(),
+            email: String(attendee.email).trim(),
+            role: String(attendee.role || '').trim()
+        }));
+}
+
+/**
+ * Email addresses of everyone invited to a meeting, requester first, without duplicates
+ * @param {Object} meeting
+ * @returns {Array<string>}
+ */
+function getAttendeeEmails(meeting) {
+    const emails = [meeting.userEmail, ...parseAttendees(meeting.attendees).map(attendee => attendee.email)];
+    const seen = new Set();
+
+    return emails.filter(email => {
+        const key = String(email || '').trim().toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = {
+    MAX_ATTENDEES,
+    parseAttendees,
+    getAttendeeEmails
+};
@@ -0,0 +1,441 @@
+/**
+ * Free meeting slots, built from the schedule settings in System_Config and
+ * the meetings that are already booked.
+ *
+ * A booked meeting also blocks the preparation time of its Meeting_Types entry
+ * (meetingTypeId, see meetingTypes.js) right before it.
+ * A recurring series blocks every occurrence that is booked (see recurrence.js).
+ *
+ * Times are wall-clock times in the organizer's time zone (time_zone in
+ * System_Config), the same way preferredDate/preferredTime are stored in the
+ * sheet. Each free slot also carries its UTC start for requesters elsewhere.
+ */
+const { isValidTimeZone, getServerTimeZone, zonedTimeToUtc, toZonedDateTime } = require('./timeZone');
+const { isRecurring, getOccurrences } = require('./recurrence');
+const { parseMeetingType, findMeetingType } = require('./meetingTypes');
+
+// Used when System_Config (or the local "config" object) doesn't set them
+const DEFAULT_SETTINGS = {
+    business_hours_start: '09:00',
+    business_hours_end: '17:00',
+    working_days: '1,2,3,4,5', // 0 = Sunday ... 6 = Saturday
+    blackout_dates: '', // comma-separated YYYY-MM-DD
+    max_advance_booking_days: '30',
+    slot_interval_minutes: '30',
+    default_meeting_duration: '60',
+    time_zone: '' // IANA name; empty uses BUSINESS_TIME_ZONE or the server's zone
+};
+
+// Meetings in these states hold their time slot
+const BOOKED_STATUSES = ['approved', 'rescheduled'];
+
+const MAX_RANGE_DAYS = 31;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * "09:30" -> 570
+ * @param {string} time HH:MM
+ * @returns {number|null} Minutes since midnight, or null if the time is invalid
+ */
+function toMinutes(time) {
+    const match = String(time || '').trim().match(TIME_PATTERN);
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * 570 -> "09:30"
+ * @param {number} minutes Minutes since midnight
+ * @returns {string}
+ */
+function toTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Day of the week of a YYYY-MM-DD date, 0 = Sunday
+ * @param {string} dateKey
+ * @returns {number}
+ */
+function dayOfWeek(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).getDay();
+}
+
+/**
+ * Turn raw setting strings into the schedule used to build slots
+ * Invalid values fall back to the defaults
+ * @param {Object<string, string>} settings Setting values keyed by name
+ * @returns {Object} Parsed schedule
+ */
+function parseSchedule(settings = {}) {
+    const value = name => {
+        const raw = settings[name];
+        return raw === undefined || raw === null || String(raw).trim() === '' ? DEFAULT_SETTINGS[name] : String(raw).trim();
+    };
+    const positiveInt = name => {
+        const parsed = parseInt(value(name), 10);
+        return Number.isInteger(parsed) && parsed > 0 ? parsed : parseInt(DEFAULT_SETTINGS[name], 10);
+    };
+
+    let start = toMinutes(value('business_hours_start'));
+    let end = toMinutes(value('business_hours_end'));
+    if (start === null || end === null || end <= start) {
+        start = toMinutes(DEFAULT_SETTINGS.business_hours_start);
+        end = toMinutes(DEFAULT_SETTINGS.business_hours_end);
+    }
+
+    const workingDays = value('working_days')
+        .split(',')
+        .map(day => parseInt(day, 10))
+        .filter(day => day >= 0 && day <= 6);
+
+    const blackoutDates = value('blackout_dates')
+        .split(',')
+        .map(date => date.trim())
+        .filter(date => DATE_PATTERN.test(date));
+
+    const configuredZones = [value('time_zone'), process.env.BUSINESS_TIME_ZONE];
+    const timeZone = configuredZones.find(isValidTimeZone) || getServerTimeZone();
+
+    return {
+        timeZone,
+        start,
+        end,
+        workingDays: new Set(workingDays),
+        blackoutDates: new Set(blackoutDates),
+        maxAdvanceDays: positiveInt('max_advance_booking_days'),
+        slotInterval: positiveInt('slot_interval_minutes'),
+        defaultDuration: positiveInt('default_meeting_duration')
+    };
+}
+
+class AvailabilityService {
+    /**
+     * @param {Object} options
+     * @param {import('./meetingStorage')} options.storage Storage backend, for System_Config
+     * @param {import('./meetingCache')} options.meetingCache Cache of the booked meetings
+     * @param {number} [options.configTtlMs] How long settings are cached, defaults to SYSTEM_CONFIG_CACHE_TTL or 5 minutes
+     */
+    constructor({ storage, meetingCache, configTtlMs }) {
+        this.storage = storage;
+        this.meetingCache = meetingCache;
+        this.configTtlMs = configTtlMs || parseInt(process.env.SYSTEM_CONFIG_CACHE_TTL) || 5 * 60 * 1000;
+        this.schedule = null;
+        this.scheduleLoadedAt = 0;
+        this.meetingTypes = null;
+        this.meetingTypesLoadedAt = 0;
+    }
+
+    /**
+     * Schedule settings, read from storage at most once per configTtlMs
+     * @returns {Promise<Object>} See parseSchedule
+     */
+    async getSchedule() {
+        if (this.schedule && Date.now() - this.scheduleLoadedAt < this.configTtlMs) {
+            return this.schedule;
+        }
+
+        let settings = {};
+        try {
+            settings = await this.storage.fetchSystemConfig();
+        } catch (error) {
+            // Keep serving slots with the last known (or default) settings
+            console.error('❌ Failed to read System_Config, using previous or default schedule:', error.message);
+            if (this.schedule) return this.schedule;
+        }
+
+        this.schedule = parseSchedule(settings);
+        this.scheduleLoadedAt = Date.now();
+        return this.schedule;
+    }
+
+    /**
+     * Meeting types catalog, read from storage at most once per configTtlMs
+     * @returns {Promise<Array<Object>>} Parsed types, inactive ones included (see parseMeetingType)
+     */
+    async getMeetingTypes() {
+        if (this.meetingTypes && Date.now() - this.meetingTypesLoadedAt < this.configTtlMs) {
+            return this.meetingTypes;
+        }
+
+        try {
+            this.meetingTypes = (await this.storage.fetchMeetingTypes()).map(parseMeetingType);
+        } catch (error) {
+            // Without the catalog, meetings just get no preparation buffer
+            console.error('❌ Failed to read Meeting_Types, using previous or no preparation times:', error.message);
+            if (this.meetingTypes) return this.meetingTypes;
+            this.meetingTypes = [];
+        }
+
+        this.meetingTypesLoadedAt = Date.now();
+        return this.meetingTypes;
+    }
+
+    /**
+     * Read the catalog again on next use, e.g. after an admin changed it
+     */
+    invalidateMeetingTypes() {
+        this.meetingTypes = null;
+    }
+
+    /**
+     * Minutes to keep free before a meeting, from its type's Preparation_Time
+     * @param {string} meetingTypeId Type of the meeting; older rows may hold the type name
+     * @param {Array<Object>} meetingTypes See getMeetingTypes
+     * @returns {number}
+     */
+    getPreparationTime(meetingTypeId, meetingTypes) {
+        const type = findMeetingType(meetingTypes, meetingTypeId);
+        return type ? type.preparationTime : 0;
+    }
+
+    /**
+     * Booked time ranges per date, each starting at the meeting's preparation time
+     * @param {Array<Object>} meetings All meetings
+     * @param {string} [excludeRequestId] Ignore this request, e.g. when it is being moved
+     * @param {Array<Object>} [meetingTypes] See getMeetingTypes
+     * @returns {Map<string, Array<{start: number, end: number, meeting: Object}>>}
+     */
+    getBusyRanges(meetings, excludeRequestId, meetingTypes = []) {
+        const busy = new Map();
+
+        meetings.forEach(meeting => {
+            if (!meeting || meeting.requestId === excludeRequestId) return;
+
+            // Occurrences of a series hold their slot by their own status, which
+            // an admin may have decided apart from the rest of the series
+            const dates = isRecurring(meeting)
+                ? getOccurrences(meeting).filter(occurrence => BOOKED_STATUSES.includes(occurrence.status)).map(occurrence => occurrence.date)
+                : BOOKED_STATUSES.includes(String(meeting.status || '').toLowerCase())
+                    // A confirmed time replaces the requested one
+                    ? [meeting.confirmedDate || meeting.preferredDate]
+                    : [];
+
+            const time = meeting.confirmedTime || meeting.preferredTime;
+            const start = toMinutes(time);
+            if (start === null) return;
+
+            const duration = parseInt(meeting.estimatedDuration, 10) || 60;
+            const preparationTime = this.getPreparationTime(meeting.meetingTypeId, meetingTypes);
+            dates.filter(Boolean).forEach(date => {
+                if (!busy.has(date)) busy.set(date, []);
+                busy.get(date).push({
+                    start: start - preparationTime,
+                    end: start + duration,
+                    meeting: {
+                        requestId: meeting.requestId,
+                        userName: meeting.userName,
+                        meetingPurpose: meeting.meetingPurpose,
+                        status: meeting.status,
+                        date,
+                        time: toTime(start),
+                        duration,
+                        preparationTime
+                    }
+                });
+            });
+        });
+
+        return busy;
+    }
+
+    /**
+     * Why a date can't be booked at all
+     * @param {string} date YYYY-MM-DD
+     * @param {Object} schedule See parseSchedule
+     * @returns {string|null} past, too_far_ahead, closed or blackout; null when the date is open
+     */
+    getClosedReason(date, schedule) {
+        const today = toZonedDateTime(new Date(), schedule.timeZone).date;
+        if (date < today) return 'past';
+        if (date > addDays(today, schedule.maxAdvanceDays)) return 'too_far_ahead';
+        if (schedule.blackoutDates.has(date)) return 'blackout';
+        if (!schedule.workingDays.has(dayOfWeek(date))) return 'closed';
+        return null;
+    }
+
+    /**
+     * Free start times on one date
+     * @param {string} date YYYY-MM-DD
+     * @param {number} duration Meeting length in minutes
+     * @param {Object} schedule See parseSchedule
+     * @param {Array<{start: number, end: number}>} busy Booked ranges on that date
+     * @param {number} [preparationTime] Minutes the meeting being placed needs free before it, as in findConflicts
+     * @returns {Array<{time: string, start: string}>} Start times as HH:MM in the organizer's zone, and as UTC ISO strings
+     */
+    getFreeSlots(date, duration, schedule, busy, preparationTime = 0) {
+        const slots = [];
+        const now = toZonedDateTime(new Date(), schedule.timeZone);
+        const isToday = date === now.date;
+
+        for (let start = schedule.start; start + duration <= schedule.end; start += schedule.slotInterval) {
+            if (isToday && start <= now.minutes) continue;
+
+            const end = start + duration;
+            const overlaps = busy.some(range => start - preparationTime < range.end && range.start < end);
+            if (!overlaps) {
+                const time = toTime(start);
+                slots.push({ time, start: zonedTimeToUtc(date, time, schedule.timeZone).toISOString() });
+            }
+        }
+
+        return slots;
+    }
+
+    /**
+     * Free slots for a range of dates
+     * @param {Object} query
+     * @param {string} query.from First date, YYYY-MM-DD
+     * @param {string} query.to Last date, YYYY-MM-DD
+     * @param {number} [query.duration] Meeting length in minutes, defaults to default_meeting_duration
+     * @param {string} [query.meetingTypeId] Type of the meeting being booked, for its preparation time
+     * @returns {Promise<{timeZone: string, duration: number, businessHours: Object, slotInterval: number, days: Array<Object>}>}
+     */
+    async getAvailability({ from, to, duration, meetingTypeId }) {
+        const schedule = await this.getSchedule();
+        const length = duration || schedule.defaultDuration;
+        const { meetings } = await this.meetingCache.get();
+        const meetingTypes = await this.getMeetingTypes();
+        const busy = this.getBusyRanges(meetings, undefined, meetingTypes);
+        const preparationTime = this.getPreparationTime(meetingTypeId, meetingTypes);
+
+        const days = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            const closedReason = this.getClosedReason(date, schedule);
+            days.push(closedReason
+                ? { date, open: false, reason: closedReason, slots: [] }
+                : { date, open: true, slots: this.getFreeSlots(date, length, schedule, busy.get(date) || [], preparationTime) });
+        }
+
+        return {
+            timeZone: schedule.timeZone,
+            duration: length,
+            businessHours: { start: toTime(schedule.start), end: toTime(schedule.end) },
+            slotInterval: schedule.slotInterval,
+            days
+        };
+    }
+
+    /**
+     * Check a single slot against fresh meeting data, e.g. right before saving a request
+     * @param {Object} slot
+     * @param {string} slot.date YYYY-MM-DD
+     * @param {string} slot.time HH:MM
+     * @param {number} [slot.duration] Meeting length in minutes
+     * @param {string} [slot.meetingTypeId] Type of the meeting, for its preparation time
+     * @param {string} [slot.excludeRequestId] Request being moved, so it doesn't clash with itself
+     * @returns {Promise<{available: boolean, reason?: string}>} reason is a closed reason (see getClosedReason), outside_hours or taken
+     */
+    async checkSlot({ date, ...slot }) {
+        const [{ available, reason }] = await this.checkSlots({ dates: [date], ...slot });
+        return available ? { available } : { available, reason };
+    }
+
+    /**
+     * Check the same time on several dates, e.g. every occurrence of a recurring
+     * request, against one read of fresh meeting data
+     * @param {Object} slots
+     * @param {Array<string>} slots.dates YYYY-MM-DD dates
+     * @param {string} slots.time HH:MM
+     * @param {number} [slots.duration] Meeting length in minutes
+     * @param {string} [slots.meetingTypeId] Type of the meeting, for its preparation time
+     * @param {string} [slots.excludeRequestId] Request being moved, so it doesn't clash with itself
+     * @returns {Promise<Array<{date: string, available: boolean, reason?: string}>>} One entry per date, see checkSlot
+     */
+    async checkSlots({ dates, time, duration, meetingTypeId, excludeRequestId }) {
+        const schedule = await this.getSchedule();
+        const length = duration || schedule.defaultDuration;
+        const start = toMinutes(time);
+        const now = toZonedDateTime(new Date(), schedule.timeZone);
+
+        const results = dates.map(date => {
+            const closedReason = this.getClosedReason(date, schedule);
+            if (closedReason) {
+                return { date, available: false, reason: closedReason };
+            }
+            if (start === null || start < schedule.start || start + length > schedule.end) {
+                return { date, available: false, reason: 'outside_hours' };
+            }
+            if (date === now.date && start <= now.minutes) {
+                return { date, available: false, reason: 'past' };
+            }
+            return { date, available: true };
+        });
+
+        const open = results.filter(result => result.available).map(result => result.date);
+        const conflicts = open.length > 0
+            ? await this.findConflicts({ dates: open, time, duration: length, meetingTypeId, excludeRequestId })
+            : [];
+        const takenDates = new Set(conflicts.map(conflict => conflict.date));
+
+        return results.map(result => takenDates.has(result.date) ? { date: result.date, available: false, reason: 'taken' } : result);
+    }
+
+    /**
+     * Approved or rescheduled meetings that overlap a time, counting the
+     * preparation time of both sides. Uses fresh meeting data.
+     * @param {Object} slot
+     * @param {string} [slot.date] YYYY-MM-DD
+     * @param {Array<string>} [slot.dates] Several dates at the same time instead of one, e.g. a recurring series
+     * @param {string} slot.time HH:MM
+     * @param {number} [slot.duration] Meeting length in minutes, defaults to default_meeting_duration
+     * @param {string} [slot.meetingTypeId] Type of the meeting being placed
+     * @param {string} [slot.excludeRequestId] Request being placed, so it doesn't clash with itself
+     * @returns {Promise<Array<Object>>} The clashing meetings, earliest first
+     */
+    async findConflicts({ date, dates, time, duration, meetingTypeId, excludeRequestId }) {
+        const start = toMinutes(time);
+        const days = (dates || [date]).filter(Boolean);
+        if (days.length === 0 || start === null) return [];
+
+        const [schedule, meetingTypes, { meetings }] = await Promise.all([
+            this.getSchedule(),
+            this.getMeetingTypes(),
+            this.meetingCache.get({ forceRefresh: true })
+        ]);
+        const end = start + (duration || schedule.defaultDuration);
+        const blockedFrom = start - this.getPreparationTime(meetingTypeId, meetingTypes);
+
+        const busy = this.getBusyRanges(meetings, excludeRequestId, meetingTypes);
+        return days
+            .flatMap(day => busy.get(day) || [])
+            .filter(range => blockedFrom < range.end && range.start < end)
+            .map(range => range.meeting)
+            .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+    }
+}
+
+AvailabilityService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+AvailabilityService.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+AvailabilityService.parseSchedule = parseSchedule;
+AvailabilityService.addDays = addDays;
+AvailabilityService.toDateKey = toDateKey;
+AvailabilityService.toMinutes = toMinutes;
+AvailabilityService.toTime = toTime;
+
+module.exports = AvailabilityService;
@@ -0,0 +1,77 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ *
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quoted
+ * fields. Rows may end with CRLF or LF. A trailing line break at the end of
+ * the input does not produce an extra empty row.
+ *
+ * @param {string} text Raw CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] Field delimiter
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+function parseCsv(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    // Strip a UTF-8 byte order mark if present
+    if (text.charCodeAt(0) === 0xFEFF) {
+        i = 1;
+    }
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    // Escaped quote
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        throw new Error('Malformed CSV: unterminated quoted field');
+    }
+
+    // Flush the last row unless the input ended with a line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+require('dotenv').config();
+
+const SHEETS_SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+/**
+ * Authorizes Google API clients for private sheets.
+ *
+ * Two modes are supported, picked from the environment:
+ * - service_account: GOOGLE_SERVICE_ACCOUNT_KEY_FILE points to a key file.
+ *   Share the sheet with the service account's email address.
+ * - oauth: CLIENT_ID and CLIENT_SECRET are set and an admin connects their
+ *   Google account through /auth/google. The refresh token is stored in
+ *   GOOGLE_TOKEN_FILE so the connection survives restarts.
+ *
+ * Without either, the mode is "none" and only public sheets can be read.
+ */
+class GoogleAuthManager {
+    constructor(options = {}) {
+        this.scopes = options.scopes || SHEETS_SCOPES;
+        this.keyFile = process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE || null;
+        this.clientId = process.env.CLIENT_ID;
+        this.clientSecret = process.env.CLIENT_SECRET;
+        this.redirectUri = process.env.GOOGLE_OAUTH_REDIRECT_URI ||
+            `http://localhost:${process.env.PORT || 3000}/auth/google/callback`;
+        this.tokenFile = path.resolve(process.env.GOOGLE_TOKEN_FILE || path.join(__dirname, '..', 'data', 'google-tokens.json'));
+
+        this.client = null;
+        this.serviceAccountEmail = null;
+
+        if (this.keyFile) {
+            this.mode = 'service_account';
+        } else if (this.clientId && this.clientSecret) {
+            this.mode = 'oauth';
+        } else {
+            this.mode = 'none';
+        }
+    }
+
+    /**
+     * Create the auth client for the configured mode
+     * Never throws; a broken key file or token file is logged and leaves the client unauthorized
+     */
+    async init() {
+        try {
+            if (this.mode === 'service_account') {
+                const auth = new google.auth.GoogleAuth({
+                    keyFile: path.resolve(this.keyFile),
+                    scopes: this.scopes
+                });
+                this.client = await auth.getClient();
+                this.serviceAccountEmail = this.client.email || null;
+                console.log(`✅ Google service account loaded${this.serviceAccountEmail ? `: ${this.serviceAccountEmail}` : ''}`);
+            } else if (this.mode === 'oauth') {
+                this.client = new google.auth.OAuth2(this.clientId, this.clientSecret, this.redirectUri);
+
+                // Google only sends a refresh token on first consent, so keep the stored one
+                this.client.on('tokens', tokens => {
+                    this.saveTokens(tokens).catch(error => {
+                        console.error('❌ Failed to save refreshed Google tokens:', error.message);
+                    });
+                });
+
+                const tokens = await this.loadTokens();
+                if (tokens) {
+                    this.client.setCredentials(tokens);
+                    console.log('✅ Google OAuth tokens loaded');
+                } else {
+                    console.log('⚠️ Google account not connected yet. Visit /auth/google as an admin to connect it.');
+                }
+            }
+        } catch (error) {
+            this.client = null;
+            console.error(`❌ Failed to initialize Google ${this.mode} auth:`, error.message);
+        }
+    }
+
+    /**
+     * Whether requests made with getClient() can read and write private sheets
+     * @returns {boolean}
+     */
+    isAuthorized() {
+        if (!this.client) return false;
+        if (this.mode === 'service_account') return true;
+
+        const credentials = this.client.credentials || {};
+        return !!(credentials.access_token || credentials.refresh_token);
+    }
+
+    /**
+     * The auth client to pass to google.sheets(), or null in "none" mode
+     */
+    getClient() {
+        return this.client;
+    }
+
+    /**
+     * URL of the Google consent screen
+     * @param {string} state Random value checked again in the callback
+     * @returns {string}
+     */
+    generateAuthUrl(state) {
+        if (this.mode !== 'oauth' || !this.client) {
+            throw new Error('Google OAuth is not configured. Set CLIENT_ID and CLIENT_SECRET.');
+        }
+
+        return this.client.generateAuthUrl({
+            access_type: 'offline',
+            prompt: 'consent', // always return a refresh token
+            scope: this.scopes,
+            state
+        });
+    }
+
+    /**
+     * Exchange the authorization code from the consent screen for tokens
+     * @param {string} code Code from the callback query string
+     */
+    async handleCallback(code) {
+        if (this.mode !== 'oauth' || !this.client) {
+            throw new Error('Google OAuth is not configured. Set CLIENT_ID and CLIENT_SECRET.');
+        }
+
+        const { tokens } = await this.client.getToken(code);
+        this.client.setCredentials(tokens);
+        await this.saveTokens(tokens);
+        console.log('✅ Google account connected');
+    }
+
+    /**
+     * Revoke the stored OAuth tokens and forget them
+     */
+    async disconnect() {
+        if (this.mode !== 'oauth' || !this.client) {
+            return;
+        }
+
+        const { refresh_token: refreshToken, access_token: accessToken } = this.client.credentials || {};
+        const token = refreshToken || accessToken;
+        if (token) {
+            try {
+                await this.client.revokeToken(token);
+            } catch (error) {
+                console.log('⚠️ Could not revoke Google token:', error.message);
+            }
+        }
+
+        this.client.setCredentials({});
+        await fs.promises.rm(this.tokenFile, { force: true });
+        console.log('🔌 Google account disconnected');
+    }
+
+    /**
+     * Read stored OAuth tokens, or null if none were saved yet
+     */
+    async loadTokens() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.tokenFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read Google token file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Merge new tokens into the token file, keeping the existing refresh token
+     * when Google doesn't send a new one. The file is only readable by its owner.
+     * @param {Object} tokens Tokens from Google
+     */
+    async saveTokens(tokens) {
+        const stored = await this.loadTokens().catch(() => null);
+        const merged = { ...(stored || {}), ...tokens };
+        if (!tokens.refresh_token && stored && stored.refresh_token) {
+            merged.refresh_token = stored.refresh_token;
+        }
+
+        await fs.promises.mkdir(path.dirname(this.tokenFile), { recursive: true });
+        const tempPath = `${this.tokenFile}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(merged, null, 2), { encoding: 'utf8', mode: 0o600 });
+        await fs.promises.rename(tempPath, this.tokenFile);
+    }
+
+    /**
+     * Summary for the admin dashboard and health check (no secrets)
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            authorized: this.isAuthorized(),
+            serviceAccountEmail: this.serviceAccountEmail,
+            redirectUri: this.mode === 'oauth' ? this.redirectUri : null
+        };
+    }
+}
+
+module.exports = GoogleAuthManager;
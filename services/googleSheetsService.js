@@ -1,48 +1,145 @@
 const { google } = require('googleapis');
 const axios = require('axios');
+const MeetingStorage = require('./meetingStorage');
+const { parseCsv } = require('./csvParser');
+const SheetSchema = require('./sheetSchema');
+const GoogleAuthManager = require('./googleAuth');
+const { toSheetValues } = require('./meetingTypes');
 require('dotenv').config();
 
-class GoogleSheetsService {
+/**
+ * Convert a zero-based column index into an A1 column letter (0 -> A, 26 -> AA)
+ */
+function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+// Meeting_Types headers and the meeting type fields they map to
+const MEETING_TYPE_COLUMNS = {
+    Type_ID: 'typeId',
+    Type_Name: 'typeName',
+    Description: 'description',
+    Default_Duration: 'defaultDuration',
+    Requires_Approval: 'requiresApproval',
+    Max_Attendees: 'maxAttendees',
+    Preparation_Time: 'preparationTime',
+    Follow_Up_Required: 'followUpRequired',
+    Priority_Level: 'priorityLevel',
+    Available_Modes: 'availableModes',
+    Auto_Record: 'autoRecord',
+    Send_Materials: 'sendMaterials',
+    Calendar_Color: 'calendarColor',
+    Active: 'active'
+};
+
+class GoogleSheetsService extends MeetingStorage {
     constructor() {
+        super('google_sheets', 'Google Sheets');
         this.sheets = null;
-        this.auth = null;
+        this.googleAuth = new GoogleAuthManager();
         this.spreadsheetId = process.env.GOOGLE_SHEETS_ID;
-        this.init();
+        this.sheetName = process.env.GOOGLE_SHEETS_TAB || 'Meeting_Requests';
+        this.sheetGid = process.env.GOOGLE_SHEETS_GID || null;
+        this.configSheetName = process.env.GOOGLE_SHEETS_CONFIG_TAB || 'System_Config';
+        this.meetingTypesSheetName = process.env.GOOGLE_SHEETS_TYPES_TAB || 'Meeting_Types';
+        this.schema = SheetSchema.load();
+        this.schemaReport = null;
+        this.ready = this.init();
     }
 
     /**
-     * Initialize Google Sheets API with OAuth2 credentials
+     * Initialize the Sheets API client with service-account or OAuth2 credentials
+     * (see GoogleAuthManager). Without either, only public sheets can be read.
      */
     async init() {
         try {
-            // Create OAuth2 client
-            this.auth = new google.auth.OAuth2(
-                process.env.CLIENT_ID,
-                process.env.CLIENT_SECRET,
-                'http://localhost:3000/auth/google/callback' // redirect URI
-            );
-
-            // For server-to-server communication, we'll use a different approach
-            // Since we already have CLIENT_ID and CLIENT_SECRET, we'll use service account-like approach
-            // For now, we'll use a simpler approach with API key if available
+            await this.googleAuth.init();
 
-            // Initialize sheets API
-            this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+            this.sheets = google.sheets({ version: 'v4', auth: this.googleAuth.getClient() || undefined });
 
-            console.log('✅ Google Sheets service initialized');
+            console.log(`✅ Google Sheets service initialized (auth: ${this.googleAuth.mode})`);
         } catch (error) {
             console.error('❌ Failed to initialize Google Sheets service:', error.message);
         }
     }
 
     /**
-     * Set access token for OAuth2 authentication
-     * In production, this should be handled through proper OAuth flow
+     * Google Sheets storage needs at least a spreadsheet ID
+     * @returns {boolean}
      */
-    setAccessToken(accessToken) {
-        if (this.auth) {
-            this.auth.setCredentials({ access_token: accessToken });
+    isConfigured() {
+        return !!this.spreadsheetId;
+    }
+
+    getConfigurationError() {
+        return {
+            error: 'Google Sheets ID not configured',
+            message: 'Please set GOOGLE_SHEETS_ID in your environment variables'
+        };
+    }
+
+    /**
+     * Writes need an authorized client; an API key or the public CSV export
+     * can only read, in which case the n8n workflow keeps doing the writes
+     * @returns {boolean}
+     */
+    canWrite() {
+        return !!(this.spreadsheetId && this.googleAuth.isAuthorized());
+    }
+
+    /**
+     * New rows are appended by the n8n workflow, see createMeetingRequest
+     * @returns {boolean}
+     */
+    storesNewRequests() {
+        return false;
+    }
+
+    /**
+     * Read the raw rows of a tab through the authorized Sheets client
+     * Unlike fetchMeetingRequests this never falls back to sample data
+     * @param {string} [sheetName] Tab to read
+     * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+     */
+    async readSheetRows(sheetName = this.sheetName) {
+        await this.ready;
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: sheetName // every column, including ones added after A:X
+        });
+
+        const values = response.data.values || [];
+        return {
+            headers: values[0] || [],
+            rows: values.slice(1)
+        };
+    }
+
+    /**
+     * Build the CSV export URL for a specific tab of a public sheet
+     * A gid targets the tab directly; otherwise the tab is looked up by name
+     * @param {Object} tab
+     * @param {string} [tab.sheetName] Tab name, e.g. "Meeting_Requests"
+     * @param {string} [tab.gid] Numeric tab ID from the sheet URL (#gid=...)
+     * @returns {string} CSV export URL
+     */
+    buildCsvExportUrl({ sheetName, gid } = {}) {
+        const baseUrl = `https://docs.google.com/spreadsheets/d/${this.spreadsheetId}`;
+
+        if (gid) {
+            return `${baseUrl}/export?format=csv&gid=${encodeURIComponent(gid)}`;
+        }
+        if (sheetName) {
+            return `${baseUrl}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(sheetName)}`;
         }
+        return `${baseUrl}/export?format=csv`;
     }
 
     /**
@@ -117,101 +214,162 @@ class GoogleSheetsService {
     }
 
     /**
-     * Fetch all meeting requests from Google Sheets with fallback to sample data
-     * @returns {Promise<Array>} Array of meeting objects
+     * Convert sheet rows into meeting objects using the column schema
+     * @param {Array<string>} headers Header row of the sheet
+     * @param {Array<Array<string>>} rows Data rows
+     * @returns {{meetings: Array<Object>, report: Object}} Meetings and the header drift report
      */
-    async fetchMeetingRequests() {
-        try {
-            if (!this.spreadsheetId) {
-                throw new Error('Google Sheets ID not configured in environment variables');
-            }
-
-            console.log(`📊 Fetching data from Google Sheets: ${this.spreadsheetId}`);
+    mapRowsToMeetings(headers, rows) {
+        const { meetings, report } = this.schema.mapRows(headers, rows, { sheetName: this.sheetName });
+
+        // Ensure required fields have default values
+        meetings.forEach((meeting, index) => {
+            meeting.requestId = meeting.requestId || `sheet_${index + 1}`;
+            meeting.status = meeting.status || 'Pending';
+            meeting.timestamp = meeting.timestamp || meeting.createdDate || new Date().toISOString();
+        });
 
-            let response;
-            const range = 'Meeting_Requests!A:X'; // All columns from A to X
-
-            // Try different authentication methods
-            if (process.env.GOOGLE_API_KEY) {
-                // Method 1: Use API Key for public sheets
-                console.log('🔑 Using Google API Key for authentication');
-                try {
-                    const sheets = google.sheets({
-                        version: 'v4',
-                        auth: process.env.GOOGLE_API_KEY
-                    });
+        return { meetings, report };
+    }
 
-                    response = await sheets.spreadsheets.values.get({
-                        spreadsheetId: this.spreadsheetId,
-                        range: range,
-                    });
-                    console.log('✅ Successfully accessed sheet via API key');
-                } catch (apiError) {
-                    console.log('❌ API key method failed:', apiError.message);
-                    throw new Error(`Google Sheets API failed: ${apiError.message}`);
-                }
-            } else {
-                // Method 2: Try direct CSV export for public sheets
-                console.log('📄 Attempting direct CSV access for public sheet');
-                try {
-                    const csvUrl = `https://docs.google.com/spreadsheets/d/${this.spreadsheetId}/export?format=csv`;
-                    console.log('🔗 CSV URL:', csvUrl);
-
-                    const csvResponse = await axios.get(csvUrl, {
-                        timeout: 10000,
-                        headers: {
-                            'User-Agent': 'Meeting-System/1.0.0'
-                        }
-                    });
+    /**
+     * Header drift report from the last successful fetch
+     * @returns {Object|null}
+     */
+    getSchemaReport() {
+        return this.schemaReport;
+    }
 
-                    console.log('📊 CSV Response status:', csvResponse.status);
-                    console.log('📊 CSV Response size:', csvResponse.data.length);
+    /**
+     * Read every cell of a tab, trying the authorized client, then GOOGLE_API_KEY,
+     * then the public CSV export
+     * @param {Object} tab
+     * @param {string} tab.sheetName Tab name
+     * @param {string} [tab.gid] Numeric tab ID, only used for the CSV export
+     * @returns {Promise<Array<Array<string>>>} Rows including the header row
+     */
+    async readTabValues({ sheetName, gid }) {
+        let response;
+        const range = sheetName; // All columns of the tab
+
+        await this.ready;
+
+        // Try different authentication methods
+        if (this.googleAuth.isAuthorized()) {
+            // Method 1: Service account or connected Google account, works for private sheets
+            console.log(`🔐 Using Google ${this.googleAuth.mode} credentials`);
+            try {
+                response = await this.sheets.spreadsheets.values.get({
+                    spreadsheetId: this.spreadsheetId,
+                    range: range,
+                });
+                console.log('✅ Successfully accessed sheet via authorized client');
+            } catch (authError) {
+                console.log('❌ Authorized access failed:', authError.message);
+                throw new Error(`Google Sheets API failed: ${authError.message}`);
+            }
+        } else if (process.env.GOOGLE_API_KEY) {
+            // Method 2: Use API Key for public sheets
+            console.log('🔑 Using Google API Key for authentication');
+            try {
+                const sheets = google.sheets({
+                    version: 'v4',
+                    auth: process.env.GOOGLE_API_KEY
+                });
 
-                    if (csvResponse.status !== 200) {
-                        throw new Error(`HTTP ${csvResponse.status}: ${csvResponse.statusText}`);
+                response = await sheets.spreadsheets.values.get({
+                    spreadsheetId: this.spreadsheetId,
+                    range: range,
+                });
+                console.log('✅ Successfully accessed sheet via API key');
+            } catch (apiError) {
+                console.log('❌ API key method failed:', apiError.message);
+                throw new Error(`Google Sheets API failed: ${apiError.message}`);
+            }
+        } else {
+            // Method 3: Try direct CSV export for public sheets
+            console.log('📄 Attempting direct CSV access for public sheet');
+            try {
+                const csvUrl = this.buildCsvExportUrl({ sheetName, gid });
+                console.log('🔗 CSV URL:', csvUrl);
+
+                const csvResponse = await axios.get(csvUrl, {
+                    timeout: 10000,
+                    responseType: 'text',
+                    transformResponse: data => data, // keep the raw CSV text
+                    headers: {
+                        'User-Agent': 'Meeting-System/1.0.0'
                     }
+                });
 
-                    // Parse CSV data
-                    const csvData = csvResponse.data;
+                console.log('📊 CSV Response status:', csvResponse.status);
+                console.log('📊 CSV Response size:', csvResponse.data.length);
 
-                    if (!csvData || csvData.trim() === '') {
-                        throw new Error('Empty CSV response from Google Sheets');
-                    }
+                if (csvResponse.status !== 200) {
+                    throw new Error(`HTTP ${csvResponse.status}: ${csvResponse.statusText}`);
+                }
 
-                    const rows = csvData.split('\n').map(row =>
-                        row.split(',').map(cell => cell.replace(/"/g, '').trim())
-                    );
+                // Parse CSV data
+                const csvData = csvResponse.data;
 
-                    // Remove empty rows
-                    const validRows = rows.filter(row => row.some(cell => cell && cell.length > 0));
+                if (!csvData || csvData.trim() === '') {
+                    throw new Error('Empty CSV response from Google Sheets');
+                }
 
-                    if (validRows.length === 0) {
-                        throw new Error('No valid data found in CSV export');
-                    }
+                const rows = parseCsv(csvData).map(row =>
+                    row.map(cell => cell.trim())
+                );
 
-                    response = {
-                        data: {
-                            values: validRows
-                        }
-                    };
-
-                    console.log('✅ Successfully accessed sheet via CSV export');
-                } catch (csvError) {
-                    console.log('❌ CSV method failed:', csvError.message);
-
-                    if (csvError.response?.status === 403) {
-                        throw new Error('Google Sheet is not publicly accessible. Please share your sheet publicly or add GOOGLE_API_KEY to your .env file.');
-                    } else if (csvError.response?.status === 404) {
-                        throw new Error('Google Sheet not found. Please check your GOOGLE_SHEETS_ID in .env file.');
-                    } else if (csvError.response?.status === 400) {
-                        throw new Error('Google Sheet access denied (400). Please make sure:\n1. The sheet is shared publicly with "Anyone with the link can view"\n2. The GOOGLE_SHEETS_ID is correct\n3. The sheet contains a "Meeting_Requests" tab');
-                    } else {
-                        throw new Error(`Failed to access Google Sheet via CSV: ${csvError.message}`);
+                // Remove empty rows
+                const validRows = rows.filter(row => row.some(cell => cell && cell.length > 0));
+
+                if (validRows.length === 0) {
+                    throw new Error('No valid data found in CSV export');
+                }
+
+                response = {
+                    data: {
+                        values: validRows
                     }
+                };
+
+                console.log('✅ Successfully accessed sheet via CSV export');
+            } catch (csvError) {
+                console.log('❌ CSV method failed:', csvError.message);
+
+                if (csvError.response?.status === 403) {
+                    throw new Error('Google Sheet is not publicly accessible. Please share your sheet publicly or add GOOGLE_API_KEY to your .env file.');
+                } else if (csvError.response?.status === 404) {
+                    throw new Error('Google Sheet not found. Please check your GOOGLE_SHEETS_ID in .env file.');
+                } else if (csvError.response?.status === 400) {
+                    throw new Error(`Google Sheet access denied (400). Please make sure:\n1. The sheet is shared publicly with "Anyone with the link can view"\n2. The GOOGLE_SHEETS_ID is correct\n3. The sheet contains a "${sheetName}" tab`);
+                } else {
+                    throw new Error(`Failed to access Google Sheet via CSV: ${csvError.message}`);
                 }
             }
+        }
+
+        return response.data.values || [];
+    }
 
-            const rows = response.data.values;
+    /**
+     * Fetch all meeting requests from Google Sheets with fallback to sample data
+     * @param {Object} [options]
+     * @param {string} [options.sheetName] Tab to read, defaults to GOOGLE_SHEETS_TAB or "Meeting_Requests"
+     * @param {string} [options.gid] Tab ID to read via CSV export, defaults to GOOGLE_SHEETS_GID
+     * @returns {Promise<Array>} Array of meeting objects
+     */
+    async fetchMeetingRequests(options = {}) {
+        const { sheetName = this.sheetName, gid = this.sheetGid } = options;
+
+        try {
+            if (!this.spreadsheetId) {
+                throw new Error('Google Sheets ID not configured in environment variables');
+            }
+
+            console.log(`📊 Fetching data from Google Sheets: ${this.spreadsheetId}`);
+
+            const rows = await this.readTabValues({ sheetName, gid });
 
             if (!rows || rows.length === 0) {
                 console.log('No meeting data found in Google Sheets');
@@ -225,130 +383,17 @@ class GoogleSheetsService {
             console.log(`📊 Found ${dataRows.length} meeting records in Google Sheets`);
             console.log(`📋 Sheet headers: ${headers.join(', ')}`);
 
-            // Convert rows to objects
-            const meetings = dataRows.map((row, index) => {
-                const meeting = {};
-
-                // Map each column to its corresponding header
-                headers.forEach((header, colIndex) => {
-                    const value = row[colIndex] || '';
-
-                    // Map Google Sheets column names to expected API format
-                    switch (header) {
-                        case 'Request_ID':
-                        case 'requestId':
-                            meeting.requestId = value;
-                            break;
-                        case 'Timestamp':
-                        case 'timestamp':
-                            meeting.timestamp = value;
-                            break;
-                        case 'User_Name':
-                        case 'userName':
-                            meeting.userName = value;
-                            break;
-                        case 'User_Email':
-                        case 'userEmail':
-                            meeting.userEmail = value;
-                            break;
-                        case 'User_Phone':
-                        case 'userPhone':
-                            meeting.userPhone = value;
-                            break;
-                        case 'User_Company':
-                        case 'userCompany':
-                            meeting.userCompany = value;
-                            break;
-                        case 'userPosition':
-                            meeting.userPosition = value;
-                            break;
-                        case 'Meeting_Type':
-                        case 'meetingType':
-                            meeting.meetingType = value;
-                            break;
-                        case 'Meeting_Purpose':
-                        case 'meetingPurpose':
-                            meeting.meetingPurpose = value;
-                            break;
-                        case 'Preferred_Date':
-                        case 'preferredDate':
-                            meeting.preferredDate = value;
-                            break;
-                        case 'Preferred_Time':
-                        case 'preferredTime':
-                            meeting.preferredTime = value;
-                            break;
-                        case 'Duration_Minutes':
-                        case 'estimatedDuration':
-                            meeting.estimatedDuration = value;
-                            break;
-                        case 'Meeting_Details':
-                        case 'meetingDescription':
-                            meeting.meetingDescription = value;
-                            break;
-                        case 'Status':
-                        case 'status':
-                            meeting.status = value || 'Pending';
-                            break;
-                        case 'Admin_Response':
-                        case 'adminNotes':
-                        case 'adminEmail':
-                            meeting.adminNotes = value;
-                            break;
-                        case 'Confirmed_Date':
-                        case 'confirmedDate':
-                            meeting.confirmedDate = value;
-                            break;
-                        case 'Confirmed_Time':
-                        case 'confirmedTime':
-                            meeting.confirmedTime = value;
-                            break;
-                        case 'Priority':
-                        case 'urgency':
-                            meeting.urgency = value ? value.toLowerCase() : 'medium';
-                            break;
-                        case 'Location':
-                        case 'location':
-                            meeting.location = value;
-                            break;
-                        case 'Meeting_Link':
-                        case 'meetingLink':
-                            meeting.meetingLink = value;
-                            break;
-                        case 'Created_Date':
-                        case 'createdDate':
-                            meeting.createdDate = value;
-                            break;
-                        case 'Last_Updated':
-                        case 'lastUpdated':
-                            meeting.lastUpdated = value;
-                            break;
-                        case 'additionalNotes':
-                            meeting.additionalNotes = value;
-                            break;
-                        case 'attachments':
-                            meeting.attachments = value;
-                            break;
-                        case 'proposedStartTime':
-                            meeting.proposedStartTime = value;
-                            break;
-                        case 'proposedEndTime':
-                            meeting.proposedEndTime = value;
-                            break;
-                        default:
-                            // Store any additional fields as-is
-                            const fieldName = header.toLowerCase().replace(/_/g, '');
-                            meeting[fieldName] = value;
-                    }
-                });
-
-                // Ensure required fields have default values
-                meeting.requestId = meeting.requestId || `sheet_${index + 1}`;
-                meeting.status = meeting.status || 'Pending';
-                meeting.timestamp = meeting.timestamp || meeting.createdDate || new Date().toISOString();
+            // Convert rows to objects and check the headers against the schema
+            const { meetings, report } = this.mapRowsToMeetings(headers, dataRows);
+            this.schemaReport = report;
 
-                return meeting;
-            });
+            if (!report.ok) {
+                console.log('⚠️ Sheet columns do not match the schema:', {
+                    missing: report.missing.map(column => column.header),
+                    unknown: report.unknown,
+                    mistyped: report.mistyped.map(column => `${column.header} (${column.count})`)
+                });
+            }
 
             // Filter out empty rows (rows where all important fields are empty)
             const validMeetings = meetings.filter((meeting, index) => {
@@ -399,6 +444,7 @@ class GoogleSheetsService {
             }
 
             // For development/testing, provide sample data as fallback
+            this.schemaReport = null;
             console.log('🔄 Falling back to sample data for testing...');
             console.log('⚠️ To use real data, please fix the Google Sheets connection');
 
@@ -407,76 +453,351 @@ class GoogleSheetsService {
     }
 
     /**
-     * Get statistics about meetings
-     * @param {Array} meetings Array of meeting objects
-     * @returns {Object} Statistics object
+     * Read the Setting_Name/Setting_Value pairs from the System_Config tab
+     * @returns {Promise<Object<string, string>>}
      */
-    generateStatistics(meetings) {
-        const stats = {
-            total: meetings.length,
-            pending: 0,
-            approved: 0,
-            rejected: 0,
-            rescheduled: 0,
-            byPriority: {
-                high: 0,
-                medium: 0,
-                low: 0
-            },
-            byMeetingType: {
-                online: 0,
-                offline: 0,
-                hybrid: 0
+    async fetchSystemConfig() {
+        if (!this.spreadsheetId) {
+            return {};
+        }
+
+        const [headers = [], ...rows] = await this.readTabValues({ sheetName: this.configSheetName });
+        const nameIndex = headers.indexOf('Setting_Name');
+        const valueIndex = headers.indexOf('Setting_Value');
+
+        if (nameIndex === -1 || valueIndex === -1) {
+            console.log(`⚠️ ${this.configSheetName} has no Setting_Name/Setting_Value columns, using default settings`);
+            return {};
+        }
+
+        const settings = {};
+        rows.forEach(row => {
+            const name = String(row[nameIndex] || '').trim();
+            if (name) {
+                settings[name] = String(row[valueIndex] === undefined ? '' : row[valueIndex]).trim();
             }
+        });
+        return settings;
+    }
+
+    /**
+     * Read the meeting types catalog from the Meeting_Types tab
+     * Columns not listed in MEETING_TYPE_COLUMNS are skipped
+     * @returns {Promise<Array<Object>>}
+     */
+    async fetchMeetingTypes() {
+        if (!this.spreadsheetId) {
+            return [];
+        }
+
+        const [headers = [], ...rows] = await this.readTabValues({ sheetName: this.meetingTypesSheetName });
+        const fields = headers.map(header => MEETING_TYPE_COLUMNS[String(header).trim()]);
+
+        if (!fields.includes('typeId')) {
+            console.log(`⚠️ ${this.meetingTypesSheetName} has no Type_ID column, ignoring meeting types`);
+            return [];
+        }
+
+        return rows
+            .map(row => {
+                const type = {};
+                fields.forEach((field, index) => {
+                    if (field) {
+                        type[field] = String(row[index] === undefined ? '' : row[index]).trim();
+                    }
+                });
+                return type;
+            })
+            .filter(type => type.typeId);
+    }
+
+    /**
+     * Find a type's row in the Meeting_Types tab through the authorized client
+     * @param {string} typeId
+     * @returns {Promise<{headers: Array<string>, rowIndex: number}>} rowIndex is -1 when no row matches
+     */
+    async findMeetingTypeRow(typeId) {
+        const { headers, rows } = await this.readSheetRows(this.meetingTypesSheetName);
+        const idIndex = headers.findIndex(header => MEETING_TYPE_COLUMNS[String(header).trim()] === 'typeId');
+
+        if (idIndex === -1) {
+            throw new Error(`Sheet "${this.meetingTypesSheetName}" has no Type_ID column`);
+        }
+
+        return {
+            headers,
+            rowIndex: rows.findIndex(row => String(row[idIndex] || '').trim() === typeId)
         };
+    }
 
-        meetings.forEach(meeting => {
-            // Count by status
-            const status = meeting.status ? meeting.status.toLowerCase() : 'pending';
-            if (stats.hasOwnProperty(status)) {
-                stats[status]++;
+    /**
+     * Append a meeting type to the Meeting_Types tab
+     * Columns not listed in MEETING_TYPE_COLUMNS are left empty, except Created_Date
+     * @param {Object} meetingType Parsed meeting type, including its typeId
+     */
+    async createMeetingType(meetingType) {
+        const { headers, rowIndex } = await this.findMeetingTypeRow(meetingType.typeId);
+        if (rowIndex !== -1) {
+            throw this.createError(`Meeting type ${meetingType.typeId} already exists`, MeetingStorage.CONFLICT);
+        }
+
+        const values = toSheetValues(meetingType);
+        const createdDate = new Date().toISOString();
+        const row = headers.map(header => {
+            const field = MEETING_TYPE_COLUMNS[String(header).trim()];
+            if (field) return values[field];
+            return String(header).trim() === 'Created_Date' ? createdDate : '';
+        });
+
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.spreadsheetId,
+            range: this.meetingTypesSheetName,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            requestBody: { values: [row] }
+        });
+
+        console.log(`📝 Added meeting type ${meetingType.typeId} to ${this.meetingTypesSheetName}`);
+
+        return {
+            success: true,
+            message: 'Meeting type added to Google Sheets',
+            typeId: meetingType.typeId
+        };
+    }
+
+    /**
+     * Overwrite the cells of a meeting type in the Meeting_Types tab
+     * @param {string} typeId The type to update
+     * @param {Object} meetingType Parsed meeting type
+     */
+    async updateMeetingType(typeId, meetingType) {
+        const { headers, rowIndex } = await this.findMeetingTypeRow(typeId);
+        if (rowIndex === -1) {
+            throw this.createError(`Meeting type ${typeId} not found in Google Sheets`, MeetingStorage.NOT_FOUND);
+        }
+
+        const values = toSheetValues({ ...meetingType, typeId });
+        const rowNumber = rowIndex + 2; // +1 for the header row, +1 because sheet rows start at 1
+        const data = [];
+
+        headers.forEach((header, index) => {
+            const field = MEETING_TYPE_COLUMNS[String(header).trim()];
+            if (field) {
+                data.push({
+                    range: `${this.meetingTypesSheetName}!${columnLetter(index)}${rowNumber}`,
+                    values: [[values[field]]]
+                });
             }
+        });
 
-            // Count by priority/urgency
-            const priority = meeting.urgency ? meeting.urgency.toLowerCase() : 'medium';
-            if (stats.byPriority.hasOwnProperty(priority)) {
-                stats.byPriority[priority]++;
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data
             }
+        });
+
+        console.log(`📝 Updated meeting type ${typeId} in row ${rowNumber} of ${this.meetingTypesSheetName}`);
+
+        return {
+            success: true,
+            message: 'Meeting type updated in Google Sheets',
+            typeId
+        };
+    }
+
+    /**
+     * Remove one data row of a tab, moving the rows below it up
+     * @param {string} sheetName Tab name
+     * @param {number} rowIndex Index into the rows of readSheetRows (the header row not counted)
+     */
+    async deleteSheetRow(sheetName, rowIndex) {
+        // Deleting rows needs the numeric ID of the tab, not its name
+        const { data: spreadsheet } = await this.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId,
+            fields: 'sheets.properties(sheetId,title)'
+        });
+        const tab = spreadsheet.sheets.find(sheet => sheet.properties.title === sheetName);
+        if (!tab) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
 
-            // Count by meeting type
-            const meetingType = meeting.meetingType ? meeting.meetingType.toLowerCase() : 'online';
-            if (stats.byMeetingType.hasOwnProperty(meetingType)) {
-                stats.byMeetingType[meetingType]++;
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            requestBody: {
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId: tab.properties.sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowIndex + 1, // zero-based, after the header row
+                            endIndex: rowIndex + 2
+                        }
+                    }
+                }]
             }
         });
+    }
+
+    /**
+     * Remove a meeting type's row from the Meeting_Types tab
+     * @param {string} typeId The type to delete
+     */
+    async deleteMeetingType(typeId) {
+        const { rowIndex } = await this.findMeetingTypeRow(typeId);
+        if (rowIndex === -1) {
+            throw this.createError(`Meeting type ${typeId} not found in Google Sheets`, MeetingStorage.NOT_FOUND);
+        }
+
+        await this.deleteSheetRow(this.meetingTypesSheetName, rowIndex);
 
-        return stats;
+        console.log(`🗑️ Deleted meeting type ${typeId} from ${this.meetingTypesSheetName}`);
+
+        return {
+            success: true,
+            message: 'Meeting type deleted from Google Sheets',
+            typeId
+        };
+    }
+
+    /**
+     * Fetch a single meeting record straight from the sheet
+     * @param {string} requestId The request ID to look up
+     * @returns {Promise<Object|null>} The meeting, or null if no row matches
+     */
+    async getMeetingRequest(requestId) {
+        const { headers, rows } = await this.readSheetRows();
+        const idColumn = this.schema.resolveHeaders(headers).fields.get('requestId');
+        const rowIndex = idColumn ? rows.findIndex(row => row[idColumn.index] === requestId) : -1;
+
+        if (rowIndex === -1) {
+            return null;
+        }
+
+        return this.mapRowsToMeetings(headers, [rows[rowIndex]]).meetings[0];
     }
 
     /**
      * Update a meeting record in Google Sheets
+     * Finds the row by Request_ID and writes only the cells present in updateData.
+     * Last_Updated is always refreshed.
      * @param {string} requestId The request ID to update
-     * @param {Object} updateData The data to update
+     * @param {Object} updateData The data to update, keyed by meeting field (see sheetSchema.js)
+     * @param {Object} [options]
+     * @param {string} [options.expectedLastUpdated] Reject the write if Last_Updated has changed since
      */
-    async updateMeetingRequest(requestId, updateData) {
+    async updateMeetingRequest(requestId, updateData, options = {}) {
         try {
-            // This would require finding the row and updating specific cells
-            // For now, we'll log this as it requires more complex logic
-            console.log(`📝 Update request for meeting ${requestId}:`, updateData);
-            console.log('⚠️ Note: Direct sheet updates not implemented yet. Use n8n workflow for updates.');
+            const { headers, rows } = await this.readSheetRows();
+            const { fields } = this.schema.resolveHeaders(headers);
+
+            const idColumn = fields.get('requestId');
+            if (!idColumn) {
+                throw new Error(`Sheet "${this.sheetName}" has no ${this.schema.headerFor('requestId')} column`);
+            }
+
+            const rowIndex = rows.findIndex(row => row[idColumn.index] === requestId);
+            if (rowIndex === -1) {
+                throw this.createError(`Meeting request ${requestId} not found in Google Sheets`, MeetingStorage.NOT_FOUND);
+            }
+
+            // Optimistic concurrency check against the value the caller read
+            const lastUpdatedColumn = fields.get('lastUpdated');
+            const currentLastUpdated = lastUpdatedColumn ? (rows[rowIndex][lastUpdatedColumn.index] || '') : '';
+            if (options.expectedLastUpdated !== undefined && options.expectedLastUpdated !== currentLastUpdated) {
+                throw this.createError(`Meeting request ${requestId} was modified at ${currentLastUpdated}`, MeetingStorage.CONFLICT);
+            }
+
+            const lastUpdated = new Date().toISOString();
+            const values = { ...updateData, lastUpdated };
+            const rowNumber = rowIndex + 2; // +1 for the header row, +1 because sheet rows start at 1
+            const data = [];
+
+            Object.entries(values).forEach(([field, value]) => {
+                const column = fields.get(field);
+
+                if (!column) {
+                    console.log(`⚠️ Skipping ${field}: no matching column in the sheet`);
+                    return;
+                }
+
+                // Enum values are written in the schema's spelling, e.g. "Approved"
+                data.push({
+                    range: `${this.sheetName}!${columnLetter(column.index)}${rowNumber}`,
+                    values: [[this.schema.formatValue(field, value)]]
+                });
+            });
+
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                requestBody: {
+                    valueInputOption: 'RAW',
+                    data
+                }
+            });
+
+            console.log(`📝 Updated ${data.length} cells for meeting ${requestId} in row ${rowNumber}`);
 
-            // Return success for now - in production, implement actual update logic
             return {
                 success: true,
-                message: 'Update logged (implement sheet update logic)',
+                message: 'Meeting updated in Google Sheets',
                 requestId,
-                updateData
+                lastUpdated
             };
         } catch (error) {
             console.error('❌ Error updating meeting in Google Sheets:', error.message);
             throw error;
         }
     }
+
+    /**
+     * Add a meeting record to Google Sheets
+     * The n8n "Log Meeting Request" node appends the row, so nothing is written here
+     * @param {Object} meetingData The meeting request data
+     */
+    async createMeetingRequest(meetingData) {
+        console.log(`📝 Meeting ${meetingData.requestId} will be appended to the sheet by the n8n workflow`);
+
+        return {
+            success: true,
+            message: 'Row is appended by the n8n workflow',
+            requestId: meetingData.requestId
+        };
+    }
+
+    /**
+     * Remove a meeting record's row from Google Sheets
+     * @param {string} requestId The request ID to delete
+     */
+    async deleteMeetingRequest(requestId) {
+        try {
+            const { headers, rows } = await this.readSheetRows();
+            const idColumn = this.schema.resolveHeaders(headers).fields.get('requestId');
+            if (!idColumn) {
+                throw new Error(`Sheet "${this.sheetName}" has no ${this.schema.headerFor('requestId')} column`);
+            }
+
+            const rowIndex = rows.findIndex(row => row[idColumn.index] === requestId);
+            if (rowIndex === -1) {
+                throw this.createError(`Meeting request ${requestId} not found in Google Sheets`, MeetingStorage.NOT_FOUND);
+            }
+
+            await this.deleteSheetRow(this.sheetName, rowIndex);
+
+            console.log(`🗑️ Deleted meeting ${requestId} from row ${rowIndex + 2} of ${this.sheetName}`);
+
+            return {
+                success: true,
+                message: 'Meeting deleted from Google Sheets',
+                requestId
+            };
+        } catch (error) {
+            console.error('❌ Error deleting meeting from Google Sheets:', error.message);
+            throw error;
+        }
+    }
 }
 
 module.exports = GoogleSheetsService;
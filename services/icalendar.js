@@ -0,0 +1,390 @@
+const { zonedTimeToUtc, toZonedDateTime, getOffsetMinutes, getOffsetTransitions } = require('./timeZone');
+const { parseAttendees } = require('./attendees');
+const { getReferenceNumber } = require('./requestId');
+const {
+    isRecurring,
+    parseRecurrenceRule,
+    toRecurrenceRule,
+    parseDateList,
+    getOccurrences
+} = require('./recurrence');
+
+/**
+ * iCalendar (RFC 5545) output for approved meetings: the .ics download on the
+ * status page, the email attachment sent through n8n and the admin feed.
+ *
+ * Every meeting keeps one UID (its request ID), so calendar clients update the
+ * event they already have instead of adding a second one. calendarSequence is
+ * bumped whenever a meeting on the calendar is moved or taken off it; clients
+ * ignore updates whose SEQUENCE is not higher than the one they have.
+ *
+ * A recurring series is one event with an RRULE. Its times carry the organizer's
+ * TZID, described by a VTIMEZONE, so occurrences stay at the same local time
+ * across daylight-saving changes.
+ */
+
+// Statuses that put a meeting on the calendar
+const CALENDAR_STATUSES = ['approved', 'rescheduled'];
+
+// Statuses that take a meeting that was on the calendar off it again. A declined,
+// countered or expired reschedule proposal no longer holds the proposed time.
+const CANCELLED_STATUSES = ['cancelled', 'rejected', 'declined', 'countered', 'expired'];
+
+const PRODUCT_ID = '-//Meeting Arrangement System//EN';
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Whether a meeting currently belongs on the calendar
+ * @param {Object} meeting
+ * @returns {boolean}
+ */
+function isOnCalendar(meeting) {
+    // A series is on the calendar while any of its occurrences is
+    if (isRecurring(meeting)) {
+        return getOccurrences(meeting).some(occurrence => CALENDAR_STATUSES.includes(occurrence.status));
+    }
+    return CALENDAR_STATUSES.includes(String(meeting && meeting.status || '').toLowerCase());
+}
+
+/**
+ * Whether a meeting has a calendar event, live or cancelled.
+ * A cancelled, rejected or declined meeting only has one if it was on the calendar before,
+ * which is when it got a calendarSequence.
+ * @param {Object} meeting
+ * @returns {boolean}
+ */
+function hasCalendarEvent(meeting) {
+    if (isOnCalendar(meeting)) return true;
+    return CANCELLED_STATUSES.includes(String(meeting && meeting.status || '').toLowerCase())
+        && getSequence(meeting) !== null;
+}
+
+/**
+ * Whether changing a meeting adds, moves or removes its calendar event
+ * @param {Object} meeting Meeting before the change
+ * @param {string|Object} change Status after the change, or all changed fields
+ * @returns {boolean}
+ */
+function affectsCalendar(meeting, change) {
+    const changes = typeof change === 'object' && change !== null ? change : { status: change };
+    return isOnCalendar(meeting) || isOnCalendar({ ...meeting, ...changes });
+}
+
+/**
+ * SEQUENCE the next version of a meeting's event gets: 0 the first time it goes
+ * on the calendar, one more than the last version after that
+ * @param {Object} meeting Meeting before the change
+ * @returns {number}
+ */
+function nextCalendarSequence(meeting) {
+    const current = getSequence(meeting);
+    return current === null ? 0 : current + 1;
+}
+
+function getSequence(meeting) {
+    const sequence = parseInt(meeting && meeting.calendarSequence, 10);
+    return Number.isInteger(sequence) && sequence >= 0 ? sequence : null;
+}
+
+/**
+ * UTC start and end of a meeting
+ * Uses proposedStartTime/proposedEndTime and falls back to the confirmed (or
+ * preferred) date and time in the organizer's zone for rows written before those existed.
+ * @param {Object} meeting
+ * @param {string} timeZone Organizer's IANA zone
+ * @returns {{start: Date, end: Date}|null}
+ */
+function getMeetingRange(meeting, timeZone) {
+    const duration = (parseInt(meeting.estimatedDuration, 10) || 60) * 60000;
+
+    let start = meeting.proposedStartTime ? new Date(meeting.proposedStartTime) : null;
+    if (!start || isNaN(start.getTime())) {
+        start = zonedTimeToUtc(
+            meeting.confirmedDate || meeting.preferredDate,
+            meeting.confirmedTime || meeting.preferredTime,
+            timeZone
+        );
+    }
+    if (!start) return null;
+
+    let end = meeting.proposedEndTime ? new Date(meeting.proposedEndTime) : null;
+    if (!end || isNaN(end.getTime()) || end <= start) {
+        end = new Date(start.getTime() + duration);
+    }
+
+    return { start, end };
+}
+
+/**
+ * 20250102T030405Z
+ */
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 20250102T030405, a wall-clock time without zone
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ */
+function formatLocal(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * +0100 / -0430
+ * @param {number} minutes Offset from UTC
+ */
+function formatOffset(minutes) {
+    const absolute = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Parameter value such as a CN (RFC 5545 section 3.2): quoted when it holds
+ * ; : or , and without double quotes, which a parameter value can't contain
+ */
+function paramValue(value) {
+    const text = String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    return /[;:,]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets without splitting a UTF-8 character
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let chunk = '';
+    let chunkOctets = 0;
+    for (const character of line) {
+        const octets = Buffer.byteLength(character);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (chunkOctets + octets > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            chunkOctets = 0;
+        }
+        chunk += character;
+        chunkOctets += octets;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Where the meeting takes place: the address, the meeting link or both
+ */
+function describeLocation(meeting) {
+    const link = /^https?:\/\//i.test(meeting.meetingLink || '') ? meeting.meetingLink : '';
+    const type = String(meeting.meetingType || '').toLowerCase();
+
+    if (type === 'online') return link || 'Online';
+    return [meeting.location, link].filter(Boolean).join(' / ');
+}
+
+/**
+ * Start, length and recurrence lines of a recurring meeting.
+ * While the series itself is on the calendar it repeats by its RRULE, without the
+ * excluded and rejected occurrences. Otherwise the occurrences the admin approved
+ * one by one are listed as RDATEs.
+ * @param {Object} meeting
+ * @param {{start: Date, end: Date}} range See getMeetingRange
+ * @param {string} timeZone Organizer's IANA zone
+ * @param {boolean} cancelled Whether the event is being taken off the calendar
+ * @returns {Array<string>}
+ */
+function buildRecurrenceLines(meeting, range, timeZone, cancelled) {
+    const { date: startDate, time } = toZonedDateTime(range.start, timeZone);
+    const occurrences = getOccurrences(meeting);
+    const dateList = dates => dates.map(date => formatLocal(date, time)).join(',');
+    const length = `DURATION:PT${Math.round((range.end - range.start) / 60000)}M`;
+
+    if (cancelled || CALENDAR_STATUSES.includes(String(meeting.status || '').toLowerCase())) {
+        // UNTIL has to be in UTC when DTSTART has a zone
+        const recurrence = parseRecurrenceRule(meeting.recurrenceRule);
+        const rule = toRecurrenceRule(recurrence).replace(/UNTIL=\d{8}/, () =>
+            `UNTIL=${formatUtc(zonedTimeToUtc(recurrence.until, time, timeZone))}`);
+        const skipped = [
+            ...parseDateList(meeting.excludedDates),
+            ...occurrences.filter(occurrence => occurrence.status === 'rejected').map(occurrence => occurrence.date)
+        ].sort();
+
+        const lines = [`DTSTART;TZID=${timeZone}:${formatLocal(startDate, time)}`, length, `RRULE:${rule}`];
+        if (skipped.length > 0) lines.push(`EXDATE;TZID=${timeZone}:${dateList(skipped)}`);
+        return lines;
+    }
+
+    const approved = occurrences
+        .filter(occurrence => CALENDAR_STATUSES.includes(occurrence.status))
+        .map(occurrence => occurrence.date);
+    const lines = [`DTSTART;TZID=${timeZone}:${formatLocal(approved[0], time)}`, length];
+    if (approved.length > 1) lines.push(`RDATE;TZID=${timeZone}:${dateList(approved.slice(1))}`);
+    return lines;
+}
+
+/**
+ * VTIMEZONE lines describing a zone's offsets over a period (RFC 5545 section 3.6.5)
+ * @param {string} timeZone IANA zone name
+ * @param {string} fromDate YYYY-MM-DD
+ * @param {string} toDate YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+function buildTimeZoneLines(timeZone, fromDate, toDate) {
+    // Start a year early so the period begins with a known offset
+    const from = new Date(Date.UTC(parseInt(fromDate, 10) - 1, 0, 1));
+    const to = new Date(Date.UTC(parseInt(toDate, 10) + 1, 0, 1));
+    const transitions = getOffsetTransitions(timeZone, from, to);
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+    if (transitions.length === 0) {
+        const offset = formatOffset(getOffsetMinutes(to, timeZone));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+    }
+
+    transitions.forEach(({ instant, offsetFrom, offsetTo }) => {
+        // Onsets are given in the local time before the change
+        const onset = formatUtc(new Date(instant.getTime() + offsetFrom * 60000)).replace('Z', '');
+        const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(`BEGIN:${kind}`, `DTSTART:${onset}`, `TZOFFSETFROM:${formatOffset(offsetFrom)}`, `TZOFFSETTO:${formatOffset(offsetTo)}`, `END:${kind}`);
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * VEVENT lines for one meeting
+ * @param {Object} meeting
+ * @param {Object} options See buildCalendar
+ * @returns {Array<string>} Unfolded content lines; empty when the meeting has no usable time
+ */
+function buildEventLines(meeting, options) {
+    const range = getMeetingRange(meeting, options.timeZone);
+    if (!range) return [];
+
+    const cancelled = options.method === 'CANCEL' || !isOnCalendar(meeting);
+    const updated = new Date(meeting.lastUpdated || meeting.createdDate || meeting.timestamp || Date.now());
+    const stamp = isNaN(updated.getTime()) ? new Date() : updated;
+
+    const description = [
+        meeting.meetingDescription,
+        meeting.meetingLink ? `Meeting link: ${meeting.meetingLink}` : '',
+        meeting.requestId ? `Reference: ${getReferenceNumber(meeting.requestId)}` : '',
+        options.statusUrl ? `Request status: ${options.statusUrl}` : ''
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${meeting.requestId}@${options.domain}`,
+        `SEQUENCE:${getSequence(meeting) || 0}`,
+        `DTSTAMP:${formatUtc(stamp)}`,
+        `LAST-MODIFIED:${formatUtc(stamp)}`,
+        ...(isRecurring(meeting)
+            ? buildRecurrenceLines(meeting, range, options.timeZone, cancelled)
+            : [`DTSTART:${formatUtc(range.start)}`, `DTEND:${formatUtc(range.end)}`]),
+        `SUMMARY:${escapeText(options.summary ? options.summary(meeting) : meeting.meetingPurpose || 'Meeting')}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+    const location = describeLocation(meeting);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (/^https?:\/\//i.test(meeting.meetingLink || '')) lines.push(`URL:${meeting.meetingLink}`);
+
+    if (options.organizerEmail) {
+        lines.push(`ORGANIZER;CN=${paramValue(options.organizerName || options.organizerEmail)}:mailto:${options.organizerEmail}`);
+    }
+    if (meeting.userEmail) {
+        lines.push(`ATTENDEE;CN=${paramValue(meeting.userName || meeting.userEmail)};ROLE=REQ-PARTICIPANT:mailto:${meeting.userEmail}`);
+    }
+    parseAttendees(meeting.attendees).forEach(attendee => {
+        lines.push(`ATTENDEE;CN=${paramValue(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    });
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Array<Object>} meetings Meetings to include
+ * @param {Object} options
+ * @param {string} options.domain Right-hand side of the UIDs, e.g. the public host name
+ * @param {string} options.timeZone Organizer's IANA zone, for rows without a UTC start
+ * @param {string} [options.method] PUBLISH (downloads, feeds), REQUEST or CANCEL (email invites)
+ * @param {string} [options.name] Calendar name shown by subscribing clients
+ * @param {string} [options.organizerEmail]
+ * @param {string} [options.organizerName]
+ * @param {string} [options.statusUrl] Status page link added to the description
+ * @param {function(Object): string} [options.summary] Event title, defaults to the meeting purpose
+ * @returns {string} CRLF-separated calendar
+ */
+function buildCalendar(meetings, options) {
+    const method = options.method || 'PUBLISH';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`
+    ];
+
+    if (options.name) {
+        lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+        lines.push(`X-WR-TIMEZONE:${options.timeZone}`);
+    }
+
+    // Recurring events give their times in the organizer's zone, which has to be described
+    const seriesDates = meetings
+        .filter(isRecurring)
+        .flatMap(meeting => [meeting.confirmedDate || meeting.preferredDate, ...getOccurrences(meeting).map(occurrence => occurrence.date)])
+        .filter(Boolean)
+        .sort();
+    if (seriesDates.length > 0) {
+        lines.push(...buildTimeZoneLines(options.timeZone, seriesDates[0], seriesDates[seriesDates.length - 1]));
+    }
+
+    meetings.forEach(meeting => {
+        lines.push(...buildEventLines(meeting, { ...options, method }));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * File name for a meeting's .ics download
+ * @param {Object} meeting
+ * @returns {string}
+ */
+function getCalendarFileName(meeting) {
+    return `meeting-${getReferenceNumber(meeting.requestId).toLowerCase()}.ics`;
+}
+
+module.exports = {
+    CALENDAR_STATUSES,
+    isOnCalendar,
+    hasCalendarEvent,
+    affectsCalendar,
+    nextCalendarSequence,
+    getMeetingRange,
+    buildCalendar,
+    getCalendarFileName
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A JSON document on disk with atomic writes and serialised updates.
+ * Used by the services that keep their state in data/ files.
+ */
+class JsonFileStore {
+    /**
+     * @param {string} filePath Path of the JSON file
+     * @param {Function} createEmpty Returns the document to use while the file doesn't exist
+     */
+    constructor(filePath, createEmpty) {
+        this.filePath = path.resolve(filePath);
+        this.createEmpty = createEmpty;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Read the whole document, or an empty one if the file doesn't exist yet
+     * @returns {Promise<Object>}
+     */
+    async read() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            return { ...this.createEmpty(), ...JSON.parse(content) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.createEmpty();
+            }
+            throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the document atomically (temp file + rename)
+     * @param {Object} data
+     */
+    async write(data) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Run a read-modify-write cycle after every previously queued one,
+     * so concurrent requests can't overwrite each other's changes
+     * @param {Function} mutate Receives the document and returns the operation result
+     */
+    modify(mutate) {
+        const operation = this.writeQueue.then(async () => {
+            const data = await this.read();
+            const result = mutate(data);
+            await this.write(data);
+            return result;
+        });
+
+        // Keep the queue alive even if this operation fails
+        this.writeQueue = operation.catch(() => { });
+        return operation;
+    }
+}
+
+module.exports = JsonFileStore;
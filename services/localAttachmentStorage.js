@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AttachmentStorage = require('./attachmentStorage');
+require('dotenv').config();
+
+// Attachment IDs are random hex, which also keeps them safe to use as file names
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Stores attachments as files in a directory on disk, one file per attachment
+ * named after its ID. The original name and type are kept in the metadata only.
+ */
+class LocalAttachmentStorage extends AttachmentStorage {
+    constructor(directory) {
+        super('local', 'local attachment storage');
+        this.directory = path.resolve(directory || process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'data', 'attachments'));
+        console.log(`✅ Local attachment storage initialized: ${this.directory}`);
+    }
+
+    /**
+     * Path of a stored attachment, or null for IDs this driver never issues
+     * @param {string} attachmentId
+     * @returns {string|null}
+     */
+    getFilePath(attachmentId) {
+        return ATTACHMENT_ID_PATTERN.test(String(attachmentId)) ? path.join(this.directory, attachmentId) : null;
+    }
+
+    async saveFile(file) {
+        const id = crypto.randomBytes(16).toString('hex');
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(this.getFilePath(id), file.buffer, { flag: 'wx' });
+
+        return {
+            id,
+            name: file.originalname,
+            size: file.size,
+            mimeType: file.mimetype,
+            uploadedAt: new Date().toISOString()
+        };
+    }
+
+    async openFile(attachmentId) {
+        const filePath = this.getFilePath(attachmentId);
+        if (!filePath) return null;
+
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return { stream: fs.createReadStream(filePath), size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async deleteFile(attachmentId) {
+        const filePath = this.getFilePath(attachmentId);
+        if (!filePath) return;
+
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = LocalAttachmentStorage;
@@ -0,0 +1,256 @@
+const path = require('path');
+const MeetingStorage = require('./meetingStorage');
+const { generateRequestId } = require('./requestId');
+const JsonFileStore = require('./jsonFileStore');
+require('dotenv').config();
+
+/**
+ * Stores meeting requests in a JSON file on disk.
+ * Intended for local development and staging setups that don't have
+ * access to a real Google Sheet.
+ */
+class LocalFileStorageService extends MeetingStorage {
+    constructor(filePath) {
+        super('local_file', 'local file storage');
+        this.store = new JsonFileStore(
+            filePath || process.env.LOCAL_STORAGE_FILE || path.join(__dirname, '..', 'data', 'meetings.json'),
+            () => ({ meetings: [] })
+        );
+        this.filePath = this.store.filePath;
+        console.log(`✅ Local file storage initialized: ${this.filePath}`);
+    }
+
+    /**
+     * Read the whole data file, creating an empty store if it doesn't exist yet
+     * @returns {Promise<{meetings: Array}>}
+     */
+    async readStore() {
+        const store = await this.store.read();
+        return { meetings: Array.isArray(store.meetings) ? store.meetings : [] };
+    }
+
+    /**
+     * Run a read-modify-write cycle on the data file (see JsonFileStore.modify)
+     * @param {Function} mutate Receives the store and returns the operation result
+     */
+    modifyStore(mutate) {
+        return this.store.modify(store => {
+            if (!Array.isArray(store.meetings)) {
+                store.meetings = [];
+            }
+            return mutate(store);
+        });
+    }
+
+    /**
+     * Settings from the optional "config" object in the data file,
+     * e.g. { "config": { "business_hours_start": "08:00" } }
+     * @returns {Promise<Object<string, string>>}
+     */
+    async fetchSystemConfig() {
+        const store = await this.store.read();
+        return store.config && typeof store.config === 'object' ? store.config : {};
+    }
+
+    /**
+     * Meeting types from the optional "meetingTypes" array in the data file,
+     * e.g. { "meetingTypes": [{ "typeId": "MT001", "typeName": "General Meeting", "preparationTime": 5 }] }
+     * @returns {Promise<Array<Object>>}
+     */
+    async fetchMeetingTypes() {
+        const store = await this.store.read();
+        return Array.isArray(store.meetingTypes) ? store.meetingTypes : [];
+    }
+
+    /**
+     * Run a read-modify-write cycle on the meeting types of the data file
+     * @param {Function} mutate Receives the meetingTypes array and returns the operation result
+     */
+    modifyMeetingTypes(mutate) {
+        return this.store.modify(store => {
+            if (!Array.isArray(store.meetingTypes)) {
+                store.meetingTypes = [];
+            }
+            return mutate(store.meetingTypes);
+        });
+    }
+
+    /**
+     * Add a meeting type to the local data file
+     * @param {Object} meetingType Parsed meeting type, including its typeId
+     */
+    async createMeetingType(meetingType) {
+        return this.modifyMeetingTypes(meetingTypes => {
+            if (meetingTypes.some(type => type.typeId === meetingType.typeId)) {
+                throw this.createError(`Meeting type ${meetingType.typeId} already exists`, MeetingStorage.CONFLICT);
+            }
+
+            meetingTypes.push({ ...meetingType, createdDate: new Date().toISOString() });
+            console.log(`📝 Stored meeting type ${meetingType.typeId} in local file`);
+
+            return {
+                success: true,
+                message: 'Meeting type stored in local file',
+                typeId: meetingType.typeId
+            };
+        });
+    }
+
+    /**
+     * Replace a meeting type in the local data file
+     * @param {string} typeId The type to update
+     * @param {Object} meetingType Parsed meeting type
+     */
+    async updateMeetingType(typeId, meetingType) {
+        return this.modifyMeetingTypes(meetingTypes => {
+            const index = meetingTypes.findIndex(type => type.typeId === typeId);
+            if (index === -1) {
+                throw this.createError(`Meeting type ${typeId} not found`, MeetingStorage.NOT_FOUND);
+            }
+
+            meetingTypes[index] = { ...meetingTypes[index], ...meetingType, typeId };
+            console.log(`📝 Updated meeting type ${typeId} in local file`);
+
+            return {
+                success: true,
+                message: 'Meeting type updated in local file',
+                typeId
+            };
+        });
+    }
+
+    /**
+     * Delete a meeting type from the local data file
+     * @param {string} typeId The type to delete
+     */
+    async deleteMeetingType(typeId) {
+        return this.modifyMeetingTypes(meetingTypes => {
+            const index = meetingTypes.findIndex(type => type.typeId === typeId);
+            if (index === -1) {
+                throw this.createError(`Meeting type ${typeId} not found`, MeetingStorage.NOT_FOUND);
+            }
+
+            meetingTypes.splice(index, 1);
+            console.log(`🗑️ Deleted meeting type ${typeId} from local file`);
+
+            return {
+                success: true,
+                message: 'Meeting type deleted from local file',
+                typeId
+            };
+        });
+    }
+
+    /**
+     * Fetch all meeting requests from the local data file
+     * @returns {Promise<Array>} Array of meeting objects
+     */
+    async fetchMeetingRequests() {
+        const store = await this.readStore();
+        console.log(`📂 Loaded ${store.meetings.length} meetings from ${this.filePath}`);
+        return store.meetings;
+    }
+
+    /**
+     * Add a meeting request to the local data file
+     * @param {Object} meetingData The meeting request data
+     */
+    async createMeetingRequest(meetingData) {
+        const now = new Date().toISOString();
+        const meeting = {
+            ...meetingData,
+            requestId: meetingData.requestId || generateRequestId(),
+            status: meetingData.status || 'pending',
+            timestamp: meetingData.timestamp || now,
+            createdDate: meetingData.createdDate || now,
+            lastUpdated: now
+        };
+
+        return this.modifyStore(store => {
+            if (store.meetings.some(m => m.requestId === meeting.requestId)) {
+                throw new Error(`Meeting request ${meeting.requestId} already exists`);
+            }
+
+            store.meetings.push(meeting);
+            console.log(`📝 Stored meeting ${meeting.requestId} in local file`);
+
+            return {
+                success: true,
+                message: 'Meeting stored in local file',
+                requestId: meeting.requestId,
+                meeting
+            };
+        });
+    }
+
+    /**
+     * Fetch a single meeting request from the local data file
+     * @param {string} requestId The request ID to look up
+     */
+    async getMeetingRequest(requestId) {
+        const store = await this.readStore();
+        return store.meetings.find(m => m.requestId === requestId) || null;
+    }
+
+    /**
+     * Update a meeting request in the local data file
+     * @param {string} requestId The request ID to update
+     * @param {Object} updateData The data to update
+     * @param {Object} [options]
+     * @param {string} [options.expectedLastUpdated] Reject the write if lastUpdated has changed since
+     */
+    async updateMeetingRequest(requestId, updateData, options = {}) {
+        return this.modifyStore(store => {
+            const index = store.meetings.findIndex(m => m.requestId === requestId);
+            if (index === -1) {
+                throw this.createError(`Meeting request ${requestId} not found`, MeetingStorage.NOT_FOUND);
+            }
+
+            const currentLastUpdated = store.meetings[index].lastUpdated || '';
+            if (options.expectedLastUpdated !== undefined && options.expectedLastUpdated !== currentLastUpdated) {
+                throw this.createError(`Meeting request ${requestId} was modified at ${currentLastUpdated}`, MeetingStorage.CONFLICT);
+            }
+
+            const meeting = {
+                ...store.meetings[index],
+                ...updateData,
+                requestId,
+                lastUpdated: new Date().toISOString()
+            };
+            store.meetings[index] = meeting;
+            console.log(`📝 Updated meeting ${requestId} in local file`);
+
+            return {
+                success: true,
+                message: 'Meeting updated in local file',
+                requestId,
+                lastUpdated: meeting.lastUpdated,
+                meeting
+            };
+        });
+    }
+
+    /**
+     * Delete a meeting request from the local data file
+     * @param {string} requestId The request ID to delete
+     */
+    async deleteMeetingRequest(requestId) {
+        return this.modifyStore(store => {
+            const index = store.meetings.findIndex(m => m.requestId === requestId);
+            if (index === -1) {
+                throw this.createError(`Meeting request ${requestId} not found`, MeetingStorage.NOT_FOUND);
+            }
+
+            store.meetings.splice(index, 1);
+            console.log(`🗑️ Deleted meeting ${requestId} from local file`);
+
+            return {
+                success: true,
+                message: 'Meeting deleted from local file',
+                requestId
+            };
+        });
+    }
+}
+
+module.exports = LocalFileStorageService;
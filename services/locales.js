@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Languages of the booking form and the requester emails.
+ *
+ * The message catalogs are the booking form's, public/locales/<locale>.json,
+ * so text the server builds for the requester (such as the recurrence
+ * summary in the emails) reads the same as on the form. Requests store the
+ * requester's language as a locale code in `language`. The User_Profiles sheet
+ * spells languages out (English, Spanish, ...); normalizeLocale reads either.
+ */
+
+const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de'];
+const DEFAULT_LOCALE = 'en';
+
+// Names used by the Language column of User_Profiles
+const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', fr: 'French', de: 'German' };
+
+const CATALOG_DIR = path.join(__dirname, '..', 'public', 'locales');
+
+const catalogs = SUPPORTED_LOCALES.reduce((result, locale) => {
+    result[locale] = JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, `${locale}.json`), 'utf8'));
+    return result;
+}, {});
+
+/**
+ * Supported locale for a code or a language name
+ * @param {string} value e.g. "es", "es-MX", "ES_es" or "Spanish"
+ * @returns {string|null} null when the language isn't supported
+ */
+function normalizeLocale(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+
+    const byName = SUPPORTED_LOCALES.find(locale => LANGUAGE_NAMES[locale].toLowerCase() === text);
+    if (byName) return byName;
+
+    const primary = text.split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+/**
+ * Best supported locale for an Express request, from its Accept-Language header
+ * @param {Object} req
+ * @returns {string}
+ */
+function negotiateLocale(req) {
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+}
+
+/**
+ * Message from the catalog of a locale, falling back to English.
+ * Messages with plural forms ({ one, other, ... }) are picked by params.count.
+ * @param {string} locale
+ * @param {string} key Dotted path, e.g. "recurrence.frequencies.weekly"
+ * @param {Object} [params] Values for the {placeholders}
+ * @returns {string} The key itself when no catalog has it
+ */
+function translate(locale, key, params = {}) {
+    const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+    let message = lookup(catalogs[code], key);
+    if (message === undefined) message = lookup(catalogs[DEFAULT_LOCALE], key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(code).select(Number(params.count) || 0);
+        message = message[category] || message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * A YYYY-MM-DD date the way a locale writes it, e.g. "Dec 31, 2026" or "31 dic 2026"
+ * @param {string} dateKey
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatDate(dateKey, locale) {
+    const [year, month, day] = String(dateKey).split('-').map(Number);
+    if (!day) return dateKey;
+
+    return new Intl.DateTimeFormat(normalizeLocale(locale) || DEFAULT_LOCALE, { dateStyle: 'medium', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(year, month - 1, day)));
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LANGUAGE_NAMES,
+    normalizeLocale,
+    negotiateLocale,
+    translate,
+    formatDate
+};
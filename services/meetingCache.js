@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * In-process cache of the parsed meetings and their statistics.
+ *
+ * Sits in front of a MeetingStorage backend so that dashboard polling does not
+ * re-download the whole sheet on every request. Concurrent callers share a
+ * single in-flight fetch, and every snapshot carries an ETag so unchanged data
+ * can be answered with 304 Not Modified.
+ */
+class MeetingCache {
+    /**
+     * @param {import('./meetingStorage')} storage Storage backend to read from
+     * @param {number} ttlMs How long a snapshot stays fresh, in milliseconds
+     */
+    constructor(storage, ttlMs) {
+        this.storage = storage;
+        this.ttlMs = ttlMs;
+        this.snapshot = null;
+        this.pending = null;
+        this.generation = 0;
+    }
+
+    /**
+     * Get the cached snapshot, loading it from storage when missing or expired
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh=false] Skip the cache and reload from storage
+     * @returns {Promise<{meetings: Array, statistics: Object, schemaReport: Object|null, etag: string, fetchedAt: string, fromCache: boolean}>}
+     */
+    async get({ forceRefresh = false } = {}) {
+        if (forceRefresh) {
+            this.invalidate();
+        }
+
+        if (this.snapshot && Date.now() - this.snapshot.loadedAt < this.ttlMs) {
+            return { ...this.snapshot.data, fromCache: true };
+        }
+
+        if (!this.pending) {
+            const pending = this.load().finally(() => {
+                if (this.pending === pending) {
+                    this.pending = null;
+                }
+            });
+            this.pending = pending;
+        }
+
+        const data = await this.pending;
+        return { ...data, fromCache: false };
+    }
+
+    /**
+     * Fetch from storage and store the result, unless it was invalidated meanwhile
+     */
+    async load() {
+        const generation = this.generation;
+        const meetings = await this.storage.fetchMeetingRequests();
+        const statistics = this.storage.generateStatistics(meetings);
+        const schemaReport = this.storage.getSchemaReport();
+        const data = {
+            meetings,
+            statistics,
+            schemaReport,
+            etag: MeetingCache.computeEtag({ meetings, statistics, schemaReport }),
+            fetchedAt: new Date().toISOString()
+        };
+
+        if (generation === this.generation) {
+            this.snapshot = { data, loadedAt: Date.now() };
+        }
+
+        return data;
+    }
+
+    /**
+     * Drop the cached snapshot, e.g. after the server changed a meeting
+     */
+    invalidate() {
+        this.snapshot = null;
+        this.pending = null;
+        this.generation++;
+    }
+
+    /**
+     * Strong ETag over any JSON-serialisable value
+     * @returns {string} Quoted ETag value
+     */
+    static computeEtag(value) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify(value))
+            .digest('base64url');
+        return `"${hash}"`;
+    }
+}
+
+module.exports = MeetingCache;
@@ -0,0 +1,93 @@
+const path = require('path');
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+require('dotenv').config();
+
+/**
+ * Unfinished booking forms saved on the server, so a requester can finish
+ * on another device through the link that is emailed to them.
+ *
+ * The form itself autosaves in the browser; a server draft is only created
+ * when the requester asks for the link. The server doesn't look inside a
+ * draft: it is the form state as the booking form saved it, checked only for
+ * its size. Drafts hold personal data, so they expire after ttlMs and are
+ * deleted as soon as the request is submitted.
+ */
+class MeetingDrafts {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] Drafts file, defaults to DRAFTS_FILE or data/meeting-drafts.json
+     * @param {number} [options.ttlMs] How long a draft is kept after its last save
+     */
+    constructor({ filePath, ttlMs } = {}) {
+        this.store = new JsonFileStore(
+            filePath || process.env.DRAFTS_FILE || path.join(__dirname, '..', 'data', 'meeting-drafts.json'),
+            () => ({ drafts: {} })
+        );
+        this.ttlMs = ttlMs || (parseInt(process.env.DRAFT_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Create a draft, or replace the form state of an existing one.
+     * Saving extends the expiry; expired drafts are removed on the way.
+     * @param {Object} details
+     * @param {string} [details.draftId] Draft to update; a new one is created when it is gone
+     * @param {string} details.userEmail Where the link is sent
+     * @param {Object} details.form Form state from the booking form
+     * @returns {Promise<Object>} The stored draft
+     */
+    async save({ draftId, userEmail, form }) {
+        const now = new Date();
+
+        return this.store.modify(data => {
+            this.removeExpired(data, now);
+
+            const existing = draftId ? data.drafts[draftId] : null;
+            const draft = {
+                draftId: existing ? existing.draftId : `draft_${crypto.randomBytes(12).toString('base64url')}`,
+                userEmail,
+                form,
+                createdAt: existing ? existing.createdAt : now.toISOString(),
+                updatedAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+            };
+
+            data.drafts[draft.draftId] = draft;
+            return draft;
+        });
+    }
+
+    /**
+     * A draft that hasn't expired
+     * @param {string} draftId
+     * @returns {Promise<Object|null>}
+     */
+    async get(draftId) {
+        const data = await this.store.read();
+        const draft = data.drafts[draftId];
+        return draft && new Date(draft.expiresAt).getTime() > Date.now() ? draft : null;
+    }
+
+    /**
+     * Delete a draft
+     * @param {string} draftId
+     * @returns {Promise<boolean>} false when there was no such draft
+     */
+    async delete(draftId) {
+        return this.store.modify(data => {
+            if (!data.drafts[draftId]) return false;
+            delete data.drafts[draftId];
+            return true;
+        });
+    }
+
+    removeExpired(data, now) {
+        Object.keys(data.drafts).forEach(draftId => {
+            if (new Date(data.drafts[draftId].expiresAt).getTime() <= now.getTime()) {
+                delete data.drafts[draftId];
+            }
+        });
+    }
+}
+
+module.exports = MeetingDrafts;
@@ -0,0 +1,163 @@
+/**
+ * Filtering, search, sorting and pagination for the admin meetings list
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const PRIORITY_ORDER = { low: 0, medium: 1, normal: 1, high: 2, urgent: 3 };
+
+// Sortable fields and how to read a comparable value from a meeting
+const SORT_FIELDS = {
+    createdDate: meeting => toTime(meeting.createdDate || meeting.timestamp),
+    preferredDate: meeting => toTime(`${meeting.preferredDate || ''}T${meeting.preferredTime || '00:00'}`),
+    userName: meeting => (meeting.userName || '').toLowerCase(),
+    status: meeting => (meeting.status || 'pending').toLowerCase(),
+    urgency: meeting => PRIORITY_ORDER[(meeting.priority || meeting.urgency || 'normal').toLowerCase()] ?? -1,
+    meetingType: meeting => (meeting.meetingType || '').toLowerCase(),
+    estimatedDuration: meeting => parseInt(meeting.estimatedDuration) || 0
+};
+
+// Date fields the date range can apply to
+const DATE_FIELDS = {
+    preferred: meeting => meeting.preferredDate,
+    created: meeting => meeting.createdDate || meeting.timestamp
+};
+
+// Fields covered by free-text search (requestId so admins can look up a reference number)
+const SEARCH_FIELDS = ['requestId', 'userName', 'userEmail', 'userCompany', 'meetingPurpose'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toTime(value) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Normalise a date or timestamp to a YYYY-MM-DD key, or null if unparseable
+ */
+function toDateKey(value) {
+    if (!value) return null;
+    if (DATE_KEY_PATTERN.test(value)) return value;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Validate and normalise the query string of GET /api/admin/meetings
+ * @param {Object} query req.query
+ * @returns {{options: Object, errors: Array<string>}}
+ */
+function parseMeetingQuery(query = {}) {
+    const errors = [];
+
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push('page must be a positive integer');
+    }
+
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.pageSize, 10);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        errors.push(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const sortBy = query.sortBy || 'createdDate';
+    if (!SORT_FIELDS[sortBy]) {
+        errors.push(`sortBy must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const sortDir = (query.sortDir || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortDir)) {
+        errors.push('sortDir must be asc or desc');
+    }
+
+    const dateField = query.dateField || 'preferred';
+    if (!DATE_FIELDS[dateField]) {
+        errors.push(`dateField must be one of: ${Object.keys(DATE_FIELDS).join(', ')}`);
+    }
+
+    ['dateFrom', 'dateTo'].forEach(param => {
+        if (query[param] && !DATE_KEY_PATTERN.test(query[param])) {
+            errors.push(`${param} must be a date in YYYY-MM-DD format`);
+        }
+    });
+
+    return {
+        errors,
+        options: {
+            page,
+            pageSize,
+            sortBy,
+            sortDir,
+            dateField,
+            dateFrom: query.dateFrom || null,
+            dateTo: query.dateTo || null,
+            search: String(query.search || '').trim().toLowerCase(),
+            status: String(query.status || '').toLowerCase(),
+            priority: String(query.priority || '').toLowerCase(),
+            meetingType: String(query.meetingType || '').toLowerCase(),
+            meetingTypeId: String(query.meetingTypeId || '').trim().toLowerCase()
+        }
+    };
+}
+
+/**
+ * Apply filters, search, sorting and pagination to a list of meetings
+ * @param {Array} meetings All meetings
+ * @param {Object} options Options from parseMeetingQuery
+ * @returns {{meetings: Array, total: number, page: number, pageSize: number, totalPages: number}}
+ */
+function applyMeetingQuery(meetings, options) {
+    const readDate = DATE_FIELDS[options.dateField];
+
+    const filtered = meetings.filter(meeting => {
+        if (!meeting) return false;
+
+        if (options.status && (meeting.status || 'pending').toLowerCase() !== options.status) return false;
+        if (options.priority && (meeting.priority || meeting.urgency || 'normal').toLowerCase() !== options.priority) return false;
+        if (options.meetingType && (meeting.meetingType || 'online').toLowerCase() !== options.meetingType) return false;
+        if (options.meetingTypeId && String(meeting.meetingTypeId || '').toLowerCase() !== options.meetingTypeId) return false;
+
+        if (options.dateFrom || options.dateTo) {
+            const dateKey = toDateKey(readDate(meeting));
+            if (!dateKey) return false;
+            if (options.dateFrom && dateKey < options.dateFrom) return false;
+            if (options.dateTo && dateKey > options.dateTo) return false;
+        }
+
+        if (options.search) {
+            const matches = SEARCH_FIELDS.some(field =>
+                String(meeting[field] || '').toLowerCase().includes(options.search)
+            );
+            if (!matches) return false;
+        }
+
+        return true;
+    });
+
+    const readSortValue = SORT_FIELDS[options.sortBy];
+    const direction = options.sortDir === 'asc' ? 1 : -1;
+    const sorted = [...filtered].sort((a, b) => {
+        const left = readSortValue(a);
+        const right = readSortValue(b);
+        if (left < right) return -1 * direction;
+        if (left > right) return 1 * direction;
+        return 0;
+    });
+
+    const total = sorted.length;
+    const totalPages = Math.max(1, Math.ceil(total / options.pageSize));
+    const start = (options.page - 1) * options.pageSize;
+
+    return {
+        meetings: sorted.slice(start, start + options.pageSize),
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        totalPages
+    };
+}
+
+module.exports = { parseMeetingQuery, applyMeetingQuery };
@@ -0,0 +1,235 @@
+/**
+ * Base class for meeting storage backends.
+ *
+ * Every backend exposes the same interface so that the routes in server.js
+ * do not need to know whether meetings live in Google Sheets or on disk.
+ * Subclasses must implement fetchMeetingRequests, createMeetingRequest,
+ * updateMeetingRequest and deleteMeetingRequest.
+ */
+class MeetingStorage {
+    constructor(name, displayName) {
+        this.name = name;
+        this.displayName = displayName;
+    }
+
+    /**
+     * Whether the backend has everything it needs to serve requests
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Explain what is missing when isConfigured() returns false
+     * @returns {{error: string, message: string}}
+     */
+    getConfigurationError() {
+        return {
+            error: `${this.displayName} not configured`,
+            message: `Please check the ${this.displayName} settings in your environment variables`
+        };
+    }
+
+    /**
+     * Whether the backend can write changes itself
+     * Backends that rely on n8n for writes return false
+     * @returns {boolean}
+     */
+    canWrite() {
+        return true;
+    }
+
+    /**
+     * Whether createMeetingRequest stores the request itself
+     * Backends whose new rows are added by n8n return false
+     * @returns {boolean}
+     */
+    storesNewRequests() {
+        return true;
+    }
+
+    /**
+     * Report of missing, unknown and mistyped columns from the last fetch
+     * Only backends that read a user-edited sheet produce one
+     * @returns {Object|null}
+     */
+    getSchemaReport() {
+        return null;
+    }
+
+    /**
+     * Create an error carrying one of the MeetingStorage error codes
+     * @param {string} message Error message
+     * @param {string} code MeetingStorage.NOT_FOUND or MeetingStorage.CONFLICT
+     * @returns {Error}
+     */
+    createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Fetch the settings from the System_Config sheet (or its equivalent)
+     * Backends without one return no settings, so the defaults apply
+     * @returns {Promise<Object<string, string>>} Setting values keyed by setting name
+     */
+    async fetchSystemConfig() {
+        return {};
+    }
+
+    /**
+     * Fetch the meeting types catalog from the Meeting_Types sheet (or its equivalent)
+     * Backends without one return no types, so meetings get no preparation buffer
+     * @returns {Promise<Array<Object>>} Meeting types with typeId, typeName, preparationTime, ...
+     */
+    async fetchMeetingTypes() {
+        return [];
+    }
+
+    /**
+     * Add a type to the meeting types catalog
+     * Rejects with a CONFLICT error when the type ID is taken
+     * @param {Object} meetingType Parsed meeting type (see meetingTypes.js), including its typeId
+     * @returns {Promise<Object>} Result of the create operation
+     */
+    async createMeetingType(meetingType) {
+        throw new Error(`${this.constructor.name} does not implement createMeetingType`);
+    }
+
+    /**
+     * Replace a type in the meeting types catalog; its typeId stays the same
+     * @param {string} typeId The type to update
+     * @param {Object} meetingType Parsed meeting type (see meetingTypes.js)
+     * @returns {Promise<Object>} Result of the update operation
+     */
+    async updateMeetingType(typeId, meetingType) {
+        throw new Error(`${this.constructor.name} does not implement updateMeetingType`);
+    }
+
+    /**
+     * Remove a type from the meeting types catalog
+     * @param {string} typeId The type to delete
+     * @returns {Promise<Object>} Result of the delete operation
+     */
+    async deleteMeetingType(typeId) {
+        throw new Error(`${this.constructor.name} does not implement deleteMeetingType`);
+    }
+
+    /**
+     * Fetch all meeting requests
+     * @returns {Promise<Array>} Array of meeting objects
+     */
+    async fetchMeetingRequests() {
+        throw new Error(`${this.constructor.name} does not implement fetchMeetingRequests`);
+    }
+
+    /**
+     * Fetch a single meeting request
+     * @param {string} requestId The request ID to look up
+     * @returns {Promise<Object|null>} The meeting, or null if it doesn't exist
+     */
+    async getMeetingRequest(requestId) {
+        const meetings = await this.fetchMeetingRequests();
+        return meetings.find(meeting => meeting.requestId === requestId) || null;
+    }
+
+    /**
+     * Store a new meeting request
+     * @param {Object} meetingData The meeting request submitted by the user
+     * @returns {Promise<Object>} Result of the create operation
+     */
+    async createMeetingRequest(meetingData) {
+        throw new Error(`${this.constructor.name} does not implement createMeetingRequest`);
+    }
+
+    /**
+     * Update a stored meeting request
+     * Rejects with a CONFLICT error when options.expectedLastUpdated is given
+     * and no longer matches the stored lastUpdated value
+     * @param {string} requestId The request ID to update
+     * @param {Object} updateData The data to update
+     * @param {Object} [options]
+     * @param {string} [options.expectedLastUpdated] lastUpdated value the caller read
+     * @returns {Promise<Object>} Result of the update operation
+     */
+    async updateMeetingRequest(requestId, updateData, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement updateMeetingRequest`);
+    }
+
+    /**
+     * Remove a stored meeting request
+     * @param {string} requestId The request ID to delete
+     * @returns {Promise<Object>} Result of the delete operation
+     */
+    async deleteMeetingRequest(requestId) {
+        throw new Error(`${this.constructor.name} does not implement deleteMeetingRequest`);
+    }
+
+    /**
+     * Get statistics about meetings
+     * @param {Array} meetings Array of meeting objects
+     * @returns {Object} Statistics object
+     */
+    generateStatistics(meetings) {
+        const stats = {
+            total: meetings.length,
+            pending: 0,
+            approved: 0,
+            rejected: 0,
+            rescheduled: 0,
+            cancelled: 0,
+            declined: 0,
+            countered: 0,
+            expired: 0,
+            thisWeek: 0,
+            byPriority: {
+                high: 0,
+                medium: 0,
+                low: 0
+            },
+            byMeetingType: {
+                online: 0,
+                offline: 0,
+                hybrid: 0
+            }
+        };
+
+        const oneWeekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+        meetings.forEach(meeting => {
+            // Count requests submitted in the last 7 days
+            const submitted = new Date(meeting.timestamp || meeting.createdDate).getTime();
+            if (submitted >= oneWeekAgo) {
+                stats.thisWeek++;
+            }
+
+            // Count by status
+            const status = meeting.status ? meeting.status.toLowerCase() : 'pending';
+            if (stats.hasOwnProperty(status)) {
+                stats[status]++;
+            }
+
+            // Count by priority/urgency
+            const priority = meeting.urgency ? meeting.urgency.toLowerCase() : 'medium';
+            if (stats.byPriority.hasOwnProperty(priority)) {
+                stats.byPriority[priority]++;
+            }
+
+            // Count by meeting type
+            const meetingType = meeting.meetingType ? meeting.meetingType.toLowerCase() : 'online';
+            if (stats.byMeetingType.hasOwnProperty(meetingType)) {
+                stats.byMeetingType[meetingType]++;
+            }
+        });
+
+        return stats;
+    }
+}
+
+// Error codes set on errors thrown by storage backends
+MeetingStorage.NOT_FOUND = 'MEETING_NOT_FOUND';
+MeetingStorage.CONFLICT = 'MEETING_CONFLICT';
+
+module.exports = MeetingStorage;
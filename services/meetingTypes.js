@@ -0,0 +1,172 @@
+/**
+ * Meeting types catalog (the Meeting_Types sheet): kinds of meetings such as
+ * "Client Consultation", each with a default duration, the formats it can be
+ * held in, a preparation buffer and a few flags. Requests store the ID of
+ * their type in meetingTypeId; meetingType stays the format (online, offline
+ * or hybrid).
+ *
+ * The sheet keeps flags as Yes/No and formats as Online, Offline, Hybrid or
+ * Both. Local storage keeps the parsed values. parseMeetingType reads either.
+ */
+
+const MEETING_MODES = ['online', 'offline', 'hybrid'];
+const PRIORITY_LEVELS = ['low', 'medium', 'high'];
+
+// Types added without an ID get the next one in the sheet's MT001, MT002, ... sequence
+const TYPE_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+const GENERATED_ID_PATTERN = /^MT(\d+)$/;
+
+// Fields a requester needs to pick a type; the rest is for admins
+const PUBLIC_FIELDS = ['typeId', 'typeName', 'description', 'defaultDuration', 'maxAttendees', 'availableModes'];
+
+/**
+ * Yes/No flag from the sheet, or a boolean from local storage
+ * @param {*} value
+ * @param {boolean} fallback Used when the cell is empty
+ * @returns {boolean}
+ */
+function parseFlag(value, fallback) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    if (!text) return fallback;
+    return ['yes', 'true', '1', 'y'].includes(text);
+}
+
+function parseMinutes(value) {
+    const minutes = parseInt(value, 10);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : null;
+}
+
+/**
+ * Formats a type can be held in. "Both" (and an empty cell) allows every format,
+ * otherwise the cell lists them, e.g. "Online" or "Online, Hybrid".
+ * @param {Array<string>|string} value
+ * @returns {Array<string>} Formats in MEETING_MODES order
+ */
+function parseModes(value) {
+    const names = (Array.isArray(value) ? value : String(value || '').split(/[,/]/))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+
+    if (names.length === 0 || names.includes('both') || names.includes('all')) return [...MEETING_MODES];
+
+    const modes = names.map(name => (name === 'in-person' || name === 'in person' ? 'offline' : name));
+    const known = MEETING_MODES.filter(mode => modes.includes(mode));
+    return known.length > 0 ? known : [...MEETING_MODES];
+}
+
+/**
+ * Sheet spelling of a list of formats, the reverse of parseModes
+ * @param {Array<string>} modes
+ * @returns {string}
+ */
+function formatModes(modes) {
+    const known = MEETING_MODES.filter(mode => modes.includes(mode));
+    if (known.length === MEETING_MODES.length) return 'Both';
+    return known.map(mode => mode.charAt(0).toUpperCase() + mode.slice(1)).join(', ');
+}
+
+/**
+ * A catalog entry with typed values
+ * @param {Object} raw Row of the Meeting_Types sheet (see MEETING_TYPE_COLUMNS) or local storage entry
+ * @returns {Object}
+ */
+function parseMeetingType(raw) {
+    const priorityLevel = String(raw.priorityLevel || '').trim().toLowerCase();
+
+    return {
+        typeId: String(raw.typeId || '').trim(),
+        typeName: String(raw.typeName || raw.typeId || '').trim(),
+        description: String(raw.description || '').trim(),
+        defaultDuration: parseMinutes(raw.defaultDuration),
+        requiresApproval: parseFlag(raw.requiresApproval, true),
+        maxAttendees: parseMinutes(raw.maxAttendees),
+        preparationTime: parseMinutes(raw.preparationTime) || 0,
+        followUpRequired: parseFlag(raw.followUpRequired, false),
+        priorityLevel: PRIORITY_LEVELS.includes(priorityLevel) ? priorityLevel : 'medium',
+        availableModes: parseModes(raw.availableModes),
+        autoRecord: parseFlag(raw.autoRecord, false),
+        sendMaterials: parseFlag(raw.sendMaterials, false),
+        calendarColor: String(raw.calendarColor || '').trim(),
+        active: parseFlag(raw.active, true)
+    };
+}
+
+/**
+ * Cell values to write for a catalog entry, in the sheet's spelling
+ * @param {Object} type Parsed meeting type
+ * @returns {Object<string, string|number>} Keyed by meeting type field
+ */
+function toSheetValues(type) {
+    const flag = value => (value ? 'Yes' : 'No');
+
+    return {
+        typeId: type.typeId,
+        typeName: type.typeName,
+        description: type.description,
+        defaultDuration: type.defaultDuration || '',
+        requiresApproval: flag(type.requiresApproval),
+        maxAttendees: type.maxAttendees || '',
+        preparationTime: type.preparationTime || 0,
+        followUpRequired: flag(type.followUpRequired),
+        priorityLevel: type.priorityLevel.charAt(0).toUpperCase() + type.priorityLevel.slice(1),
+        availableModes: formatModes(type.availableModes),
+        autoRecord: flag(type.autoRecord),
+        sendMaterials: flag(type.sendMaterials),
+        calendarColor: type.calendarColor,
+        active: flag(type.active)
+    };
+}
+
+/**
+ * Look up a type by ID, or by name for rows that stored the name
+ * @param {Array<Object>} meetingTypes
+ * @param {string} key Type ID or type name
+ * @returns {Object|null}
+ */
+function findMeetingType(meetingTypes, key) {
+    const wanted = String(key || '').trim().toLowerCase();
+    if (!wanted) return null;
+
+    return meetingTypes.find(type => type.typeId.toLowerCase() === wanted)
+        || meetingTypes.find(type => type.typeName.toLowerCase() === wanted)
+        || null;
+}
+
+/**
+ * ID for a new type: one past the highest MT number in the catalog
+ * @param {Array<Object>} meetingTypes
+ * @returns {string} e.g. MT007
+ */
+function nextTypeId(meetingTypes) {
+    const highest = meetingTypes.reduce((max, type) => {
+        const match = GENERATED_ID_PATTERN.exec(type.typeId);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return `MT${String(highest + 1).padStart(3, '0')}`;
+}
+
+/**
+ * What the booking form gets to see of a type
+ * @param {Object} type Parsed meeting type
+ * @returns {Object}
+ */
+function toPublicMeetingType(type) {
+    return PUBLIC_FIELDS.reduce((result, field) => {
+        result[field] = type[field];
+        return result;
+    }, {});
+}
+
+module.exports = {
+    MEETING_MODES,
+    PRIORITY_LEVELS,
+    TYPE_ID_PATTERN,
+    parseModes,
+    formatModes,
+    parseMeetingType,
+    toSheetValues,
+    findMeetingType,
+    nextTypeId,
+    toPublicMeetingType
+};
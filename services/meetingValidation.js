@@ -0,0 +1,445 @@
+const { body, validationResult } = require('express-validator');
+const AvailabilityService = require('./availability');
+const { isValidTimeZone, toZonedDateTime } = require('./timeZone');
+const { MAX_ATTENDEES } = require('./attendees');
+const {
+    FREQUENCIES,
+    MAX_INTERVAL,
+    MAX_OCCURRENCES,
+    MAX_SERIES_DAYS,
+    listSeriesDates
+} = require('./recurrence');
+const { MEETING_MODES, PRIORITY_LEVELS, TYPE_ID_PATTERN, findMeetingType } = require('./meetingTypes');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('./locales');
+
+/**
+ * Server-side booking rules for meeting requests, built on express-validator.
+ *
+ * Used for new submissions and for requester edits, so a change made through
+ * a manage link has to pass the same rules as the original request. Date and
+ * time limits come from the System_Config schedule (see availability.js) and
+ * apply in the organizer's time zone.
+ */
+
+const MEETING_TYPES = ['online', 'offline', 'hybrid'];
+const URGENCY_LEVELS = ['low', 'normal', 'medium', 'high', 'urgent'];
+
+// The durations offered by the booking, manage and admin forms
+const ALLOWED_DURATIONS = [30, 45, 60, 90, 120, 180];
+
+// Maximum length of each free-text field
+const MAX_LENGTHS = {
+    userName: 100,
+    userEmail: 254,
+    userPhone: 30,
+    userCompany: 100,
+    userPosition: 100,
+    meetingPurpose: 200,
+    meetingDescription: 2000,
+    location: 200,
+    additionalNotes: 1000
+};
+
+const PHONE_PATTERN = /^[\+]?[(]?[\+]?\d{1,4}[)]?[-.\s]?\d{1,4}[-.\s]?\d{1,9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const REQUIRED_MESSAGE = 'This field is required';
+const SERIES_TOO_LONG_MESSAGE = `A series can run for at most ${MAX_SERIES_DAYS} days`;
+
+// Largest form state a server draft may hold, as JSON; the booking form's own limits add up to far less
+const MAX_DRAFT_LENGTH = 20000;
+
+// Multipart submissions (with attachments) send the attendee list and recurrence as JSON strings
+const parseJsonList = value => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Recurrence sub-fields are only checked when a recurrence was sent
+const hasRecurrence = (value, { req }) => isPlainObject(req.body.recurrence);
+
+// Dates of the requested series, once its fields have passed their own checks
+const requestedSeriesDates = ({ preferredDate, recurrence }) =>
+    FREQUENCIES.includes(recurrence.frequency) && DATE_PATTERN.test(String(preferredDate || ''))
+        ? listSeriesDates(preferredDate, recurrence)
+        : null;
+
+// How each format reads in "only available online, hybrid"
+const MODE_LABELS = { online: 'online', offline: 'in person', hybrid: 'hybrid' };
+
+const sameEmail = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Build the validation chains for a meeting request
+ * @param {Function} getSchedule Resolves to the parsed System_Config schedule (see parseSchedule in availability.js)
+ * @param {Function} getMeetingTypes Resolves to the parsed meeting types catalog (see meetingTypes.js)
+ * @returns {Array<import('express-validator').ValidationChain>}
+ */
+function meetingRequestRules(getSchedule, getMeetingTypes) {
+    // The chosen catalog entry, which limits the formats and the number of people
+    const chosenType = async req => findMeetingType(await getMeetingTypes(), req.body.meetingTypeId);
+
+    const required = field => body(field).trim().notEmpty().withMessage(REQUIRED_MESSAGE).bail();
+    const optional = field => body(field).optional({ values: 'falsy' }).trim();
+    const maxLength = field => body(field)
+        .optional({ values: 'falsy' })
+        .isLength({ max: MAX_LENGTHS[field] })
+        .withMessage(`Please use at most ${MAX_LENGTHS[field]} characters`);
+
+    return [
+        required('userName'),
+        required('userEmail')
+            .isEmail().withMessage('Please enter a valid email address'),
+        required('userPhone')
+            .custom(value => PHONE_PATTERN.test(value.replace(/\s/g, '')))
+            .withMessage('Please enter a valid phone number'),
+        required('meetingPurpose'),
+        optional('userCompany'),
+        optional('userPosition'),
+        optional('meetingDescription'),
+        optional('additionalNotes'),
+        ...Object.keys(MAX_LENGTHS).map(maxLength),
+
+        required('preferredDate')
+            .matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format').bail()
+            .isISO8601({ strict: true }).withMessage('Please enter a valid date').bail()
+            .custom(async value => {
+                const schedule = await getSchedule();
+                const today = toZonedDateTime(new Date(), schedule.timeZone).date;
+                if (value < today) {
+                    throw new Error('Please select a future date');
+                }
+                if (value > AvailabilityService.addDays(today, schedule.maxAdvanceDays)) {
+                    throw new Error(`Meetings can be booked at most ${schedule.maxAdvanceDays} days ahead`);
+                }
+                return true;
+            }),
+
+        required('preferredTime')
+            .matches(TIME_PATTERN).withMessage('Time must be in HH:MM format').bail()
+            .custom(async (value, { req }) => {
+                const schedule = await getSchedule();
+                const duration = parseInt(req.body.estimatedDuration, 10) || schedule.defaultDuration;
+                const start = AvailabilityService.toMinutes(value);
+                if (start < schedule.start || start + duration > schedule.end) {
+                    throw new Error(`Please pick a time between ${AvailabilityService.toTime(schedule.start)} and ${AvailabilityService.toTime(schedule.end)} that ends by closing time`);
+                }
+                return true;
+            }),
+
+        body('estimatedDuration')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isIn(ALLOWED_DURATIONS.map(String))
+            .withMessage(`Duration must be one of: ${ALLOWED_DURATIONS.join(', ')} minutes`),
+
+        // Once the catalog lists active types, every request names one of them
+        body('meetingTypeId')
+            .trim()
+            .custom(async value => {
+                const activeTypes = (await getMeetingTypes()).filter(type => type.active);
+                if (!value) {
+                    if (activeTypes.length > 0) throw new Error(REQUIRED_MESSAGE);
+                    return true;
+                }
+                if (!findMeetingType(activeTypes, value)) {
+                    throw new Error('Please choose one of the offered meeting types');
+                }
+                return true;
+            })
+            // Store the catalog's spelling of the ID
+            .customSanitizer(async value => {
+                const type = findMeetingType(await getMeetingTypes(), value);
+                return type ? type.typeId : value;
+            }),
+
+        required('meetingType')
+            .isIn(MEETING_TYPES).withMessage(`Meeting type must be one of: ${MEETING_TYPES.join(', ')}`).bail()
+            .custom(async (value, { req }) => {
+                const type = await chosenType(req);
+                if (type && !type.availableModes.includes(value)) {
+                    throw new Error(`${type.typeName} is only available ${type.availableModes.map(mode => MODE_LABELS[mode]).join(' or ')}`);
+                }
+                return true;
+            }),
+
+        body('location')
+            .if(body('meetingType').isIn(['offline', 'hybrid']))
+            .trim()
+            .notEmpty().withMessage('Location is required for in-person and hybrid meetings'),
+
+        body('timeZone')
+            .optional({ values: 'falsy' })
+            .trim()
+            .custom(isValidTimeZone).withMessage('Unknown time zone'),
+
+        // Language of the requester's emails, e.g. "es"; left out, the server negotiates one
+        body('language')
+            .optional({ values: 'falsy' })
+            .custom(value => normalizeLocale(value) !== null).withMessage(`Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`).bail()
+            .customSanitizer(normalizeLocale),
+
+        body('urgency')
+            .optional({ values: 'falsy' })
+            .trim()
+            .toLowerCase()
+            .isIn(URGENCY_LEVELS).withMessage(`Priority must be one of: ${URGENCY_LEVELS.join(', ')}`),
+
+        // Additional attendees: [{ name, email, role }], errors are reported as e.g. attendees[1].email.
+        // No bail() below: on a wildcard it would stop checking every attendee after the first bad one.
+        body('attendees')
+            .optional({ values: 'falsy' })
+            .customSanitizer(parseJsonList)
+            .isArray().withMessage('Attendees must be a list of names and email addresses').bail()
+            .isArray({ max: MAX_ATTENDEES }).withMessage(`Please add at most ${MAX_ATTENDEES} attendees`).bail()
+            .custom(async (attendees, { req }) => {
+                const type = await chosenType(req);
+                if (type && type.maxAttendees && attendees.length + 1 > type.maxAttendees) {
+                    throw new Error(`${type.typeName} is for at most ${type.maxAttendees} people, including you`);
+                }
+                return true;
+            }),
+        body('attendees.*.name')
+            .trim()
+            .notEmpty().withMessage(REQUIRED_MESSAGE)
+            .isLength({ max: MAX_LENGTHS.userName }).withMessage(`Please use at most ${MAX_LENGTHS.userName} characters`),
+        body('attendees.*.email')
+            .trim()
+            .notEmpty().withMessage(REQUIRED_MESSAGE)
+            .isEmail().withMessage('Please enter a valid email address')
+            .custom((email, { req, path }) => {
+                const others = [
+                    req.body.userEmail,
+                    ...req.body.attendees.filter((attendee, index) => `attendees[${index}].email` !== path).map(attendee => attendee && attendee.email)
+                ];
+                return !others.some(other => sameEmail(other, email));
+            }).withMessage('This person is already on the request'),
+        body('attendees.*.role')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isLength({ max: MAX_LENGTHS.userPosition }).withMessage(`Please use at most ${MAX_LENGTHS.userPosition} characters`),
+
+        // Recurring series starting at preferredDate: { frequency, interval, count or until, excludedDates }
+        body('recurrence')
+            .optional({ values: 'falsy' })
+            .customSanitizer(parseJsonList)
+            .custom(isPlainObject).withMessage('Recurrence must give a frequency and when the series ends').bail()
+            .custom(recurrence => Boolean(recurrence.count) !== Boolean(recurrence.until))
+            .withMessage('Please end the series either on a date or after a number of meetings'),
+        body('recurrence.frequency')
+            .if(hasRecurrence)
+            .trim()
+            .toLowerCase()
+            .isIn(FREQUENCIES).withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+        body('recurrence.interval')
+            .if(hasRecurrence)
+            .optional({ values: 'falsy' })
+            .isInt({ min: 1, max: MAX_INTERVAL }).withMessage(`Interval must be a whole number from 1 to ${MAX_INTERVAL}`).bail()
+            .toInt(),
+        body('recurrence.count')
+            .if(hasRecurrence)
+            .optional({ values: 'falsy' })
+            .isInt({ min: 2, max: MAX_OCCURRENCES }).withMessage(`A series can have 2 to ${MAX_OCCURRENCES} meetings`).bail()
+            .toInt()
+            // The series is cut off after MAX_SERIES_DAYS, so the last meetings would never be held
+            .custom((count, { req }) => {
+                const seriesDates = requestedSeriesDates(req.body);
+                return !seriesDates || seriesDates.length === count;
+            })
+            .withMessage(SERIES_TOO_LONG_MESSAGE),
+        body('recurrence.until')
+            .if(hasRecurrence)
+            .optional({ values: 'falsy' })
+            .trim()
+            .matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format').bail()
+            .isISO8601({ strict: true }).withMessage('Please enter a valid date').bail()
+            .custom((value, { req }) => value > req.body.preferredDate).withMessage('The series must end after the first meeting').bail()
+            .custom((value, { req }) => value <= AvailabilityService.addDays(req.body.preferredDate, MAX_SERIES_DAYS))
+            .withMessage(SERIES_TOO_LONG_MESSAGE),
+        body('recurrence.excludedDates')
+            .if(hasRecurrence)
+            .customSanitizer(value => (Array.isArray(value) ? value : String(value || '').split(','))
+                .map(date => String(date).trim())
+                .filter(Boolean))
+            .custom((dates, { req }) => {
+                const seriesDates = requestedSeriesDates(req.body);
+                if (!seriesDates) return true;
+
+                const unknown = dates.filter(date => !seriesDates.includes(date));
+                if (unknown.length > 0) {
+                    throw new Error(`${unknown.join(', ')} ${unknown.length === 1 ? 'is' : 'are'} not a date of the series`);
+                }
+                if (dates.includes(req.body.preferredDate)) {
+                    throw new Error('The first meeting can\'t be skipped; choose a later start date instead');
+                }
+                return true;
+            }),
+        body('recurrence')
+            .if(hasRecurrence)
+            .custom((recurrence, { req }) => {
+                const seriesDates = requestedSeriesDates(req.body);
+                const excluded = new Set(recurrence.excludedDates);
+                return !seriesDates || seriesDates.filter(date => !excluded.has(date)).length >= 2;
+            })
+            .withMessage('A recurring meeting needs at least two dates')
+    ];
+}
+
+/**
+ * Validate a meeting request
+ * @param {Object} data Request fields as submitted
+ * @param {Object} options
+ * @param {Function} options.getSchedule Resolves to the parsed System_Config schedule
+ * @param {Function} [options.getMeetingTypes] Resolves to the parsed meeting types catalog; without it no type is required
+ * @returns {Promise<{missingFields: Array<string>, errors: Array<{field: string, message: string}>, values: Object}>}
+ *          errors has at most one entry per field, including the missing ones; values are the trimmed fields
+ */
+async function validateMeetingRequest(data, { getSchedule, getMeetingTypes = async () => [] }) {
+    // express-validator runs against a request; a plain object with a body works too
+    const req = { body: { ...data } };
+    for (const rule of meetingRequestRules(getSchedule, getMeetingTypes)) {
+        await rule.run(req);
+    }
+
+    const errors = validationResult(req)
+        .array({ onlyFirstError: true })
+        .map(error => ({ field: error.path, message: error.msg }));
+
+    return {
+        missingFields: errors.filter(error => error.message === REQUIRED_MESSAGE).map(error => error.field),
+        errors,
+        values: req.body
+    };
+}
+
+/**
+ * Build the validation chains for an entry of the meeting types catalog, as
+ * edited in the admin dashboard. Flags accept true/false as well as Yes/No.
+ * @returns {Array<import('express-validator').ValidationChain>}
+ */
+function meetingTypeRules() {
+    const flag = field => body(field)
+        .optional({ values: 'null' })
+        .isBoolean({ loose: true }).withMessage('Please answer yes or no');
+
+    return [
+        body('typeId')
+            .optional({ values: 'falsy' })
+            .trim()
+            .matches(TYPE_ID_PATTERN).withMessage('Use up to 20 letters, digits, dashes or underscores'),
+        body('typeName')
+            .trim()
+            .notEmpty().withMessage(REQUIRED_MESSAGE).bail()
+            .isLength({ max: 100 }).withMessage('Please use at most 100 characters'),
+        body('description')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isLength({ max: 500 }).withMessage('Please use at most 500 characters'),
+        body('defaultDuration')
+            .trim()
+            .notEmpty().withMessage(REQUIRED_MESSAGE).bail()
+            .isIn(ALLOWED_DURATIONS.map(String)).withMessage(`Duration must be one of: ${ALLOWED_DURATIONS.join(', ')} minutes`),
+        body('maxAttendees')
+            .optional({ values: 'falsy' })
+            .isInt({ min: 1, max: 100 }).withMessage('Please enter a whole number from 1 to 100'),
+        body('preparationTime')
+            .optional({ values: 'falsy' })
+            .isInt({ min: 0, max: 240 }).withMessage('Please enter 0 to 240 minutes'),
+        body('priorityLevel')
+            .optional({ values: 'falsy' })
+            .trim()
+            .toLowerCase()
+            .isIn(PRIORITY_LEVELS).withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`),
+        body('availableModes')
+            .customSanitizer(value => (Array.isArray(value) ? value : String(value || '').split(','))
+                .map(mode => String(mode).trim().toLowerCase())
+                .filter(Boolean))
+            .custom(modes => modes.length > 0).withMessage('Please allow at least one format').bail()
+            .custom(modes => modes.every(mode => MEETING_MODES.includes(mode)))
+            .withMessage(`Formats must be among: ${MEETING_MODES.join(', ')}`),
+        body('calendarColor')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isLength({ max: 30 }).withMessage('Please use at most 30 characters'),
+        flag('requiresApproval'),
+        flag('followUpRequired'),
+        flag('autoRecord'),
+        flag('sendMaterials'),
+        flag('active')
+    ];
+}
+
+/**
+ * Validate an entry of the meeting types catalog
+ * @param {Object} data Fields as submitted
+ * @returns {Promise<{errors: Array<{field: string, message: string}>, values: Object}>} values are the trimmed fields
+ */
+async function validateMeetingType(data) {
+    const req = { body: { ...data } };
+    for (const rule of meetingTypeRules()) {
+        await rule.run(req);
+    }
+
+    return {
+        errors: validationResult(req)
+            .array({ onlyFirstError: true })
+            .map(error => ({ field: error.path, message: error.msg })),
+        values: req.body
+    };
+}
+
+/**
+ * Validate a draft the requester wants emailed to them. The form state itself
+ * is only checked for its shape and size; it is validated when it is submitted.
+ * @param {Object} data Fields as submitted: userEmail, optional userName and language, and form
+ * @returns {Promise<{errors: Array<{field: string, message: string}>, values: Object}>} values are the trimmed fields
+ */
+async function validateDraft(data) {
+    const req = { body: { ...data } };
+    const rules = [
+        body('userEmail')
+            .trim()
+            .notEmpty().withMessage(REQUIRED_MESSAGE).bail()
+            .isLength({ max: MAX_LENGTHS.userEmail }).withMessage(`Please use at most ${MAX_LENGTHS.userEmail} characters`).bail()
+            .isEmail().withMessage('Please enter a valid email address'),
+        body('userName')
+            .optional({ values: 'falsy' })
+            .trim()
+            .isLength({ max: MAX_LENGTHS.userName }).withMessage(`Please use at most ${MAX_LENGTHS.userName} characters`),
+        body('language')
+            .optional({ values: 'falsy' })
+            .custom(value => normalizeLocale(value) !== null).withMessage(`Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`).bail()
+            .customSanitizer(normalizeLocale),
+        body('form')
+            .custom(isPlainObject).withMessage('The draft is missing').bail()
+            .custom(form => JSON.stringify(form).length <= MAX_DRAFT_LENGTH).withMessage('The draft is too large to save')
+    ];
+
+    for (const rule of rules) {
+        await rule.run(req);
+    }
+
+    return {
+        errors: validationResult(req)
+            .array({ onlyFirstError: true })
+            .map(error => ({ field: error.path, message: error.msg })),
+        values: req.body
+    };
+}
+
+module.exports = {
+    MEETING_TYPES,
+    URGENCY_LEVELS,
+    ALLOWED_DURATIONS,
+    MAX_LENGTHS,
+    validateMeetingRequest,
+    validateMeetingType,
+    validateDraft
+};
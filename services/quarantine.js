@@ -0,0 +1,106 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+require('dotenv').config();
+
+/**
+ * Meeting requests held back as likely spam or duplicates (see submissionGuard.js).
+ *
+ * They are kept apart from the meeting storage: the Google Sheets backend
+ * only gets new rows through n8n, and a quarantined request must not reach
+ * n8n until an admin releases it. Releasing sends it on like any new request;
+ * purging deletes it.
+ */
+class Quarantine {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] Quarantine file, defaults to QUARANTINE_FILE or data/quarantine.json
+     */
+    constructor({ filePath } = {}) {
+        this.store = new JsonFileStore(
+            filePath || process.env.QUARANTINE_FILE || path.join(__dirname, '..', 'data', 'quarantine.json'),
+            () => ({ entries: [] })
+        );
+    }
+
+    /**
+     * Hold back a request
+     * @param {Object} meeting The request as it would have been stored
+     * @param {Array<{code: string, message: string}>} reasons Why it looks suspicious
+     * @returns {Promise<Object>} The entry
+     */
+    async add(meeting, reasons) {
+        const entry = {
+            requestId: meeting.requestId,
+            quarantinedAt: new Date().toISOString(),
+            reasons,
+            meeting
+        };
+
+        await this.store.modify(data => {
+            data.entries.push(entry);
+        });
+        return entry;
+    }
+
+    /**
+     * Every quarantined request
+     * @returns {Promise<Array<Object>>} Newest first
+     */
+    async list() {
+        const data = await this.store.read();
+        return [...data.entries].reverse();
+    }
+
+    /**
+     * @param {string} requestId
+     * @returns {Promise<Object|null>}
+     */
+    async get(requestId) {
+        const data = await this.store.read();
+        return data.entries.find(entry => entry.requestId === requestId) || null;
+    }
+
+    /**
+     * Change fields of a quarantined request, e.g. when the requester edits it
+     * @param {string} requestId
+     * @param {Object} changes Field values to set on the request
+     * @returns {Promise<Object|null>} The updated entry, null when there was none
+     */
+    async update(requestId, changes) {
+        return this.store.modify(data => {
+            const entry = data.entries.find(item => item.requestId === requestId);
+            if (!entry) return null;
+            Object.assign(entry.meeting, changes);
+            return entry;
+        });
+    }
+
+    /**
+     * Take a request out of quarantine. Only one caller gets the entry, so
+     * whoever does can act on it (release it, say) without anyone else doing the same.
+     * @param {string} requestId
+     * @returns {Promise<Object|null>} The removed entry, null when there was none
+     */
+    async remove(requestId) {
+        return this.store.modify(data => {
+            const index = data.entries.findIndex(entry => entry.requestId === requestId);
+            if (index === -1) return null;
+            return data.entries.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Put back an entry taken out by remove, e.g. when releasing it failed
+     * @param {Object} entry As returned by remove
+     */
+    async restore(entry) {
+        await this.store.modify(data => {
+            if (data.entries.some(item => item.requestId === entry.requestId)) return;
+            data.entries.push(entry);
+            // list() is newest first by position, so keep the original order
+            data.entries.sort((a, b) => a.quarantinedAt.localeCompare(b.quarantinedAt));
+        });
+    }
+}
+
+module.exports = Quarantine;
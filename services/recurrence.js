@@ -0,0 +1,237 @@
+/**
+ * Recurring meeting requests: a series of meetings at the same wall-clock time
+ * in the organizer's zone, starting on the confirmed (or preferred) date.
+ *
+ * A series is stored as an RRULE value (RFC 5545 section 3.3.10) limited to
+ * FREQ, INTERVAL and COUNT or UNTIL, plus the dates the requester left out.
+ * `recurring` is Yes/No like the Recurring column of Calendar_Events.
+ *
+ * The series status applies to every occurrence unless the admin decided one
+ * occurrence on its own; those decisions are kept in occurrenceStatus as
+ * { "YYYY-MM-DD": "approved" | "rejected" }. Local storage keeps it as an
+ * object, the Meeting_Requests sheet as a JSON string.
+ */
+
+const { DEFAULT_LOCALE, translate, formatDate } = require('./locales');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Unit of each frequency, e.g. the weeks of "every 2 weeks"
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Decisions the admin can take on a single occurrence
+const OCCURRENCE_STATUSES = ['approved', 'rejected'];
+
+// Limits of one series: at most this many occurrences, ending within this many days
+const MAX_INTERVAL = 12;
+const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Add days or months to a YYYY-MM-DD date
+ * @param {string} dateKey
+ * @param {Object} amount
+ * @param {number} [amount.days]
+ * @param {number} [amount.months]
+ * @returns {string|null} null when the month doesn't have that day, e.g. February 30
+ */
+function shiftDate(dateKey, { days = 0, months = 0 }) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, day + days));
+    if (months && date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * YYYY-MM-DD dates from an array or a comma-separated string, sorted and without duplicates
+ * @param {Array<string>|string} value
+ * @returns {Array<string>}
+ */
+function parseDateList(value) {
+    const dates = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(dates.map(date => String(date).trim()).filter(date => DATE_PATTERN.test(date)))].sort();
+}
+
+/**
+ * RRULE value for a recurrence
+ * @param {Object} recurrence
+ * @param {string} recurrence.frequency daily, weekly or monthly
+ * @param {number} [recurrence.interval] Repeat every this many days, weeks or months
+ * @param {number} [recurrence.count] Number of occurrences, including excluded ones
+ * @param {string} [recurrence.until] Last possible date, YYYY-MM-DD; ignored when count is set
+ * @returns {string} e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=6
+ */
+function toRecurrenceRule({ frequency, interval, count, until }) {
+    const parts = [`FREQ=${frequency.toUpperCase()}`, `INTERVAL=${parseInt(interval, 10) || 1}`];
+    if (count) {
+        parts.push(`COUNT=${parseInt(count, 10)}`);
+    } else if (until) {
+        parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+    }
+    return parts.join(';');
+}
+
+/**
+ * Read an RRULE value written by toRecurrenceRule
+ * @param {string} rule
+ * @returns {{frequency: string, interval: number, count: number|null, until: string|null}|null} null when it isn't a supported rule
+ */
+function parseRecurrenceRule(rule) {
+    const parts = {};
+    String(rule || '').replace(/^RRULE:/i, '').split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (key && value) parts[key.trim().toUpperCase()] = value.trim();
+    });
+
+    const frequency = String(parts.FREQ || '').toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) return null;
+
+    const until = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL || '');
+    const count = parseInt(parts.COUNT, 10);
+    if (!until && !(count > 0)) return null;
+
+    return {
+        frequency,
+        interval: Math.max(parseInt(parts.INTERVAL, 10) || 1, 1),
+        count: count > 0 ? count : null,
+        until: until ? `${until[1]}-${until[2]}-${until[3]}` : null
+    };
+}
+
+/**
+ * Every date a recurrence produces from a start date, excluded dates included.
+ * Like RFC 5545, months without the start day (e.g. the 31st) are skipped and
+ * don't count towards the count.
+ * @param {string} startDate First occurrence, YYYY-MM-DD
+ * @param {Object} recurrence See parseRecurrenceRule
+ * @returns {Array<string>} At most MAX_OCCURRENCES dates, none later than MAX_SERIES_DAYS after the start
+ */
+function listSeriesDates(startDate, { frequency, interval, count, until }) {
+    if (!DATE_PATTERN.test(String(startDate || ''))) return [];
+
+    const step = Math.max(parseInt(interval, 10) || 1, 1);
+    const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const lastDate = [until, shiftDate(startDate, { days: MAX_SERIES_DAYS })].filter(Boolean).sort()[0];
+    const dates = [];
+
+    for (let index = 0; dates.length < limit; index++) {
+        const date = frequency === 'monthly'
+            ? shiftDate(startDate, { months: index * step })
+            : shiftDate(startDate, { days: index * step * (frequency === 'weekly' ? 7 : 1) });
+
+        if (date === null) continue;
+        if (date > lastDate) break;
+        dates.push(date);
+    }
+
+    return dates;
+}
+
+/**
+ * Whether a meeting is a recurring series
+ * @param {Object} meeting
+ * @returns {boolean}
+ */
+function isRecurring(meeting) {
+    return Boolean(meeting && parseRecurrenceRule(meeting.recurrenceRule));
+}
+
+/**
+ * Per-occurrence decisions of a meeting
+ * @param {Object|string} value The meeting's occurrenceStatus field
+ * @returns {Object<string, string>} approved or rejected by YYYY-MM-DD date
+ */
+function parseOccurrenceStatus(value) {
+    let decisions = value;
+    if (typeof value === 'string') {
+        try {
+            decisions = JSON.parse(value || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    if (!decisions || typeof decisions !== 'object' || Array.isArray(decisions)) return {};
+
+    return Object.keys(decisions).reduce((result, date) => {
+        const status = String(decisions[date] || '').toLowerCase();
+        if (DATE_PATTERN.test(date) && OCCURRENCE_STATUSES.includes(status)) result[date] = status;
+        return result;
+    }, {});
+}
+
+/**
+ * Dates a recurring meeting takes place on, without the excluded ones.
+ * Follows the series when it is moved: the first occurrence is the confirmed date.
+ * @param {Object} meeting
+ * @returns {Array<string>} Empty for meetings that don't recur
+ */
+function getOccurrenceDates(meeting) {
+    const recurrence = meeting && parseRecurrenceRule(meeting.recurrenceRule);
+    if (!recurrence) return [];
+
+    const excluded = new Set(parseDateList(meeting.excludedDates));
+    return listSeriesDates(meeting.confirmedDate || meeting.preferredDate, recurrence)
+        .filter(date => !excluded.has(date));
+}
+
+/**
+ * Occurrences of a recurring meeting with their own status: the admin's
+ * decision on that occurrence, or else the status of the series
+ * @param {Object} meeting
+ * @returns {Array<{date: string, status: string, decided: boolean}>}
+ */
+function getOccurrences(meeting) {
+    const decisions = parseOccurrenceStatus(meeting && meeting.occurrenceStatus);
+    const seriesStatus = String(meeting && meeting.status || 'pending').toLowerCase();
+
+    return getOccurrenceDates(meeting).map(date => ({
+        date,
+        status: decisions[date] || seriesStatus,
+        decided: Boolean(decisions[date])
+    }));
+}
+
+/**
+ * Human-readable recurrence, e.g. "Every 2 weeks, 6 times" or "Monthly, until Dec 31, 2026",
+ * worded like the booking form's summary
+ * @param {Object} meeting
+ * @param {string} [locale] Language of the text, e.g. the requester's
+ * @returns {string} Empty for meetings that don't recur
+ */
+function describeRecurrence(meeting, locale = DEFAULT_LOCALE) {
+    const recurrence = meeting && parseRecurrenceRule(meeting.recurrenceRule);
+    if (!recurrence) return '';
+
+    const every = recurrence.interval > 1
+        ? translate(locale, `recurrence.summary.every.${FREQUENCY_UNITS[recurrence.frequency]}`, { interval: recurrence.interval })
+        : translate(locale, `recurrence.frequencies.${recurrence.frequency}`);
+    const end = recurrence.count
+        ? translate(locale, 'recurrence.summary.count', { count: recurrence.count })
+        : translate(locale, 'recurrence.summary.until', { date: formatDate(recurrence.until, locale) });
+    const summary = translate(locale, 'recurrence.summary.pattern', { every, end });
+    const excluded = parseDateList(meeting.excludedDates);
+
+    return excluded.length > 0
+        ? translate(locale, 'recurrence.summary.except', { summary, dates: excluded.map(date => formatDate(date, locale)).join(', ') })
+        : summary;
+}
+
+module.exports = {
+    FREQUENCIES,
+    OCCURRENCE_STATUSES,
+    MAX_INTERVAL,
+    MAX_OCCURRENCES,
+    MAX_SERIES_DAYS,
+    parseDateList,
+    toRecurrenceRule,
+    parseRecurrenceRule,
+    listSeriesDates,
+    isRecurring,
+    parseOccurrenceStatus,
+    getOccurrenceDates,
+    getOccurrences,
+    describeRecurrence
+};
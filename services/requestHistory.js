@@ -0,0 +1,83 @@
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+require('dotenv').config();
+
+/**
+ * Change history per meeting request.
+ *
+ * Entries are kept in a JSON file next to the outbox rather than in the
+ * sheet, so every storage backend gets the same history. Each entry records
+ * who made the change (requester, admin or n8n), the event name and, for
+ * edits, the old and new value of every changed field.
+ */
+class RequestHistory {
+    /**
+     * @param {string} [filePath] History file, defaults to REQUEST_HISTORY_FILE or data/request-history.json
+     */
+    constructor(filePath) {
+        this.store = new JsonFileStore(
+            filePath || process.env.REQUEST_HISTORY_FILE || path.join(__dirname, '..', 'data', 'request-history.json'),
+            () => ({ requests: {} })
+        );
+    }
+
+    /**
+     * Append an entry to a request's history
+     * @param {string} requestId Request ID
+     * @param {string} event Event name, e.g. "submitted" or "request_modified"
+     * @param {Object} [details]
+     * @param {string} [details.actor] requester, admin or n8n
+     * @param {Object} [details.changes] Changed fields as { field: { from, to } }
+     * @param {string} [details.note] Free text, e.g. the cancellation reason
+     * @returns {Promise<Object>} The stored entry
+     */
+    async record(requestId, event, { actor = 'system', changes, note } = {}) {
+        const entry = {
+            at: new Date().toISOString(),
+            event,
+            actor,
+            ...(changes && Object.keys(changes).length > 0 ? { changes } : {}),
+            ...(note ? { note } : {})
+        };
+
+        await this.store.modify(data => {
+            data.requests[requestId] = data.requests[requestId] || [];
+            data.requests[requestId].push(entry);
+        });
+
+        return entry;
+    }
+
+    /**
+     * History of one request, oldest first
+     * @param {string} requestId Request ID
+     * @returns {Promise<Array<Object>>}
+     */
+    async get(requestId) {
+        const data = await this.store.read();
+        return data.requests[requestId] || [];
+    }
+}
+
+/**
+ * Diff two versions of a meeting
+ * @param {Object} before Current values
+ * @param {Object} after Requested values
+ * @param {Array<string>} fields Fields to compare
+ * @returns {Object} Changed fields as { field: { from, to } }
+ */
+function diffFields(before, after, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        const from = before[field] === undefined || before[field] === null ? '' : String(before[field]);
+        const to = after[field] === undefined || after[field] === null ? '' : String(after[field]);
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    });
+    return changes;
+}
+
+RequestHistory.diffFields = diffFields;
+
+module.exports = RequestHistory;
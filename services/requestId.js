@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * Meeting request IDs and reference numbers.
+ *
+ * The server is the only place that creates request IDs. The n8n workflow
+ * keeps the ID it receives, so the sheet, the emails and the dashboard all
+ * show the same one. IDs look like "req_m1abc2de_7K3QX9MZ4P": a base36
+ * timestamp (keeps them roughly sortable) and 10 random Crockford base32
+ * characters (50 bits). The random part, upper-cased, is the reference
+ * number users quote; the workflow derives it with
+ * requestId.split('_').pop().toUpperCase().
+ */
+
+// Crockford base32: no I, L, O or U, so references are easy to read out
+const REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const REFERENCE_LENGTH = 10;
+
+/**
+ * Create a new collision-resistant request ID
+ * @returns {string} e.g. "req_m1abc2de_7K3QX9MZ4P"
+ */
+function generateRequestId() {
+    let reference = '';
+    for (let i = 0; i < REFERENCE_LENGTH; i++) {
+        reference += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+    }
+    return `req_${Date.now().toString(36)}_${reference}`;
+}
+
+/**
+ * Reference number shown to users for a request ID
+ * Older IDs ("req_<timestamp>_<random>" or "<timestamp>_<random>") use the same rule
+ * @param {string} requestId Request ID
+ * @returns {string} Upper-cased last segment of the ID
+ */
+function getReferenceNumber(requestId) {
+    return String(requestId || '').split('_').pop().toUpperCase();
+}
+
+module.exports = { generateRequestId, getReferenceNumber };
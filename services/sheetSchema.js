@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_LOCALES } = require('./locales');
+require('dotenv').config();
+
+/**
+ * Column schema for the Meeting_Requests sheet.
+ *
+ * Each column maps a sheet header to a meeting field and declares the type of
+ * its values. Headers are matched exactly first, then by alias, then ignoring
+ * case, spaces and underscores (so a "userEmail" header still maps to
+ * User_Email). Optional columns are not reported when they are missing.
+ *
+ * Set SHEET_SCHEMA_FILE to a JSON file to override columns by field or add
+ * new ones, e.g. { "userEmail": { "header": "Email" } }.
+ */
+const DEFAULT_COLUMNS = [
+    { field: 'requestId', header: 'Request_ID', type: 'string' },
+    { field: 'timestamp', header: 'Timestamp', type: 'datetime' },
+    { field: 'userName', header: 'User_Name', type: 'string' },
+    { field: 'userEmail', header: 'User_Email', type: 'email' },
+    { field: 'userPhone', header: 'User_Phone', type: 'string' },
+    { field: 'userCompany', header: 'User_Company', type: 'string' },
+    { field: 'meetingType', header: 'Meeting_Type', type: 'enum', values: ['online', 'offline', 'hybrid'] },
+    { field: 'meetingPurpose', header: 'Meeting_Purpose', type: 'string' },
+    { field: 'preferredDate', header: 'Preferred_Date', type: 'date' },
+    { field: 'preferredTime', header: 'Preferred_Time', type: 'time' },
+    { field: 'estimatedDuration', header: 'Duration_Minutes', type: 'number' },
+    { field: 'meetingDescription', header: 'Meeting_Details', type: 'string' },
+    { field: 'status', header: 'Status', type: 'enum', values: ['Pending', 'Approved', 'Rejected', 'Rescheduled', 'Cancelled', 'Declined', 'Countered', 'Expired'], default: 'Pending' },
+    { field: 'adminNotes', header: 'Admin_Response', type: 'string', aliases: ['adminEmail'] },
+    { field: 'confirmedDate', header: 'Confirmed_Date', type: 'date' },
+    { field: 'confirmedTime', header: 'Confirmed_Time', type: 'time' },
+    { field: 'calendarEventId', header: 'Calendar_Event_ID', type: 'string' },
+    { field: 'createdDate', header: 'Created_Date', type: 'datetime' },
+    { field: 'lastUpdated', header: 'Last_Updated', type: 'string' },
+    { field: 'urgency', header: 'Priority', type: 'enum', values: ['low', 'medium', 'normal', 'high', 'urgent'], default: 'medium' },
+    { field: 'location', header: 'Location', type: 'string' },
+    { field: 'meetingLink', header: 'Meeting_Link', type: 'string' },
+    { field: 'reminderSent', header: 'Reminder_Sent', type: 'enum', values: ['Yes', 'No', 'Pending'] },
+    { field: 'followUpRequired', header: 'Follow_Up_Required', type: 'enum', values: ['Yes', 'No'] },
+    { field: 'notesShared', header: 'Notes_Shared', type: 'enum', values: ['Yes', 'No'], optional: true },
+
+    // Extra fields some older workflow versions append
+    { field: 'userPosition', header: 'userPosition', type: 'string', optional: true },
+    { field: 'additionalNotes', header: 'additionalNotes', type: 'string', optional: true },
+
+    // UTC start/end of the requested or confirmed time and the requester's IANA zone.
+    // The workflow auto-maps its output onto the sheet, so the headers match the field names.
+    { field: 'proposedStartTime', header: 'proposedStartTime', type: 'datetime', optional: true },
+    { field: 'proposedEndTime', header: 'proposedEndTime', type: 'datetime', optional: true },
+    { field: 'requesterTimeZone', header: 'requesterTimeZone', type: 'string', optional: true },
+
+    // Version of the meeting's iCalendar event, bumped when it is moved or cancelled
+    { field: 'calendarSequence', header: 'calendarSequence', type: 'number', optional: true },
+
+    // Deadline for the requester to answer a reschedule proposal
+    { field: 'proposalExpiresAt', header: 'proposalExpiresAt', type: 'datetime', optional: true },
+
+    // Metadata of the attached files as JSON; the files are in the attachment storage
+    { field: 'attachments', header: 'attachments', type: 'string', optional: true },
+
+    // Additional attendees as JSON: [{ name, email, role }]
+    { field: 'attendees', header: 'attendees', type: 'string', optional: true },
+
+    // Recurring series: Yes/No like the Recurring column of Calendar_Events, the RRULE value,
+    // skipped dates (comma-separated), the zone it repeats in and decisions on single occurrences as JSON
+    { field: 'recurring', header: 'recurring', type: 'enum', values: ['Yes', 'No'], optional: true },
+    { field: 'recurrenceRule', header: 'recurrenceRule', type: 'string', optional: true },
+    { field: 'excludedDates', header: 'excludedDates', type: 'string', optional: true },
+    { field: 'recurrenceTimeZone', header: 'recurrenceTimeZone', type: 'string', optional: true },
+    { field: 'occurrenceStatus', header: 'occurrenceStatus', type: 'string', optional: true },
+
+    // Type_ID of the request's entry in the Meeting_Types catalog
+    { field: 'meetingTypeId', header: 'meetingTypeId', type: 'string', optional: true },
+
+    // Locale code of the requester's emails (see locales.js)
+    { field: 'language', header: 'language', type: 'enum', values: SUPPORTED_LOCALES, optional: true }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const US_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?(\s?[AP]M)?$/i;
+
+// Maximum number of row numbers and sample values kept per mistyped column
+const MAX_REPORTED_ROWS = 5;
+const MAX_REPORTED_SAMPLES = 3;
+
+/**
+ * Type parsers. Each returns { valid, value } where value is the normalised
+ * value when valid and the raw cell text otherwise.
+ */
+const TYPES = {
+    string: value => ({ valid: true, value }),
+    email: value => ({ valid: EMAIL_PATTERN.test(value), value }),
+    number: value => {
+        const number = Number(value);
+        return Number.isFinite(number) ? { valid: true, value: number } : { valid: false, value };
+    },
+    date: value => {
+        if (ISO_DATE_PATTERN.test(value)) {
+            return { valid: !isNaN(Date.parse(value)), value };
+        }
+
+        // Sheets exports dates in the spreadsheet locale, e.g. 9/2/2025
+        const match = value.match(US_DATE_PATTERN);
+        if (match) {
+            const [, month, day, year] = match;
+            return { valid: true, value: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` };
+        }
+
+        return { valid: false, value };
+    },
+    datetime: value => ({ valid: !isNaN(Date.parse(value)), value }),
+    time: value => ({ valid: TIME_PATTERN.test(value), value }),
+    enum: (value, column) => {
+        const match = column.values.find(allowed => allowed.toLowerCase() === value.toLowerCase());
+        return match ? { valid: true, value: match } : { valid: false, value };
+    }
+};
+
+/**
+ * Compare headers ignoring case, spaces and underscores
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[\s_]/g, '');
+}
+
+class SheetSchema {
+    /**
+     * @param {Array<Object>} columns Column definitions, see DEFAULT_COLUMNS
+     */
+    constructor(columns = DEFAULT_COLUMNS) {
+        columns.forEach(column => {
+            if (!TYPES[column.type]) {
+                throw new Error(`Unknown type "${column.type}" for column ${column.field}`);
+            }
+            if (column.type === 'enum' && (!Array.isArray(column.values) || column.values.length === 0)) {
+                throw new Error(`Enum column ${column.field} needs a list of values`);
+            }
+        });
+
+        this.columns = columns;
+        this.columnsByField = new Map(columns.map(column => [column.field, column]));
+    }
+
+    /**
+     * Build the schema from the defaults plus the overrides in SHEET_SCHEMA_FILE
+     * @param {string} [filePath] Path to a JSON file of overrides keyed by field
+     * @returns {SheetSchema}
+     */
+    static load(filePath = process.env.SHEET_SCHEMA_FILE) {
+        if (!filePath) {
+            return new SheetSchema();
+        }
+
+        try {
+            const overrides = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+            const columns = DEFAULT_COLUMNS.map(column => ({ ...column, ...(overrides[column.field] || {}) }));
+
+            Object.entries(overrides).forEach(([field, column]) => {
+                if (!columns.some(existing => existing.field === field)) {
+                    columns.push({ type: 'string', header: field, ...column, field });
+                }
+            });
+
+            console.log(`✅ Loaded sheet schema overrides from ${filePath}`);
+            return new SheetSchema(columns);
+        } catch (error) {
+            console.error(`❌ Failed to load sheet schema from ${filePath}:`, error.message);
+            console.log('🔄 Using the default sheet schema');
+            return new SheetSchema();
+        }
+    }
+
+    /**
+     * Sheet header configured for a meeting field
+     * @param {string} field Meeting field, e.g. "status"
+     * @returns {string|undefined}
+     */
+    headerFor(field) {
+        const column = this.columnsByField.get(field);
+        return column && column.header;
+    }
+
+    /**
+     * Match the sheet's header row against the schema
+     * @param {Array<string>} headers Header row of the sheet
+     * @returns {{fields: Map<string, {column: Object, index: number, header: string}>, unknown: Array<{header: string, index: number}>, missing: Array<Object>, renamed: Array<Object>}}
+     */
+    resolveHeaders(headers) {
+        const fields = new Map();
+        const claimed = new Set();
+
+        const claim = (column, index) => {
+            fields.set(column.field, { column, index, header: headers[index] });
+            claimed.add(index);
+        };
+
+        const findHeader = predicate => headers.findIndex((header, index) => !claimed.has(index) && predicate(header));
+
+        // Exact header names first, so a loose match can't steal a column
+        this.columns.forEach(column => {
+            const index = findHeader(header => header === column.header);
+            if (index !== -1) claim(column, index);
+        });
+
+        // Then aliases and headers that only differ in case, spaces or underscores
+        this.columns.forEach(column => {
+            if (fields.has(column.field)) return;
+
+            const candidates = [column.header, ...(column.aliases || [])].map(normalizeHeader);
+            const index = findHeader(header => candidates.includes(normalizeHeader(header)));
+            if (index !== -1) claim(column, index);
+        });
+
+        const unknown = headers
+            .map((header, index) => ({ header, index }))
+            .filter(({ header, index }) => !claimed.has(index) && String(header).trim() !== '');
+
+        const missing = this.columns.filter(column => !column.optional && !fields.has(column.field));
+
+        const renamed = [...fields.values()]
+            .filter(({ column, header }) => header !== column.header)
+            .map(({ column, header }) => ({ field: column.field, expected: column.header, actual: header }));
+
+        return { fields, unknown, missing, renamed };
+    }
+
+    /**
+     * Parse a single cell according to its column type
+     * @param {Object} column Column definition
+     * @param {string} rawValue Cell text
+     * @returns {{valid: boolean, value: *}}
+     */
+    parseValue(column, rawValue) {
+        const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+
+        if (value === '') {
+            return { valid: true, value: column.default !== undefined ? column.default : '' };
+        }
+
+        return TYPES[column.type](value, column);
+    }
+
+    /**
+     * Format a value for writing back to the sheet, e.g. "approved" -> "Approved"
+     * @param {string} field Meeting field
+     * @param {*} value Value to write
+     * @returns {string}
+     */
+    formatValue(field, value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        // Lists and maps (attendees, occurrence decisions) are kept as JSON
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+
+        const column = this.columnsByField.get(field);
+        if (column && column.type === 'enum') {
+            const parsed = this.parseValue(column, value);
+            if (parsed.valid) return String(parsed.value);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Convert sheet rows into meeting objects and report header drift
+     * Cells in unknown columns are kept under meeting.extraFields, keyed by header.
+     * @param {Array<string>} headers Header row of the sheet
+     * @param {Array<Array<string>>} rows Data rows
+     * @param {Object} [context]
+     * @param {string} [context.sheetName] Tab name, included in the report
+     * @returns {{meetings: Array<Object>, report: Object}}
+     */
+    mapRows(headers, rows, { sheetName } = {}) {
+        const { fields, unknown, missing, renamed } = this.resolveHeaders(headers);
+        const mistyped = new Map();
+
+        const meetings = rows.map((row, index) => {
+            const meeting = {};
+            const rowNumber = index + 2; // +1 for the header row, +1 because sheet rows start at 1
+
+            fields.forEach(({ column, index: colIndex }) => {
+                const parsed = this.parseValue(column, row[colIndex]);
+                meeting[column.field] = parsed.value;
+
+                if (!parsed.valid) {
+                    if (!mistyped.has(column.field)) {
+                        mistyped.set(column.field, {
+                            field: column.field,
+                            header: headers[colIndex],
+                            type: column.type,
+                            ...(column.values ? { allowed: column.values } : {}),
+                            count: 0,
+                            rows: [],
+                            samples: []
+                        });
+                    }
+
+                    const entry = mistyped.get(column.field);
+                    entry.count++;
+                    if (entry.rows.length < MAX_REPORTED_ROWS) entry.rows.push(rowNumber);
+                    if (entry.samples.length < MAX_REPORTED_SAMPLES && !entry.samples.includes(parsed.value)) {
+                        entry.samples.push(parsed.value);
+                    }
+                }
+            });
+
+            unknown.forEach(({ header, index: colIndex }) => {
+                const value = row[colIndex];
+                if (value !== undefined && value !== '') {
+                    meeting.extraFields = meeting.extraFields || {};
+                    meeting.extraFields[header] = value;
+                }
+            });
+
+            return meeting;
+        });
+
+        const report = {
+            sheetName: sheetName || null,
+            rowCount: rows.length,
+            missing: missing.map(column => ({ field: column.field, header: column.header })),
+            unknown: unknown.map(({ header }) => header),
+            renamed,
+            mistyped: [...mistyped.values()]
+        };
+        report.ok = report.missing.length === 0 && report.unknown.length === 0 && report.mistyped.length === 0;
+
+        return { meetings, report };
+    }
+}
+
+SheetSchema.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+
+module.exports = SheetSchema;
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Per-request tokens for the links sent to requesters.
+ *
+ * A token is an HMAC of the request ID, so nothing has to be stored: the
+ * server can recompute it for any request, while someone who only knows a
+ * request ID (or reference number) can't derive it. Changing the secret
+ * invalidates every link that was sent out.
+ *
+ * Status tokens (read-only) never expire. Manage tokens allow cancelling or
+ * editing a request, so they carry their expiry time and the HMAC covers it:
+ * "<expiry in unix seconds>.<signature>". Proposal tokens answer one reschedule
+ * proposal and work the same way, with the proposal's response deadline as expiry.
+ * Draft tokens open a saved booking form and expire with the draft.
+ *
+ * The admin calendar feed token is not tied to a request: calendar clients
+ * can't log in, so the subscription URL itself carries it.
+ *
+ * Without a configured secret, loadOrCreateSecret generates one and keeps it
+ * in a file, so links still can't be forged and keep working after a restart.
+ */
+
+/**
+ * Create the status token for a request
+ * @param {string} requestId Request ID
+ * @param {string} secret Server secret (STATUS_TOKEN_SECRET)
+ * @returns {string} URL-safe token
+ */
+function createStatusToken(requestId, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`meeting-status:${requestId}`)
+        .digest('base64url')
+        .substring(0, 32);
+}
+
+/**
+ * Check a status token in constant time
+ * @param {string} requestId Request ID
+ * @param {string} token Token from the status link
+ * @param {string} secret Server secret
+ * @returns {boolean}
+ */
+function verifyStatusToken(requestId, token, secret) {
+    if (!requestId || !token) {
+        return false;
+    }
+
+    const expected = Buffer.from(createStatusToken(requestId, secret));
+    const received = Buffer.from(String(token));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Create a manage (cancel/modify) token for a request
+ * @param {string} requestId Request ID
+ * @param {string} secret Server secret (STATUS_TOKEN_SECRET)
+ * @param {Date} expiresAt When the link stops working
+ * @returns {string} URL-safe token
+ */
+function createManageToken(requestId, secret, expiresAt) {
+    return createExpiringToken('meeting-manage', requestId, secret, expiresAt);
+}
+
+/**
+ * Check a manage token
+ * @param {string} requestId Request ID
+ * @param {string} token Token from the manage link
+ * @param {string} secret Server secret
+ * @returns {{valid: boolean, reason?: string, expiresAt?: Date}} reason is "invalid" or "expired"
+ */
+function verifyManageToken(requestId, token, secret) {
+    return verifyExpiringToken('meeting-manage', requestId, token, secret);
+}
+
+/**
+ * Create the token for answering a reschedule proposal
+ * @param {string} requestId Request ID
+ * @param {string} secret Server secret (STATUS_TOKEN_SECRET)
+ * @param {Date} expiresAt Response deadline of the proposal
+ * @returns {string} URL-safe token
+ */
+function createProposalToken(requestId, secret, expiresAt) {
+    return createExpiringToken('meeting-proposal', requestId, secret, expiresAt);
+}
+
+/**
+ * Check a proposal token
+ * @param {string} requestId Request ID
+ * @param {string} token Token from the proposal link
+ * @param {string} secret Server secret
+ * @returns {{valid: boolean, reason?: string, expiresAt?: Date}} reason is "invalid" or "expired"
+ */
+function verifyProposalToken(requestId, token, secret) {
+    return verifyExpiringToken('meeting-proposal', requestId, token, secret);
+}
+
+/**
+ * Create the token for the link to a saved booking form
+ * @param {string} draftId Draft ID
+ * @param {string} secret Server secret (STATUS_TOKEN_SECRET)
+ * @param {Date} expiresAt When the draft expires
+ * @returns {string} URL-safe token
+ */
+function createDraftToken(draftId, secret, expiresAt) {
+    return createExpiringToken('meeting-draft', draftId, secret, expiresAt);
+}
+
+/**
+ * Check a draft token
+ * @param {string} draftId Draft ID
+ * @param {string} token Token from the draft link
+ * @param {string} secret Server secret
+ * @returns {{valid: boolean, reason?: string, expiresAt?: Date}} reason is "invalid" or "expired"
+ */
+function verifyDraftToken(draftId, token, secret) {
+    return verifyExpiringToken('meeting-draft', draftId, token, secret);
+}
+
+function createExpiringToken(purpose, requestId, secret, expiresAt) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return `${expires}.${signExpiringToken(purpose, requestId, expires, secret)}`;
+}
+
+function verifyExpiringToken(purpose, requestId, token, secret) {
+    const [expiresPart, signature] = String(token || '').split('.');
+    const expires = parseInt(expiresPart, 10);
+
+    if (!requestId || !signature || !/^\d+$/.test(expiresPart)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const expected = Buffer.from(signExpiringToken(purpose, requestId, expires, secret));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const expiresAt = new Date(expires * 1000);
+    if (expiresAt.getTime() <= Date.now()) {
+        return { valid: false, reason: 'expired', expiresAt };
+    }
+
+    return { valid: true, expiresAt };
+}
+
+function signExpiringToken(purpose, requestId, expires, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${purpose}:${requestId}:${expires}`)
+        .digest('base64url')
+        .substring(0, 32);
+}
+
+/**
+ * Create the token for the admin calendar feed URL
+ * @param {string} secret Server secret (CALENDAR_FEED_SECRET)
+ * @returns {string} URL-safe token
+ */
+function createFeedToken(secret) {
+    return crypto.createHmac('sha256', secret)
+        .update('meeting-calendar-feed')
+        .digest('base64url')
+        .substring(0, 32);
+}
+
+/**
+ * Check a calendar feed token in constant time
+ * @param {string} token Token from the feed URL
+ * @param {string} secret Server secret
+ * @returns {boolean}
+ */
+function verifyFeedToken(token, secret) {
+    if (!token) {
+        return false;
+    }
+
+    const expected = Buffer.from(createFeedToken(secret));
+    const received = Buffer.from(String(token));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Read a generated secret from its file, creating the file with a random secret first
+ * @param {string} filePath
+ * @returns {string}
+ */
+function loadOrCreateSecret(filePath) {
+    const read = () => {
+        const secret = fs.readFileSync(filePath, 'utf8').trim();
+        if (!secret) {
+            throw new Error(`Secret file ${filePath} is empty`);
+        }
+        return secret;
+    };
+
+    try {
+        return read();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+        // wx: another process that got here first wins, and both use its secret
+        fs.writeFileSync(filePath, secret, { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        return read();
+    }
+
+    console.log(`🔑 Generated a token secret in ${filePath}`);
+    return secret;
+}
+
+module.exports = {
+    createStatusToken,
+    verifyStatusToken,
+    createManageToken,
+    verifyManageToken,
+    createProposalToken,
+    verifyProposalToken,
+    createDraftToken,
+    verifyDraftToken,
+    createFeedToken,
+    verifyFeedToken,
+    loadOrCreateSecret
+};
@@ -0,0 +1,47 @@
+const GoogleSheetsService = require('./googleSheetsService');
+const LocalFileStorageService = require('./localFileStorageService');
+const LocalAttachmentStorage = require('./localAttachmentStorage');
+require('dotenv').config();
+
+const backends = {
+    google_sheets: () => new GoogleSheetsService(),
+    local: () => new LocalFileStorageService()
+};
+
+/**
+ * Create the meeting storage backend selected by STORAGE_BACKEND
+ * @returns {import('./meetingStorage')} The storage backend instance
+ */
+function createMeetingStorage() {
+    const backendName = (process.env.STORAGE_BACKEND || 'google_sheets').toLowerCase();
+    const createBackend = backends[backendName];
+
+    if (!createBackend) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Must be one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    console.log(`🗄️ Using ${backendName} storage backend`);
+    return createBackend();
+}
+
+const attachmentDrivers = {
+    local: () => new LocalAttachmentStorage()
+};
+
+/**
+ * Create the attachment storage driver selected by ATTACHMENT_STORAGE
+ * @returns {import('./attachmentStorage')} The storage driver instance
+ */
+function createAttachmentStorage() {
+    const driverName = (process.env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+    const createDriver = attachmentDrivers[driverName];
+
+    if (!createDriver) {
+        throw new Error(`Unknown ATTACHMENT_STORAGE "${driverName}". Must be one of: ${Object.keys(attachmentDrivers).join(', ')}`);
+    }
+
+    console.log(`📎 Using ${driverName} attachment storage`);
+    return createDriver();
+}
+
+module.exports = { createMeetingStorage, createAttachmentStorage };
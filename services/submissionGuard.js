@@ -0,0 +1,227 @@
+require('dotenv').config();
+
+/**
+ * Spam and double-submit checks for new meeting requests.
+ *
+ * Throttles cap how many requests one email address or phone number can send
+ * within a window; going over is refused outright. The other checks only make
+ * a request suspicious, and suspicious requests are quarantined for an admin
+ * to release or purge (see quarantine.js):
+ * - the honeypot field, hidden from people but filled in by form bots
+ * - the form being sent faster than a person can fill it in
+ * - a near-duplicate: the same requester asking for about the same slot again
+ *
+ * Draft links are throttled per email address as well: saving a draft emails
+ * whatever address it names, and needs no login.
+ *
+ * Recent submissions are kept in memory, so a double submit is caught before
+ * the first request shows up in the sheet. Stored meetings are checked for
+ * duplicates too, so a restart doesn't let them through.
+ */
+
+// Hidden field of the booking form that people never see, so never fill in
+const HONEYPOT_FIELD = 'website';
+
+// When the booking form was opened, as a Unix time in milliseconds (set by the form)
+const STARTED_AT_FIELD = 'formStartedAt';
+
+// Requests for the same requester and slot in these statuses are still live
+const LIVE_STATUSES = ['pending', 'approved', 'rescheduled'];
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+// Digits only, so "+1 (555) 123-4567" and "15551234567" match
+const normalizePhone = phone => String(phone || '').replace(/\D/g, '');
+
+const toMinutes = time => {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return Number.isInteger(hours) && Number.isInteger(minutes) ? hours * 60 + minutes : null;
+};
+
+class SubmissionGuard {
+    /**
+     * @param {Object} [options] Defaults come from the environment, see README
+     * @param {number} [options.limitPerEmail] Requests per email address within limitWindowMs
+     * @param {number} [options.limitPerPhone] Requests per phone number within limitWindowMs
+     * @param {number} [options.limitWindowMs]
+     * @param {number} [options.duplicateWindowMs] How long after a request the same slot counts as a duplicate
+     * @param {number} [options.duplicateSlotMinutes] Start times closer than this count as the same slot
+     * @param {number} [options.minFillMs] Fastest a person can fill in the form
+     * @param {number} [options.draftLinkLimit] Draft links emailed to one address within limitWindowMs
+     */
+    constructor(options = {}) {
+        this.limitPerEmail = options.limitPerEmail || parseInt(process.env.SUBMISSION_LIMIT_PER_EMAIL) || 5;
+        this.limitPerPhone = options.limitPerPhone || parseInt(process.env.SUBMISSION_LIMIT_PER_PHONE) || 5;
+        this.limitWindowMs = options.limitWindowMs || (parseInt(process.env.SUBMISSION_LIMIT_WINDOW_MINUTES) || 60) * 60 * 1000;
+        this.duplicateWindowMs = options.duplicateWindowMs || (parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+        this.duplicateSlotMinutes = options.duplicateSlotMinutes || parseInt(process.env.DUPLICATE_SLOT_MINUTES) || 60;
+        // 0 is a valid setting (turns the timing check off), so it can't fall back like the others
+        const minFillSeconds = parseInt(process.env.MIN_FORM_FILL_SECONDS, 10);
+        this.minFillMs = options.minFillMs !== undefined
+            ? options.minFillMs
+            : (Number.isNaN(minFillSeconds) ? 3 : minFillSeconds) * 1000;
+        this.draftLinkLimit = options.draftLinkLimit || parseInt(process.env.DRAFT_LINK_LIMIT_PER_EMAIL) || 3;
+        this.recent = [];
+        this.draftLinks = [];
+    }
+
+    /**
+     * Whether the requester has sent too many requests lately
+     * @param {Object} submission Validated request fields
+     * @param {number} [now]
+     * @returns {{limited: boolean, field?: string, retryAfterSeconds?: number}} field is userEmail or userPhone
+     */
+    checkThrottle({ userEmail, userPhone }, now = Date.now()) {
+        this.prune(now);
+        const since = now - this.limitWindowMs;
+        const email = normalizeEmail(userEmail);
+        const phone = normalizePhone(userPhone);
+
+        const limits = [
+            { field: 'userEmail', limit: this.limitPerEmail, matches: entry => email && entry.email === email },
+            { field: 'userPhone', limit: this.limitPerPhone, matches: entry => phone && entry.phone === phone }
+        ];
+
+        for (const { field, limit, matches } of limits) {
+            const sent = this.recent.filter(entry => entry.at > since && matches(entry));
+            if (sent.length >= limit) {
+                return { limited: true, field, retryAfterSeconds: this.retryAfterSeconds(sent, limit, now) };
+            }
+        }
+
+        return { limited: false };
+    }
+
+    /**
+     * Whether an email address was sent too many draft links lately
+     * @param {string} userEmail Address the link would go to
+     * @param {number} [now]
+     * @returns {{limited: boolean, retryAfterSeconds?: number}}
+     */
+    checkDraftLinkThrottle(userEmail, now = Date.now()) {
+        this.prune(now);
+        const email = normalizeEmail(userEmail);
+        const sent = this.draftLinks.filter(entry => entry.email === email);
+
+        return sent.length >= this.draftLinkLimit
+            ? { limited: true, retryAfterSeconds: this.retryAfterSeconds(sent, this.draftLinkLimit, now) }
+            : { limited: false };
+    }
+
+    /**
+     * Count a draft link towards its address's throttle
+     * @param {string} userEmail
+     * @param {number} [now]
+     */
+    recordDraftLink(userEmail, now = Date.now()) {
+        this.draftLinks.push({ email: normalizeEmail(userEmail), at: now });
+    }
+
+    // The window frees up when the oldest of the counted sends leaves it
+    retryAfterSeconds(sent, limit, now) {
+        const retryAfterMs = sent[sent.length - limit].at + this.limitWindowMs - now;
+        return Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    }
+
+    /**
+     * Reasons to quarantine a request
+     * @param {Object} body Request body as sent, for the honeypot and timing fields
+     * @param {Object} submission Validated request fields
+     * @param {Array<Object>} meetings Stored meetings, for duplicates from before a restart
+     * @param {number} [now]
+     * @returns {Array<{code: string, message: string}>} Empty when the request looks fine
+     */
+    inspect(body, submission, meetings = [], now = Date.now()) {
+        const reasons = [];
+
+        if (String(body[HONEYPOT_FIELD] || '').trim()) {
+            reasons.push({ code: 'honeypot', message: 'The hidden honeypot field was filled in' });
+        }
+
+        // Requests sent without the field (e.g. through the API) skip the timing check
+        const startedAtValue = body[STARTED_AT_FIELD];
+        if (startedAtValue !== undefined && startedAtValue !== '') {
+            const fillMs = now - parseInt(startedAtValue, 10);
+            if (!(fillMs >= this.minFillMs)) {
+                reasons.push({
+                    code: 'too_fast',
+                    message: Number.isFinite(fillMs) && fillMs >= 0
+                        ? `Sent ${(fillMs / 1000).toFixed(1)} seconds after the form was opened`
+                        : 'The form opening time is invalid'
+                });
+            }
+        }
+
+        const duplicate = this.findDuplicate(submission, meetings, now);
+        if (duplicate) {
+            reasons.push({
+                code: 'duplicate',
+                message: `Same requester and time as ${duplicate.requestId}, sent ${Math.max(Math.round((now - duplicate.at) / 60000), 0)} minutes earlier`,
+                duplicateOf: duplicate.requestId
+            });
+        }
+
+        return reasons;
+    }
+
+    /**
+     * An earlier request by the same requester for about the same slot
+     * @param {Object} submission Validated request fields
+     * @param {Array<Object>} meetings Stored meetings
+     * @param {number} [now]
+     * @returns {{requestId: string, at: number}|null}
+     */
+    findDuplicate({ userEmail, userPhone, preferredDate, preferredTime }, meetings = [], now = Date.now()) {
+        const email = normalizeEmail(userEmail);
+        const phone = normalizePhone(userPhone);
+        const start = toMinutes(preferredTime);
+
+        const stored = meetings
+            .filter(meeting => meeting && LIVE_STATUSES.includes(String(meeting.status || 'pending').toLowerCase()))
+            .map(meeting => ({
+                requestId: meeting.requestId,
+                email: normalizeEmail(meeting.userEmail),
+                phone: normalizePhone(meeting.userPhone),
+                date: meeting.preferredDate,
+                time: meeting.preferredTime,
+                at: new Date(meeting.createdDate || meeting.timestamp || 0).getTime()
+            }));
+
+        return [...this.recent, ...stored].find(entry => {
+            const sameRequester = (email && entry.email === email) || (phone && entry.phone === phone);
+            const otherStart = toMinutes(entry.time);
+            return sameRequester
+                && entry.date === preferredDate
+                && start !== null && otherStart !== null
+                && Math.abs(start - otherStart) < this.duplicateSlotMinutes
+                && now - entry.at <= this.duplicateWindowMs;
+        }) || null;
+    }
+
+    /**
+     * Count a request towards the throttles and duplicate checks, quarantined ones included
+     * @param {Object} submission Validated request fields and the requestId
+     * @param {number} [now]
+     */
+    record({ requestId, userEmail, userPhone, preferredDate, preferredTime }, now = Date.now()) {
+        this.recent.push({
+            requestId,
+            email: normalizeEmail(userEmail),
+            phone: normalizePhone(userPhone),
+            date: preferredDate,
+            time: preferredTime,
+            at: now
+        });
+    }
+
+    prune(now) {
+        const keepSince = now - Math.max(this.limitWindowMs, this.duplicateWindowMs);
+        this.recent = this.recent.filter(entry => entry.at > keepSince);
+        this.draftLinks = this.draftLinks.filter(entry => entry.at > now - this.limitWindowMs);
+    }
+}
+
+SubmissionGuard.HONEYPOT_FIELD = HONEYPOT_FIELD;
+SubmissionGuard.STARTED_AT_FIELD = STARTED_AT_FIELD;
+
+module.exports = SubmissionGuard;
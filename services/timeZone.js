@@ -0,0 +1,168 @@
+/**
+ * IANA time zone helpers built on Intl, so no time zone database has to be bundled.
+ *
+ * The business schedule (preferredDate/preferredTime, business hours, the slot
+ * picker) is in the organizer's zone. Requesters may be anywhere, so each
+ * request also stores its UTC start and the requester's zone.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Intl.DateTimeFormat instances are slow to create, so keep one per zone
+const formatters = new Map();
+
+/**
+ * @param {string} timeZone IANA zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA zone name Intl knows, e.g. "Europe/Berlin"
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * The zone the server process runs in
+ * @returns {string}
+ */
+function getServerTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(instant, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(instant).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Minutes the zone is ahead of UTC at an instant (negative west of Greenwich)
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getOffsetMinutes(instant, timeZone) {
+    const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+    return Math.round((wallAsUtc - wholeSeconds) / 60000);
+}
+
+/**
+ * The instant a wall-clock date and time in a zone refers to
+ * Times skipped by a daylight-saving jump resolve to the later offset.
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {string} timeZone IANA zone name
+ * @returns {Date|null} null when the date or time is invalid
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+    const timeMatch = String(time || '').trim().match(TIME_PATTERN);
+    if (!DATE_PATTERN.test(String(date || '')) || !timeMatch) return null;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const wallAsUtc = Date.UTC(year, month - 1, day, parseInt(timeMatch[1], 10), parseInt(timeMatch[2], 10));
+
+    // The offset depends on the instant, so correct the first guess once
+    const guess = wallAsUtc - getOffsetMinutes(new Date(wallAsUtc), timeZone) * 60000;
+    return new Date(wallAsUtc - getOffsetMinutes(new Date(guess), timeZone) * 60000);
+}
+
+/**
+ * Wall-clock date and time of an instant in a zone
+ * @param {Date|string} instant Date or ISO string
+ * @param {string} timeZone IANA zone name
+ * @returns {{date: string, time: string, minutes: number}|null} minutes since local midnight; null for invalid instants
+ */
+function toZonedDateTime(instant, timeZone) {
+    const value = instant instanceof Date ? instant : new Date(instant);
+    if (isNaN(value.getTime())) return null;
+
+    const { year, month, day, hour, minute } = getZonedParts(value, timeZone);
+    const pad = number => String(number).padStart(2, '0');
+    return {
+        date: `${year}-${pad(month)}-${pad(day)}`,
+        time: `${pad(hour)}:${pad(minute)}`,
+        minutes: hour * 60 + minute
+    };
+}
+
+/**
+ * Instants at which a zone's UTC offset changes, e.g. daylight-saving switches
+ * @param {string} timeZone IANA zone name
+ * @param {Date} from Start of the period
+ * @param {Date} to End of the period
+ * @returns {Array<{instant: Date, offsetFrom: number, offsetTo: number}>} Offsets in minutes, earliest first
+ */
+function getOffsetTransitions(timeZone, from, to) {
+    const day = 24 * 60 * 60000;
+    const transitions = [];
+    let previous = getOffsetMinutes(from, timeZone);
+
+    // Offsets change at most once a day: find the day, then the minute
+    for (let time = Math.floor(from.getTime() / 60000) * 60000 + day; time - day < to.getTime(); time += day) {
+        const offset = getOffsetMinutes(new Date(time), timeZone);
+        if (offset === previous) continue;
+
+        let before = time - day;
+        let after = time;
+        while (after - before > 60000) {
+            const middle = before + Math.ceil((after - before) / 120000) * 60000;
+            if (getOffsetMinutes(new Date(middle), timeZone) === previous) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+
+        transitions.push({ instant: new Date(after), offsetFrom: previous, offsetTo: offset });
+        previous = offset;
+    }
+
+    return transitions;
+}
+
+module.exports = {
+    isValidTimeZone,
+    getServerTimeZone,
+    getOffsetMinutes,
+    getOffsetTransitions,
+    zonedTimeToUtc,
+    toZonedDateTime
+};
@@ -0,0 +1,284 @@
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const JsonFileStore = require('./jsonFileStore');
+const { createSignatureHeaders } = require('./webhookSignature');
+require('dotenv').config();
+
+const PENDING = 'pending';
+const DELIVERED = 'delivered';
+const DEAD = 'dead';
+
+/**
+ * Durable outbox for n8n webhook calls.
+ *
+ * Every webhook payload is written to a JSON file before it is sent, so a
+ * submission survives n8n being down or the server restarting. Failed
+ * deliveries are retried with exponential backoff; after maxAttempts the
+ * entry becomes a dead letter that an admin can replay from the dashboard.
+ *
+ * Webhook URLs are looked up by delivery type when sending, so fixing a
+ * wrong URL in .env and restarting is enough to flush the queue. With a
+ * signing secret every attempt is signed with a fresh timestamp
+ * (see webhookSignature.js).
+ */
+class WebhookOutbox {
+    /**
+     * @param {Object} options
+     * @param {Object<string, string>} options.targets Webhook URL per delivery type
+     * @param {string} [options.filePath] Outbox file, defaults to OUTBOX_FILE or data/outbox.json
+     * @param {string} [options.signingSecret] Secret for the HMAC signature headers; unsigned if omitted
+     */
+    constructor({ targets, filePath, signingSecret } = {}) {
+        this.targets = targets || {};
+        this.signingSecret = signingSecret || null;
+        this.store = new JsonFileStore(
+            filePath || process.env.OUTBOX_FILE || path.join(__dirname, '..', 'data', 'outbox.json'),
+            () => ({ entries: [] })
+        );
+        this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+        this.baseDelayMs = parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 5000;
+        this.maxDelayMs = parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 60 * 60 * 1000; // 1 hour
+        this.pollIntervalMs = parseInt(process.env.OUTBOX_POLL_INTERVAL) || 5000;
+        this.deliveredRetentionMs = 24 * 60 * 60 * 1000; // keep delivered entries for a day
+        this.inFlight = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * Start retrying due deliveries in the background
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDue().catch(error => {
+                console.error('❌ Outbox processing failed:', error.message);
+            });
+        }, this.pollIntervalMs);
+
+        // Don't keep the process alive just for retries
+        this.timer.unref();
+        console.log(`📬 Webhook outbox started (${this.store.filePath})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Store a payload and try to deliver it right away
+     * @param {string} type Delivery type, a key of targets (e.g. "meeting_request")
+     * @param {Object} payload JSON body for the webhook
+     * @returns {Promise<Object>} The entry after the first attempt; check entry.status
+     */
+    async enqueue(type, payload) {
+        if (!this.targets[type]) {
+            throw new Error(`No webhook URL configured for ${type} deliveries`);
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            id: `dlv_${crypto.randomUUID()}`,
+            type,
+            payload,
+            status: PENDING,
+            attempts: 0,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: now,
+            deliveredAt: null
+        };
+
+        await this.store.modify(data => {
+            data.entries.push(entry);
+        });
+
+        return this.deliver(entry.id);
+    }
+
+    /**
+     * Attempt one delivery and record the outcome
+     * @param {string} id Entry ID
+     * @returns {Promise<Object|null>} The updated entry, or null if it no longer exists
+     */
+    async deliver(id) {
+        if (this.inFlight.has(id)) {
+            return this.get(id);
+        }
+        this.inFlight.add(id);
+
+        try {
+            const entry = await this.get(id);
+            if (!entry || entry.status !== PENDING) {
+                return entry;
+            }
+
+            let error = null;
+            try {
+                const url = this.targets[entry.type];
+                if (!url) {
+                    throw new Error(`No webhook URL configured for ${entry.type} deliveries`);
+                }
+
+                // Sign the exact bytes that are sent
+                const body = JSON.stringify(entry.payload);
+                await axios.post(url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Delivery-Id': entry.id, // lets the workflow drop duplicates
+                        ...(this.signingSecret ? createSignatureHeaders(body, this.signingSecret) : {})
+                    },
+                    timeout: 10000
+                });
+            } catch (deliveryError) {
+                error = deliveryError.response
+                    ? `HTTP ${deliveryError.response.status}`
+                    : deliveryError.message;
+            }
+
+            return this.store.modify(data => {
+                const stored = data.entries.find(e => e.id === id);
+                if (!stored) return null;
+
+                const now = Date.now();
+                stored.attempts++;
+                stored.updatedAt = new Date(now).toISOString();
+
+                if (!error) {
+                    stored.status = DELIVERED;
+                    stored.deliveredAt = stored.updatedAt;
+                    stored.lastError = null;
+                    console.log(`📨 Delivered ${stored.type} ${stored.id} to n8n (attempt ${stored.attempts})`);
+                } else if (stored.attempts >= this.maxAttempts) {
+                    stored.status = DEAD;
+                    stored.lastError = error;
+                    console.error(`☠️ Giving up on ${stored.type} ${stored.id} after ${stored.attempts} attempts: ${error}`);
+                } else {
+                    stored.lastError = error;
+                    stored.nextAttemptAt = new Date(now + this.getRetryDelay(stored.attempts)).toISOString();
+                    console.log(`⏳ ${stored.type} ${stored.id} failed (${error}), retrying at ${stored.nextAttemptAt}`);
+                }
+
+                return { ...stored };
+            });
+        } finally {
+            this.inFlight.delete(id);
+        }
+    }
+
+    /**
+     * Delay before the next attempt: baseDelay * 2^(attempts - 1), capped at maxDelay
+     * @param {number} attempts Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+    }
+
+    /**
+     * Deliver every pending entry whose retry time has come, and drop old delivered ones
+     */
+    async processDue() {
+        const now = Date.now();
+        const data = await this.store.read();
+
+        const due = data.entries.filter(entry =>
+            entry.status === PENDING && new Date(entry.nextAttemptAt).getTime() <= now
+        );
+
+        for (const entry of due) {
+            await this.deliver(entry.id);
+        }
+
+        const expired = data.entries.some(entry =>
+            entry.status === DELIVERED && now - new Date(entry.deliveredAt).getTime() > this.deliveredRetentionMs
+        );
+        if (expired) {
+            await this.store.modify(current => {
+                current.entries = current.entries.filter(entry =>
+                    entry.status !== DELIVERED || Date.now() - new Date(entry.deliveredAt).getTime() <= this.deliveredRetentionMs
+                );
+            });
+        }
+    }
+
+    /**
+     * @param {string} id Entry ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const data = await this.store.read();
+        return data.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.status] Only entries with this status
+     * @returns {Promise<{entries: Array, counts: Object}>}
+     */
+    async list({ status } = {}) {
+        const data = await this.store.read();
+        const counts = { pending: 0, delivered: 0, dead: 0 };
+        data.entries.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+
+        const entries = data.entries
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        return { entries, counts };
+    }
+
+    /**
+     * Reset an undelivered entry and send it again now
+     * @param {string} id Entry ID
+     * @returns {Promise<Object|null>} The entry after the attempt, or null if it doesn't exist
+     */
+    async replay(id) {
+        const entry = await this.store.modify(data => {
+            const stored = data.entries.find(e => e.id === id);
+            if (!stored) return null;
+
+            if (stored.status === DELIVERED) {
+                const error = new Error(`Delivery ${id} was already delivered`);
+                error.code = 'OUTBOX_ALREADY_DELIVERED';
+                throw error;
+            }
+
+            stored.status = PENDING;
+            stored.attempts = 0;
+            stored.nextAttemptAt = new Date().toISOString();
+            stored.updatedAt = stored.nextAttemptAt;
+            return { ...stored };
+        });
+
+        if (!entry) return null;
+
+        console.log(`🔁 Replaying ${entry.type} ${entry.id}`);
+        return this.deliver(id);
+    }
+
+    /**
+     * Remove an entry, e.g. a dead letter that should not be sent
+     * @param {string} id Entry ID
+     * @returns {Promise<boolean>} Whether an entry was removed
+     */
+    async discard(id) {
+        return this.store.modify(data => {
+            const before = data.entries.length;
+            data.entries = data.entries.filter(entry => entry.id !== id);
+            return data.entries.length < before;
+        });
+    }
+}
+
+WebhookOutbox.PENDING = PENDING;
+WebhookOutbox.DELIVERED = DELIVERED;
+WebhookOutbox.DEAD = DEAD;
+
+module.exports = WebhookOutbox;
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signatures for webhook calls between the server and n8n.
+ *
+ * The signature covers "<timestamp>.<raw body>" using HMAC-SHA256 and the
+ * shared WEBHOOK_SECRET. It is sent as:
+ *   X-Signature-Timestamp: <unix seconds>
+ *   X-Signature: sha256=<hex digest>
+ * Receivers reject stale timestamps, and signatures they have already seen,
+ * so a captured request can't be replayed.
+ */
+
+const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+const SIGNATURE_HEADER = 'X-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Compute the signature header value for a body
+ * @param {string} body Raw request body, exactly as sent
+ * @param {string} secret Shared secret
+ * @param {number} timestamp Unix time in seconds
+ * @returns {string} "sha256=<hex>"
+ */
+function computeSignature(body, secret, timestamp) {
+    const digest = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Headers to send along with a signed body
+ * @param {string} body Raw request body
+ * @param {string} secret Shared secret
+ * @returns {Object} Signature headers
+ */
+function createSignatureHeaders(body, secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: computeSignature(body, secret, timestamp)
+    };
+}
+
+/**
+ * Checks signatures on inbound calls and remembers the ones already used
+ */
+class SignatureVerifier {
+    /**
+     * @param {string} secret Shared secret
+     * @param {Object} [options]
+     * @param {number} [options.toleranceSeconds=300] Maximum clock difference accepted
+     */
+    constructor(secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+        this.secret = secret;
+        this.toleranceSeconds = toleranceSeconds;
+        this.seen = new Map(); // signature -> expiry time in ms
+    }
+
+    /**
+     * Verify a signed request
+     * @param {Object} request
+     * @param {Buffer|string} request.body Raw body
+     * @param {string} request.timestamp Value of X-Signature-Timestamp
+     * @param {string} request.signature Value of X-Signature
+     * @returns {{valid: boolean, reason?: string}}
+     */
+    verify({ body, timestamp, signature }) {
+        if (!timestamp || !signature) {
+            return { valid: false, reason: 'Missing signature headers' };
+        }
+
+        const signedAt = parseInt(timestamp, 10);
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isInteger(signedAt) || Math.abs(now - signedAt) > this.toleranceSeconds) {
+            return { valid: false, reason: 'Signature timestamp is outside the allowed window' };
+        }
+
+        const expected = Buffer.from(computeSignature(String(body || ''), this.secret, signedAt));
+        const received = Buffer.from(String(signature));
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return { valid: false, reason: 'Signature does not match' };
+        }
+
+        this.pruneSeen();
+        if (this.seen.has(signature)) {
+            return { valid: false, reason: 'Request was already processed' };
+        }
+        // Anything older than the window is rejected by the timestamp check anyway
+        this.seen.set(signature, Date.now() + this.toleranceSeconds * 2 * 1000);
+
+        return { valid: true };
+    }
+
+    pruneSeen() {
+        const now = Date.now();
+        for (const [signature, expiresAt] of this.seen) {
+            if (expiresAt <= now) {
+                this.seen.delete(signature);
+            }
+        }
+    }
+}
+
+module.exports = {
+    TIMESTAMP_HEADER,
+    SIGNATURE_HEADER,
+    computeSignature,
+    createSignatureHeaders,
+    SignatureVerifier
+};